@@ -1,57 +1,547 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react'
 import Map from './components/Map'
 import Header from './components/Header'
 import LayerPanel from './components/LayerPanel'
 import Sidebar from './components/Sidebar'
 import AnalysisPanel from './components/AnalysisPanel'
 import LoadingOverlay from './components/LoadingOverlay'
+import ZipRankingPanel from './components/ZipRankingPanel'
+import OutOfServicePanel from './components/OutOfServicePanel'
+import ZipReport from './components/ZipReport'
 import { useMapData } from './hooks/useMapData'
 import { useWorker } from './hooks/useWorker'
+import { useStandardsProfile } from './hooks/useStandardsProfile'
+import { useStudyAreas } from './hooks/useStudyAreas'
+import { getZipMetric, zipMetricValue, buildMetricScale, NO_DATA_COLOR } from './utils/zipMetrics'
+import { outOfServiceKey } from './utils/outOfService'
+import { DEFAULT_FLOW_FILTER } from './utils/fireFlow'
+import { hexResolutionForZoom } from './utils/hexbin'
+import { DEFAULT_GAP_ZONE_CONFIG } from './utils/gapZones'
+import { DEFAULT_CONFLATION_CONFIG } from './utils/conflation'
+import { boundaryToGeometry } from './utils/dataQA'
+import { EXPORT_FORMATS, exportFileName } from './utils/exportResults'
+import { downloadFile } from './utils/csv'
+import { parseDeepLink, buildDeepLink, routeForFeature, findRouteFeature } from './utils/deepLink'
+import { getBBox } from './utils/geometry'
+import { createStudyArea, studyAreaFeature } from './utils/studyAreas'
 import './App.css'
 
 function App() {
+  // State restored from a shared link; its route opens once the data it points to is loaded
+  const [initialLink] = useState(() => parseDeepLink(window.location.hash))
+  const pendingRouteRef = useRef(initialLink.route)
   const [selectedFeature, setSelectedFeature] = useState(null)
   const [sidebarOpen, setSidebarOpen] = useState(false)
-  const [analysisPanelOpen, setAnalysisPanelOpen] = useState(false)
+  const [analysisPanelOpen, setAnalysisPanelOpen] = useState(initialLink.analysisOpen)
   const [activeZipStats, setActiveZipStats] = useState(null)
   const [zipLoading, setZipLoading] = useState(false)
+  const [choroplethMetric, setChoroplethMetric] = useState('coverageOptimal')
+  const [zipRanking, setZipRanking] = useState([])
+  const [stationOverlap, setStationOverlap] = useState(null)
+  const [mapZoom, setMapZoom] = useState(null)
+  const [hexbinSurface, setHexbinSurface] = useState(null)
+  const [gapZoneConfig, setGapZoneConfig] = useState(DEFAULT_GAP_ZONE_CONFIG)
+  const [gapZones, setGapZones] = useState(null)
+  const [mapFocus, setMapFocus] = useState(null)
+  const [hydrantPlacement, setHydrantPlacement] = useState(null)
+  const [placementRunning, setPlacementRunning] = useState(false)
+  const [placingStation, setPlacingStation] = useState(false)
+  const [probing, setProbing] = useState(false)
+  const [probe, setProbe] = useState(null)
+  const [drawingShape, setDrawingShape] = useState(null)
+  const [editingStudyAreaId, setEditingStudyAreaId] = useState(null)
+  const [studyAreaResult, setStudyAreaResult] = useState(null) // { shape, stats } of the last analyzed area
+  const [outOfService, setOutOfService] = useState([])
+  const [outOfServiceResult, setOutOfServiceResult] = useState(null)
+  const [flowFilter, setFlowFilter] = useState(DEFAULT_FLOW_FILTER)
+  const [conflationConfig, setConflationConfig] = useState(DEFAULT_CONFLATION_CONFIG)
+  const [selectedAgency, setSelectedAgency] = useState(null)
+  const [agencyAnalysis, setAgencyAnalysis] = useState(null)
+  const [dataQA, setDataQA] = useState(null)
+  const [mapExtent, setMapExtent] = useState(null)
+  const [exportProgress, setExportProgress] = useState(null)
+  const [zipReport, setZipReport] = useState(null)
+  const [mapView, setMapView] = useState(initialLink.view)
+  const selectedFeatureRef = useRef(null)
+
+  const {
+    standards,
+    presets: standardsPresets,
+    customProfile: customStandards,
+    selectProfile: selectStandards,
+    updateCustomProfile: updateCustomStandards
+  } = useStandardsProfile()
+
+  const { studyAreas, addStudyArea, updateStudyArea, removeStudyArea } = useStudyAreas()
 
   const {
     hydrants,
     stations,
     addresses,
     zipcodes,
+    streets,
     boundary,
+    agencyStats,
+    stationCoverageData,
+    stationLinks,
+    coverageTablesStale,
+    coverageTablesLive,
+    applyCoverageTables,
+    flowTestSummary,
+    loadFlowTests,
     loading,
     loadingText,
     layerVisibility,
     setLayerVisibility
-  } = useMapData()
+  } = useMapData(initialLink.layers)
 
   const {
     workerReady,
+    hydrantIndexReady,
+    stationsIndexReady,
     addressDistancesReady,
+    zipIndexReady,
     globalSummary,
-    requestZipAnalysis
-  } = useWorker(hydrants, addresses, stations)
+    isochrones,
+    stationScenario,
+    conflation,
+    requestZipAnalysis,
+    requestAllZipStats,
+    requestStationOverlap,
+    requestHexbinSurface,
+    requestGapZones,
+    requestAgencyAnalysis,
+    requestStationAnalysis,
+    requestStationCoverage,
+    requestDataQA,
+    requestExport,
+    requestZipReport,
+    requestSearch,
+    requestPointQuery,
+    requestHydrantPlacement,
+    requestOutOfServiceSimulation,
+    addProposedStation,
+    moveProposedStation,
+    removeProposedStation
+  } = useWorker(hydrants, addresses, stations, streets, standards, zipcodes, flowFilter, conflationConfig)
+
+  // Repeat detections merged and low-confidence ones dropped, as the worker counts them
+  const cleanedHydrants = conflation?.hydrants || hydrants
+
+  // Live first-due figures for a station's scorecard; dropped if another feature was selected
+  const loadStationScorecard = useCallback((feature) => {
+    requestStationAnalysis(feature.id, (firstDue) => {
+      const current = selectedFeatureRef.current
+      if (current?.type !== 'station' || current.id !== feature.id) return
+      setSelectedFeature(prev => ({ ...prev, firstDue, firstDuePending: false }))
+    })
+  }, [requestStationAnalysis])
+
+  // Nearest hydrant and station of an address or searched point, for its sidebar and the lines
+  // drawn on the map; dropped if another feature was selected meanwhile
+  const loadLocationCoverage = useCallback((feature) => {
+    requestPointQuery(feature.lat, feature.lon, (coverage) => {
+      const current = selectedFeatureRef.current
+      if (current?.type !== feature.type || current.lat !== feature.lat || current.lon !== feature.lon) return
+      setSelectedFeature(prev => ({ ...prev, coverage }))
+    })
+  }, [requestPointQuery])
 
   const handleFeatureClick = useCallback((feature) => {
-    if (feature.type === 'zipcode' && workerReady) {
+    if (feature.type === 'station' && globalSummary) {
+      setSelectedFeature({ ...feature, firstDue: null, firstDuePending: true })
+      setSidebarOpen(true)
+      loadStationScorecard(feature)
+    } else if (feature.type === 'zipcode' && workerReady) {
       // Show loading state immediately with partial feature data
       setZipLoading(true)
       setSelectedFeature({ ...feature, stats: null })
       setSidebarOpen(true)
 
-      requestZipAnalysis(feature.geoJsonFeature, (stats) => {
+      requestZipAnalysis(feature, (stats) => {
         setSelectedFeature({ ...feature, stats })
         setActiveZipStats(stats)
         setZipLoading(false)
       })
+    } else if ((feature.type === 'address' || feature.type === 'location') && workerReady) {
+      setSelectedFeature({ ...feature, coverage: null })
+      setSidebarOpen(true)
+      loadLocationCoverage(feature)
     } else {
       setSelectedFeature(feature)
       setSidebarOpen(true)
     }
-  }, [workerReady, requestZipAnalysis])
+  }, [workerReady, requestZipAnalysis, globalSummary, loadStationScorecard, loadLocationCoverage])
+
+  useEffect(() => {
+    selectedFeatureRef.current = selectedFeature
+  }, [selectedFeature])
+
+  // Open a linked ZIP, station or hydrant. ZIP stats and station scorecards need the address
+  // analysis, so those wait for it; a route that matches nothing in the loaded data is dropped.
+  // Without a map view in the link the map zooms to the feature.
+  const openPendingRoute = useCallback(() => {
+    const route = pendingRouteRef.current
+    if (!route) return
+    const ready = route.type === 'hydrant' ? hydrants.length > 0 : !!globalSummary
+    if (!ready) return
+
+    pendingRouteRef.current = null
+    const feature = findRouteFeature(route, { zipcodes, stations, hydrants })
+    if (!feature) return
+    handleFeatureClick(feature)
+    if (!initialLink.view) {
+      const pad = 0.002
+      setMapFocus({
+        bbox: feature.type === 'zipcode'
+          ? getBBox(feature.geoJsonFeature)
+          : [feature.lon - pad, feature.lat - pad, feature.lon + pad, feature.lat + pad]
+      })
+    }
+  }, [zipcodes, stations, hydrants, globalSummary, handleFeatureClick, initialLink.view])
+
+  useEffect(() => {
+    openPendingRoute()
+  }, [openPendingRoute])
+
+  // A route pasted into the address bar of an open page is followed too
+  useEffect(() => {
+    const handleHashChange = () => {
+      pendingRouteRef.current = parseDeepLink(window.location.hash).route
+      openPendingRoute()
+    }
+    window.addEventListener('hashchange', handleHashChange)
+    return () => window.removeEventListener('hashchange', handleHashChange)
+  }, [openPendingRoute])
+
+  // Keep the URL in step with the view so it can be shared; a linked route still waiting for
+  // its data stays in the URL
+  useEffect(() => {
+    const route = pendingRouteRef.current || (sidebarOpen ? routeForFeature(selectedFeature) : null)
+    const link = buildDeepLink({ route, view: mapView, layerVisibility, analysisOpen: analysisPanelOpen })
+    if (link !== window.location.hash) window.history.replaceState(null, '', link)
+  }, [selectedFeature, sidebarOpen, mapView, layerVisibility, analysisPanelOpen])
+
+  // Likewise for an open station scorecard
+  useEffect(() => {
+    const feature = selectedFeatureRef.current
+    if (!globalSummary || feature?.type !== 'station') return
+    loadStationScorecard(feature)
+  }, [globalSummary, loadStationScorecard])
+
+  // Re-run the selected ZIP's analysis whenever the countywide results change
+  // (new data or a different standards profile) so the sidebar stays in step
+  useEffect(() => {
+    const feature = selectedFeatureRef.current
+    if (!globalSummary || feature?.type !== 'zipcode') return
+
+    requestZipAnalysis(feature, (stats) => {
+      const current = selectedFeatureRef.current
+      if (current?.type !== 'zipcode' || current.id !== feature.id) return
+      setSelectedFeature(prev => ({ ...prev, stats }))
+      setActiveZipStats(stats)
+    })
+  }, [globalSummary, requestZipAnalysis])
+
+  // Countywide per-ZIP stats for the choropleth and ranking table, refreshed with the summary
+  useEffect(() => {
+    if (!layerVisibility.zipChoropleth || !globalSummary || !zipIndexReady) return
+    requestAllZipStats(setZipRanking)
+  }, [layerVisibility.zipChoropleth, globalSummary, zipIndexReady, requestAllZipStats])
+
+  // Station overlap cells are refreshed whenever the coverage summary changes
+  useEffect(() => {
+    if (!layerVisibility.stationOverlap || !globalSummary) return
+    requestStationOverlap(setStationOverlap)
+  }, [layerVisibility.stationOverlap, globalSummary, requestStationOverlap])
+
+  // The gap surface uses coarser hexes when zoomed out; a new resolution or a coverage
+  // change fetches a fresh surface (the worker caches each resolution)
+  const hexResolution = mapZoom === null ? null : hexResolutionForZoom(mapZoom).id
+  useEffect(() => {
+    if (!layerVisibility.gapHexbin || !globalSummary || !hexResolution) return
+    requestHexbinSurface(hexResolution, setHexbinSurface)
+  }, [layerVisibility.gapHexbin, globalSummary, hexResolution, requestHexbinSurface])
+
+  // Gap zones are re-clustered when coverage or the clustering settings change
+  useEffect(() => {
+    if (!layerVisibility.gapZones || !globalSummary) return
+    requestGapZones(gapZoneConfig, (result) => setGapZones({ ...result, config: gapZoneConfig }))
+  }, [layerVisibility.gapZones, globalSummary, gapZoneConfig, requestGapZones])
+  const activeGapZones = gapZones?.config === gapZoneConfig ? gapZones : null
+
+  // A zone picked from the list or the map is zoomed to; null returns to the list
+  const handleSelectGapZone = useCallback((zone) => {
+    if (zone) {
+      setSelectedFeature({ type: 'gapZone', ...zone })
+      setMapFocus({ bbox: zone.bbox })
+    } else {
+      setSelectedFeature({ type: 'gapZones' })
+    }
+    setSidebarOpen(true)
+  }, [])
+
+  // Data QA re-runs whenever a dataset is re-indexed or the boundary changes
+  useEffect(() => {
+    if (!layerVisibility.dataQA || !workerReady) return
+    requestDataQA(boundaryToGeometry(boundary), setDataQA)
+  }, [layerVisibility.dataQA, workerReady, hydrantIndexReady, stationsIndexReady, addressDistancesReady, zipIndexReady, boundary, requestDataQA])
+  const dataQAIssueCount = dataQA?.checks ? dataQA.checks.reduce((sum, c) => sum + c.count, 0) : 0
+
+  // A flagged record picked from the list or the map is zoomed to (about 300 ft around it)
+  const handleSelectQARecord = useCallback((record) => {
+    const pad = 0.001
+    setMapFocus({ bbox: [record.lon - pad, record.lat - pad, record.lon + pad, record.lat + pad] })
+    setSelectedFeature({ type: 'dataQA' })
+    setSidebarOpen(true)
+  }, [])
+
+  // Recompute the station and agency coverage tables once the loaded hydrants or stations no
+  // longer match the bundled ones (re-run whenever either index is rebuilt or the hydrants
+  // are re-conflated)
+  useEffect(() => {
+    if (!coverageTablesStale || !hydrantIndexReady || !stationsIndexReady) return
+    requestStationCoverage((tables) => {
+      if (!tables.error) applyCoverageTables(tables)
+    })
+  }, [coverageTablesStale, hydrantIndexReady, stationsIndexReady, conflation, requestStationCoverage, applyCoverageTables])
+
+  // Selecting an agency narrows the map to its stations (and so their response areas) and
+  // analyzes the addresses those stations serve first-due
+  const agencyStations = useMemo(() => (
+    selectedAgency ? stations.filter(s => s.agency === selectedAgency) : stations
+  ), [stations, selectedAgency])
+
+  useEffect(() => {
+    if (!selectedAgency || !globalSummary) return
+    requestAgencyAnalysis(selectedAgency, setAgencyAnalysis)
+  }, [selectedAgency, globalSummary, requestAgencyAnalysis])
+  const activeAgencyAnalysis = agencyAnalysis?.agency === selectedAgency ? agencyAnalysis : null
+
+  const handleSelectAgency = useCallback((agency) => {
+    setSelectedAgency(agency)
+    const agencyMembers = stations.filter(s => s.agency === agency)
+    if (agencyMembers.length === 0) return
+    const lats = agencyMembers.map(s => s.lat)
+    const lons = agencyMembers.map(s => s.lon)
+    setMapFocus({ bbox: [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)] })
+  }, [stations])
+
+  // Scorecard row for the selected station: recomputed tables are matched by station id,
+  // otherwise the bundled row attached when the station was loaded
+  const selectedStationCoverage = selectedFeature?.type !== 'station' ? null : coverageTablesLive
+    ? stationCoverageData.find(row => row.stationId === selectedFeature.id) || null
+    : selectedFeature.coverageInfo || null
+
+  const choroplethScale = useMemo(() => {
+    if (zipRanking.length === 0) return null
+    const metric = getZipMetric(choroplethMetric)
+    return buildMetricScale(metric, zipRanking.map(z => zipMetricValue(metric, z.stats)))
+  }, [zipRanking, choroplethMetric])
+
+  const zipFillColors = useMemo(() => {
+    if (!layerVisibility.zipChoropleth || !choroplethScale) return null
+    const metric = getZipMetric(choroplethMetric)
+    return Object.fromEntries(zipRanking.map(z => {
+      const value = zipMetricValue(metric, z.stats)
+      return [z.id, value === null ? NO_DATA_COLOR : choroplethScale.scale(value)]
+    }))
+  }, [layerVisibility.zipChoropleth, zipRanking, choroplethMetric, choroplethScale])
+
+  // Ranking and scenario rows select a ZIP the same way a click on the map does
+  const handleSelectZipById = useCallback((zipId) => {
+    const zip = zipcodes.find(z => z.id === zipId)
+    if (zip) handleFeatureClick({ type: 'zipcode', ...zip })
+  }, [zipcodes, handleFeatureClick])
+
+  // A picked search result flies the map to it and opens it the way a map click would;
+  // coordinates open as a bare location
+  const handleSelectSearchResult = useCallback((result) => {
+    if (result.type === 'zip') {
+      const zip = zipcodes.find(z => z.id === result.id)
+      if (!zip) return
+      handleFeatureClick({ type: 'zipcode', ...zip })
+      setMapFocus({ bbox: getBBox(zip.geoJsonFeature), fly: true })
+      return
+    }
+
+    const pad = 0.0015
+    setMapFocus({ bbox: [result.lon - pad, result.lat - pad, result.lon + pad, result.lat + pad], fly: true })
+    if (result.type === 'station') {
+      const station = stations.find(s => s.id === result.id && s.lat === result.lat && s.lon === result.lon)
+      if (station) handleFeatureClick({ type: 'station', ...station })
+    } else if (result.type === 'address') {
+      const address = addresses.find(a => a.id === result.id)
+      handleFeatureClick({ type: 'address', ...(address || { id: result.id, lat: result.lat, lon: result.lon }) })
+    } else {
+      handleFeatureClick({ type: 'location', lat: result.lat, lon: result.lon })
+    }
+  }, [zipcodes, stations, addresses, handleFeatureClick])
+
+  const handleRunPlacement = useCallback(({ studyAreaLabel, ...options }) => {
+    setPlacementRunning(true)
+    requestHydrantPlacement(options, (result) => {
+      setHydrantPlacement({ ...result, studyAreaLabel })
+      setPlacementRunning(false)
+    })
+  }, [requestHydrantPlacement])
+
+  // Exports stream in from the worker and are saved once the last chunk arrives
+  const handleExport = useCallback((options, zipCode) => {
+    setExportProgress({ written: 0, total: null })
+    requestExport(
+      options,
+      (written, total) => setExportProgress({ written, total }),
+      (result) => {
+        setExportProgress(null)
+        if (result.error) return
+        const { mimeType } = EXPORT_FORMATS.find(f => f.id === options.format)
+        downloadFile(result.parts, exportFileName(options, zipCode), mimeType)
+      }
+    )
+  }, [requestExport])
+
+  // Report pages fill in as the worker answers; a newer report drops replies for an older one
+  const handlePrintZipReport = useCallback((zipIds) => {
+    const report = { zipIds, results: {}, createdAt: Date.now() }
+    setZipReport(report)
+    for (const zipId of zipIds) {
+      requestZipReport(zipId, (data) => {
+        setZipReport(prev => (prev?.createdAt === report.createdAt
+          ? { ...prev, results: { ...prev.results, [zipId]: data } }
+          : prev))
+      })
+    }
+  }, [requestZipReport])
+
+  const handlePrintAllZipReports = useCallback(() => {
+    const sorted = [...zipcodes].sort((a, b) => String(a.zipCode).localeCompare(String(b.zipCode)))
+    handlePrintZipReport(sorted.map(z => z.id))
+  }, [zipcodes, handlePrintZipReport])
+
+  const handlePlaceStation = useCallback((lat, lon) => {
+    addProposedStation(lat, lon)
+    setPlacingStation(false)
+  }, [addProposedStation])
+
+  // Probe mode: every map click queries that point; leaving the mode clears the last probe
+  const handleToggleProbe = useCallback(() => {
+    setProbing(prev => !prev)
+    setProbe(null)
+    setPlacingStation(false)
+    setDrawingShape(null)
+  }, [])
+
+  const handleProbePoint = useCallback((lat, lon) => {
+    setProbe({ lat, lon, result: null })
+    requestPointQuery(lat, lon, (result) => {
+      setProbe(prev => (prev?.lat === lat && prev.lon === lon ? { ...prev, result } : prev))
+    })
+  }, [requestPointQuery])
+
+  const handleCloseProbe = useCallback(() => setProbe(null), [])
+
+  // Drawn study areas open in the sidebar with the same stats as a ZIP. Handles for reshaping
+  // show only while the area is open and in edit mode.
+  const selectedStudyArea = selectedFeature?.type === 'studyArea'
+    ? studyAreas.find(a => a.id === selectedFeature.id) || null
+    : null
+  const selectedStudyAreaShape = selectedStudyArea?.shape
+  const editingStudyArea = sidebarOpen && selectedStudyArea?.id === editingStudyAreaId ? selectedStudyArea : null
+
+  // Analyze the open study area the way an unindexed ZIP is analyzed; re-run when it is
+  // reshaped and whenever the analysis is recomputed (new data, standards, flow filter or
+  // what-if stations)
+  useEffect(() => {
+    if (!selectedStudyAreaShape || !workerReady) return
+    requestZipAnalysis({ geoJsonFeature: studyAreaFeature({ shape: selectedStudyAreaShape }) }, (stats) => {
+      setStudyAreaResult({ shape: selectedStudyAreaShape, stats })
+    })
+  }, [selectedStudyAreaShape, workerReady, globalSummary, stationScenario, requestZipAnalysis])
+
+  const handleDrawShape = useCallback((shapeType) => {
+    setDrawingShape(shapeType)
+    setProbing(false)
+    setProbe(null)
+    setPlacingStation(false)
+  }, [])
+
+  const handleCancelDrawing = useCallback(() => setDrawingShape(null), [])
+
+  const handleSelectStudyArea = useCallback((id) => {
+    setSelectedFeature({ type: 'studyArea', id })
+    setSidebarOpen(true)
+    setActiveZipStats(null)
+  }, [])
+
+  // Picked from the sidebar list: also fly the map to it
+  const handleOpenStudyArea = useCallback((id) => {
+    const area = studyAreas.find(a => a.id === id)
+    if (!area) return
+    handleSelectStudyArea(id)
+    setMapFocus({ bbox: getBBox(studyAreaFeature(area)), fly: true })
+  }, [studyAreas, handleSelectStudyArea])
+
+  const handleShapeDrawn = useCallback((shape) => {
+    const area = createStudyArea(shape, studyAreas)
+    addStudyArea(area)
+    setDrawingShape(null)
+    handleSelectStudyArea(area.id)
+  }, [studyAreas, addStudyArea, handleSelectStudyArea])
+
+  const handleRenameStudyArea = useCallback((id, name) => updateStudyArea(id, { name }), [updateStudyArea])
+  const handleReshapeStudyArea = useCallback((id, shape) => updateStudyArea(id, { shape }), [updateStudyArea])
+  const handleToggleEditStudyArea = useCallback((id) => {
+    setEditingStudyAreaId(prev => (prev === id ? null : id))
+  }, [])
+
+  const handleDeleteStudyArea = useCallback((id) => {
+    removeStudyArea(id)
+    setEditingStudyAreaId(null)
+    setSelectedFeature(null)
+    setSidebarOpen(false)
+  }, [removeStudyArea])
+
+  const sidebarFeature = selectedFeature?.type === 'studyArea'
+    ? selectedStudyArea && {
+      ...selectedFeature,
+      area: selectedStudyArea,
+      stats: studyAreaResult?.shape === selectedStudyArea.shape ? studyAreaResult.stats : null
+    }
+    : selectedFeature
+
+  // Hydrants and stations marked out of service (multi-select from the Sidebar or shift-click)
+  const toggleOutOfService = useCallback((feature) => {
+    const key = outOfServiceKey(feature)
+    setOutOfService(prev => prev.some(a => outOfServiceKey(a) === key)
+      ? prev.filter(a => outOfServiceKey(a) !== key)
+      : [...prev, {
+          type: feature.type,
+          id: feature.id,
+          label: feature.type === 'station' ? feature.name : `Hydrant ${feature.id}`,
+          lat: feature.lat,
+          lon: feature.lon,
+          feature
+        }])
+  }, [])
+
+  const outOfServiceKeys = useMemo(() => new Set(outOfService.map(outOfServiceKey)), [outOfService])
+
+  // Re-simulate whenever the selection or the underlying analysis changes
+  useEffect(() => {
+    if (outOfService.length === 0 || !globalSummary) return
+
+    const assets = {
+      hydrantIds: outOfService.filter(a => a.type === 'hydrant').map(a => a.id),
+      stationIds: outOfService.filter(a => a.type === 'station').map(a => a.id)
+    }
+    requestOutOfServiceSimulation(assets, (result) => {
+      setOutOfServiceResult({ ...result, selection: outOfService })
+    })
+  }, [outOfService, globalSummary, requestOutOfServiceSimulation])
+
+  // Only show a result computed for the current selection
+  const activeOutOfServiceResult = outOfServiceResult?.selection === outOfService ? outOfServiceResult : null
 
   const handleCloseSidebar = useCallback(() => {
     setSidebarOpen(false)
@@ -59,11 +549,26 @@ function App() {
   }, [])
 
   const toggleLayer = useCallback((layerName) => {
+    // Turning on gap zones opens their list in the sidebar
+    if (layerName === 'gapZones' && !layerVisibility.gapZones) {
+      setSelectedFeature({ type: 'gapZones' })
+      setSidebarOpen(true)
+    }
+    // Likewise the data QA report
+    if (layerName === 'dataQA' && !layerVisibility.dataQA) {
+      setSelectedFeature({ type: 'dataQA' })
+      setSidebarOpen(true)
+    }
     setLayerVisibility(prev => ({
       ...prev,
       [layerName]: !prev[layerName]
     }))
-  }, [setLayerVisibility])
+  }, [layerVisibility.gapZones, layerVisibility.dataQA, setLayerVisibility])
+
+  // Lines to the nearest hydrant and station of the address or location in the sidebar
+  const locationLinks = sidebarOpen && ['address', 'location'].includes(selectedFeature?.type) && !selectedFeature.coverage?.error
+    ? selectedFeature.coverage
+    : null
 
   const hasData = hydrants.length > 0 || stations.length > 0 || addresses.length > 0
 
@@ -76,22 +581,61 @@ function App() {
       ? Math.round(activeZipStats.hydrantCount / (activeZipStats.stationCount || stations.length))
       : '—'
   } : {
-    hydrantCount: hydrants.length,
+    hydrantCount: cleanedHydrants.length,
     stationCount: stations.length,
     addressCount: addresses.length,
-    ratio: hydrants.length > 0 && stations.length > 0
-      ? Math.round(hydrants.length / stations.length)
+    ratio: cleanedHydrants.length > 0 && stations.length > 0
+      ? Math.round(cleanedHydrants.length / stations.length)
       : '—'
   }
 
   return (
     <div className="app">
       <Map
-        hydrants={hydrants}
-        stations={stations}
+        hydrants={cleanedHydrants}
+        stations={agencyStations}
         addresses={addresses}
         zipcodes={zipcodes}
         boundary={boundary}
+        isochrones={isochrones}
+        standards={standards}
+        flowFilter={flowFilter}
+        zipFillColors={zipFillColors}
+        stationOverlap={layerVisibility.stationOverlap ? stationOverlap : null}
+        hexbinSurface={layerVisibility.gapHexbin ? hexbinSurface : null}
+        onZoomChange={setMapZoom}
+        onExtentChange={setMapExtent}
+        initialView={initialLink.view}
+        onViewChange={setMapView}
+        gapZones={layerVisibility.gapZones ? activeGapZones?.zones : null}
+        selectedGapZoneId={selectedFeature?.type === 'gapZone' ? selectedFeature.id : null}
+        onSelectGapZone={handleSelectGapZone}
+        stationLinks={layerVisibility.stationLinks ? stationLinks : null}
+        dataQA={layerVisibility.dataQA ? dataQA?.checks : null}
+        onSelectQARecord={handleSelectQARecord}
+        locationLinks={locationLinks}
+        probing={probing}
+        probe={probe}
+        onProbePoint={handleProbePoint}
+        onCloseProbe={handleCloseProbe}
+        studyAreas={layerVisibility.studyAreas ? studyAreas : null}
+        selectedStudyAreaId={sidebarOpen ? selectedStudyArea?.id : null}
+        onSelectStudyArea={handleSelectStudyArea}
+        drawingShape={drawingShape}
+        onShapeDrawn={handleShapeDrawn}
+        onCancelDrawing={handleCancelDrawing}
+        editingStudyArea={editingStudyArea}
+        onEditStudyArea={handleReshapeStudyArea}
+        focus={mapFocus}
+        hydrantPlacement={hydrantPlacement}
+        proposedStations={stationScenario?.stations}
+        placingStation={placingStation}
+        onPlaceStation={handlePlaceStation}
+        onMoveProposedStation={moveProposedStation}
+        onRemoveProposedStation={removeProposedStation}
+        outOfServiceAssets={outOfService}
+        outOfServiceResult={activeOutOfServiceResult}
+        onToggleOutOfService={toggleOutOfService}
         layerVisibility={layerVisibility}
         onFeatureClick={handleFeatureClick}
       />
@@ -103,38 +647,121 @@ function App() {
         ratio={displayStats.ratio}
         isZipView={!!activeZipStats}
         zipCode={activeZipStats ? selectedFeature?.zipCode : null}
+        onSearch={requestSearch}
+        onSelectSearchResult={handleSelectSearchResult}
+        probing={probing}
+        onToggleProbe={handleToggleProbe}
+        drawingShape={drawingShape}
+        onDrawShape={handleDrawShape}
       />
 
       <LayerPanel
-        hydrantCount={hydrants.length}
+        hydrantCount={cleanedHydrants.length}
         stationCount={stations.length}
         addressCount={addresses.length}
         zipcodeCount={zipcodes.length}
+        stationLinkCount={stationLinks.length}
+        dataQAIssueCount={dataQAIssueCount}
+        studyAreaCount={studyAreas.length}
         hasBoundary={!!boundary}
         layerVisibility={layerVisibility}
         onToggleLayer={toggleLayer}
       />
 
+      <ZipRankingPanel
+        isOpen={layerVisibility.zipChoropleth}
+        zips={zipRanking}
+        metricKey={choroplethMetric}
+        onMetricChange={setChoroplethMetric}
+        colorScale={choroplethScale}
+        standards={globalSummary?.standards || standards}
+        selectedZipId={selectedFeature?.type === 'zipcode' ? selectedFeature.id : null}
+        onSelectZip={handleSelectZipById}
+      />
+
+      <OutOfServicePanel
+        assets={outOfService}
+        result={activeOutOfServiceResult}
+        analysisReady={!!globalSummary}
+        onRestore={(asset) => toggleOutOfService(asset.feature)}
+        onClear={() => setOutOfService([])}
+      />
+
       {loading && <LoadingOverlay text={loadingText} />}
 
       <Sidebar
         isOpen={sidebarOpen}
-        feature={selectedFeature}
+        feature={sidebarFeature}
         onClose={handleCloseSidebar}
+        outOfServiceKeys={outOfServiceKeys}
+        onToggleOutOfService={toggleOutOfService}
+        gapZones={activeGapZones}
+        gapZoneConfig={gapZoneConfig}
+        onChangeGapZoneConfig={setGapZoneConfig}
+        onSelectGapZone={handleSelectGapZone}
+        stationCoverage={selectedStationCoverage}
+        dataQA={dataQA}
+        onSelectQARecord={handleSelectQARecord}
+        onPrintZipReport={handlePrintZipReport}
+        studyAreas={studyAreas}
+        editingStudyAreaId={editingStudyArea?.id}
+        onSelectStudyArea={handleOpenStudyArea}
+        onRenameStudyArea={handleRenameStudyArea}
+        onToggleEditStudyArea={handleToggleEditStudyArea}
+        onDeleteStudyArea={handleDeleteStudyArea}
       />
 
       <AnalysisPanel
         isOpen={analysisPanelOpen}
         onClose={() => setAnalysisPanelOpen(false)}
         onOpen={() => setAnalysisPanelOpen(true)}
-        hydrantCount={hydrants.length}
+        hydrantCount={cleanedHydrants.length}
         stationCount={stations.length}
         addressCount={addresses.length}
         zipcodeCount={zipcodes.length}
         globalSummary={globalSummary}
         addressDistancesReady={addressDistancesReady}
         hasData={hasData}
+        standards={standards}
+        standardsPresets={standardsPresets}
+        customStandards={customStandards}
+        onSelectStandards={selectStandards}
+        onUpdateCustomStandards={updateCustomStandards}
+        selectedZip={selectedFeature?.type === 'zipcode' ? selectedFeature : null}
+        hydrantPlacement={hydrantPlacement}
+        placementRunning={placementRunning}
+        onRunPlacement={handleRunPlacement}
+        onClearPlacement={() => setHydrantPlacement(null)}
+        stationScenario={stationScenario}
+        placingStation={placingStation}
+        onTogglePlacingStation={() => setPlacingStation(prev => !prev)}
+        onRemoveProposedStation={removeProposedStation}
+        onSelectZip={handleSelectZipById}
+        hydrants={cleanedHydrants}
+        rawHydrants={hydrants}
+        conflationConfig={conflationConfig}
+        conflationReport={conflation?.report}
+        onChangeConflationConfig={setConflationConfig}
+        flowFilter={flowFilter}
+        onChangeFlowFilter={setFlowFilter}
+        flowTestSummary={flowTestSummary}
+        onLoadFlowTests={loadFlowTests}
+        agencyStats={agencyStats}
+        stationCoverage={stationCoverageData}
+        coverageTablesLive={coverageTablesLive}
+        selectedAgency={selectedAgency}
+        agencyAnalysis={activeAgencyAnalysis}
+        onSelectAgency={handleSelectAgency}
+        mapExtent={mapExtent}
+        exportProgress={exportProgress}
+        onExport={handleExport}
+        onPrintZipReport={handlePrintZipReport}
+        onPrintAllZipReports={handlePrintAllZipReports}
       />
+
+      {zipReport && (
+        <ZipReport report={zipReport} zipcodes={zipcodes} onClose={() => setZipReport(null)} />
+      )}
     </div>
   )
 }
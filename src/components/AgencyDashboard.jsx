@@ -0,0 +1,205 @@
+import { useEffect, useRef, useMemo } from 'react'
+import * as d3 from 'd3'
+import { formatFeet } from '../utils/standards'
+import { toCSV, downloadFile } from '../utils/csv'
+import { STATION_COVERAGE_COLUMNS, AGENCY_STATS_COLUMNS } from '../utils/stationCoverage'
+import './AgencyDashboard.css'
+
+const RATINGS = [
+  { key: 'stationsExcellent', label: 'Excellent', color: '#22c55e' },
+  { key: 'stationsGood', label: 'Good', color: '#eab308' },
+  { key: 'stationsNeedsAttention', label: 'Needs Attention', color: '#ef4444' }
+]
+
+// Agency names come straight from the source data; some carry stray whitespace
+const agencyLabel = (agency) => agency.trim() || 'Unknown'
+
+function AgencyDashboard({ agencyStats, stationCoverage, tablesLive, selectedAgency, analysis, standards, onSelectAgency }) {
+  const chartRef = useRef(null)
+
+  const rows = useMemo(() => (
+    [...agencyStats].sort((a, b) => b.stationCount - a.stationCount)
+  ), [agencyStats])
+
+  // Stacked bars of station ratings per agency; clicking a bar selects the agency
+  useEffect(() => {
+    if (!chartRef.current || rows.length === 0) return
+
+    const container = chartRef.current
+    container.innerHTML = ''
+
+    const margin = { top: 5, right: 30, bottom: 20, left: 90 }
+    const width = 300 - margin.left - margin.right
+    const height = rows.length * 18
+
+    const svg = d3.select(container)
+      .append('svg')
+      .attr('width', width + margin.left + margin.right)
+      .attr('height', height + margin.top + margin.bottom)
+      .append('g')
+      .attr('transform', `translate(${margin.left}, ${margin.top})`)
+
+    const y = d3.scaleBand()
+      .domain(rows.map(r => r.agency))
+      .range([0, height])
+      .padding(0.25)
+
+    const x = d3.scaleLinear()
+      .domain([0, d3.max(rows, r => r.stationCount) || 1])
+      .range([0, width])
+
+    svg.append('g')
+      .call(d3.axisLeft(y).tickSize(0).tickFormat(agencyLabel))
+      .selectAll('text')
+      .attr('fill', 'var(--text-muted)')
+      .attr('font-size', '9px')
+
+    svg.append('g')
+      .attr('transform', `translate(0, ${height})`)
+      .call(d3.axisBottom(x).ticks(4).tickFormat(d3.format('d')))
+      .selectAll('text')
+      .attr('fill', 'var(--text-muted)')
+      .attr('font-size', '9px')
+
+    svg.selectAll('.domain').attr('stroke', 'var(--border)')
+
+    const stack = d3.stack().keys(RATINGS.map(r => r.key))(rows)
+
+    svg.append('g')
+      .selectAll('g')
+      .data(stack)
+      .enter()
+      .append('g')
+      .attr('fill', (d, i) => RATINGS[i].color)
+      .selectAll('rect')
+      .data(d => d)
+      .enter()
+      .append('rect')
+      .attr('y', d => y(d.data.agency))
+      .attr('height', y.bandwidth())
+      .attr('x', d => x(d[0]))
+      .attr('width', 0)
+      .attr('opacity', d => (!selectedAgency || d.data.agency === selectedAgency ? 1 : 0.3))
+      .style('cursor', 'pointer')
+      .on('click', (event, d) => onSelectAgency(d.data.agency === selectedAgency ? null : d.data.agency))
+      .transition()
+      .duration(600)
+      .attr('width', d => x(d[1]) - x(d[0]))
+
+    svg.selectAll('.bar-label')
+      .data(rows)
+      .enter()
+      .append('text')
+      .attr('class', 'bar-label')
+      .attr('x', r => x(r.stationCount) + 4)
+      .attr('y', r => y(r.agency) + y.bandwidth() / 2)
+      .attr('dy', '0.35em')
+      .attr('fill', 'var(--text-secondary)')
+      .attr('font-size', '9px')
+      .attr('font-family', "'DM Mono', monospace")
+      .text(r => r.stationCount)
+
+    return () => {
+      d3.select(container).selectAll('*').interrupt()
+    }
+  }, [rows, selectedAgency, onSelectAgency])
+
+  if (rows.length === 0) return null
+
+  const stats = analysis?.stats
+  const optimalLabel = formatFeet(standards.hydrant.optimalFt)
+  const acceptableLabel = formatFeet(standards.hydrant.acceptableFt)
+
+  return (
+    <div className="chart-section agency-dashboard">
+      <h3>Agencies</h3>
+      <p className="chart-description">
+        Station hydrant-coverage ratings by agency. Select an agency to show only its stations and analyze the area it serves first-due.
+      </p>
+      <div className="agency-source">
+        <span>{tablesLive ? 'Recomputed from the loaded hydrants and stations' : 'From the bundled coverage analysis'}</span>
+        <button onClick={() => downloadFile(toCSV(stationCoverage, STATION_COVERAGE_COLUMNS), 'station_coverage.csv')}>
+          Stations CSV
+        </button>
+        <button onClick={() => downloadFile(toCSV(agencyStats, AGENCY_STATS_COLUMNS), 'agency_stats.csv')}>
+          Agencies CSV
+        </button>
+      </div>
+
+      <div className="agency-legend">
+        {RATINGS.map(r => (
+          <span key={r.key}><i style={{ background: r.color }} />{r.label}</span>
+        ))}
+      </div>
+      <div ref={chartRef} className="agency-chart" />
+
+      <table className="agency-table">
+        <thead>
+          <tr>
+            <th>Agency</th>
+            <th>Stations</th>
+            <th>Avg. nearest</th>
+            <th>Hydrants ≤1,000 ft</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => (
+            <tr
+              key={r.agency}
+              className={r.agency === selectedAgency ? 'selected' : ''}
+              onClick={() => onSelectAgency(r.agency === selectedAgency ? null : r.agency)}
+            >
+              <td>{agencyLabel(r.agency)}</td>
+              <td>{r.stationCount}</td>
+              <td>{r.avgNearestDistance === null ? '—' : `${Math.round(r.avgNearestDistance).toLocaleString()} ft`}</td>
+              <td>{r.avgHydrantsWithin1000.toFixed(1)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {selectedAgency && (
+        <div className="agency-selection">
+          <div className="agency-selection-header">
+            <span>{agencyLabel(selectedAgency)} first-due area</span>
+            <button className="agency-clear" onClick={() => onSelectAgency(null)}>Show all agencies</button>
+          </div>
+          {!stats ? (
+            <span className="agency-pending">Analyzing…</span>
+          ) : stats.addressCount === 0 ? (
+            <span className="agency-pending">No addresses are served first-due by this agency's stations</span>
+          ) : (
+            <div className="metrics-grid">
+              <div className="metric-card">
+                <span className="metric-value">{stats.addressCount.toLocaleString()}</span>
+                <span className="metric-label">Addresses First-Due</span>
+              </div>
+              <div className="metric-card">
+                <span className="metric-value">{stats.coveragePercentOptimal}%</span>
+                <span className="metric-label">Hydrant within {optimalLabel}</span>
+              </div>
+              <div className="metric-card">
+                <span className="metric-value">{stats.coveragePercentAcceptable}%</span>
+                <span className="metric-label">Hydrant within {acceptableLabel}</span>
+              </div>
+              <div className="metric-card">
+                <span className="metric-value">{stats.stationCoveragePercent}%</span>
+                <span className="metric-label">Within Response Standard</span>
+              </div>
+              <div className="metric-card">
+                <span className="metric-value">{stats.addressesUnderserved.toLocaleString()}</span>
+                <span className="metric-label">Underserved Addresses</span>
+              </div>
+              <div className="metric-card">
+                <span className="metric-value">{stats.hydrantCount.toLocaleString()}</span>
+                <span className="metric-label">Hydrants Serving</span>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AgencyDashboard
@@ -1,5 +1,14 @@
 import { useEffect, useRef, useMemo, useState, useCallback } from 'react'
 import * as d3 from 'd3'
+import StandardsPanel from './StandardsPanel'
+import FireFlowPanel from './FireFlowPanel'
+import HydrantConflationPanel from './HydrantConflationPanel'
+import AgencyDashboard from './AgencyDashboard'
+import PlacementOptimizer from './PlacementOptimizer'
+import ProposedStationsPanel from './ProposedStationsPanel'
+import ExportPanel from './ExportPanel'
+import { getCoverageGrade as gradeForPercent, formatFeet } from '../utils/standards'
+import { drawCoverageDonut, drawCoverageBars } from '../utils/coverageCharts'
 import './AnalysisPanel.css'
 
 function AnalysisPanel({
@@ -12,7 +21,42 @@ function AnalysisPanel({
   zipcodeCount,
   globalSummary,
   addressDistancesReady,
-  hasData
+  hasData,
+  standards,
+  standardsPresets,
+  customStandards,
+  onSelectStandards,
+  onUpdateCustomStandards,
+  selectedZip,
+  hydrantPlacement,
+  placementRunning,
+  onRunPlacement,
+  onClearPlacement,
+  stationScenario,
+  placingStation,
+  onTogglePlacingStation,
+  onRemoveProposedStation,
+  onSelectZip,
+  hydrants,
+  rawHydrants,
+  conflationConfig,
+  conflationReport,
+  onChangeConflationConfig,
+  flowFilter,
+  onChangeFlowFilter,
+  flowTestSummary,
+  onLoadFlowTests,
+  agencyStats,
+  stationCoverage,
+  coverageTablesLive,
+  selectedAgency,
+  agencyAnalysis,
+  onSelectAgency,
+  mapExtent,
+  exportProgress,
+  onExport,
+  onPrintZipReport,
+  onPrintAllZipReports
 }) {
   const donutRef = useRef(null)
   const barRef = useRef(null)
@@ -24,6 +68,11 @@ function AnalysisPanel({
   const dragRef = useRef(null)
   const dragStartRef = useRef({ x: 0, y: 0, posX: 0, posY: 0 })
 
+  // Labels follow the profile the summary was computed with, so they never run ahead of the numbers
+  const activeStandards = globalSummary?.standards || standards
+  const optimalLabel = formatFeet(activeStandards.hydrant.optimalFt)
+  const acceptableLabel = formatFeet(activeStandards.hydrant.acceptableFt)
+
   // Initialize center position when panel opens
   useEffect(() => {
     if (isOpen && position.x === null) {
@@ -85,20 +134,20 @@ function AnalysisPanel({
   const metrics = useMemo(() => {
     if (!globalSummary || addressCount === 0) return null
 
-    const within500 = globalSummary.within500ft || 0
-    const within1000 = globalSummary.within1000ft || 0
+    const withinOptimal = globalSummary.withinOptimal || 0
+    const withinAcceptable = globalSummary.withinAcceptable || 0
     const underserved = globalSummary.underserved || 0
     const total = addressCount
 
     // Risk score: weighted combination of coverage metrics (0-100, lower is better)
     const riskScore = Math.round(
       (underserved / total) * 100 * 0.6 +
-      ((total - within500) / total) * 100 * 0.4
+      ((total - withinOptimal) / total) * 100 * 0.4
     )
 
     // Coverage efficiency: how well hydrants are distributed
     const coverageEfficiency = hydrantCount > 0
-      ? Math.round((within500 / hydrantCount) * 10) / 10
+      ? Math.round((withinOptimal / hydrantCount) * 10) / 10
       : 0
 
     // Addresses per hydrant
@@ -106,224 +155,32 @@ function AnalysisPanel({
       ? Math.round(addressCount / hydrantCount)
       : 0
 
-    // Service area estimate (sq ft per hydrant assuming 500ft radius)
-    const serviceAreaPerHydrant = Math.round(Math.PI * 500 * 500)
+    // Service area estimate (sq ft per hydrant within the optimal radius)
+    const optimalFt = globalSummary.standards.hydrant.optimalFt
+    const serviceAreaPerHydrant = Math.round(Math.PI * optimalFt * optimalFt)
 
     return {
-      within500,
-      within1000,
+      withinOptimal,
+      withinAcceptable,
       underserved,
       riskScore,
       coverageEfficiency,
       addressesPerHydrant,
       serviceAreaPerHydrant,
-      marginalCoverage: within1000 - within500
+      marginalCoverage: withinAcceptable - withinOptimal
     }
   }, [globalSummary, addressCount, hydrantCount])
 
   // Donut Chart - Coverage Breakdown
   useEffect(() => {
     if (!isOpen || !globalSummary || !donutRef.current) return
-
-    const container = donutRef.current
-    container.innerHTML = ''
-
-    const width = 180
-    const height = 180
-    const radius = Math.min(width, height) / 2
-
-    const svg = d3.select(container)
-      .append('svg')
-      .attr('width', width)
-      .attr('height', height)
-      .append('g')
-      .attr('transform', `translate(${width / 2}, ${height / 2})`)
-
-    const within500 = globalSummary.within500ft || 0
-    const within1000Only = (globalSummary.within1000ft || 0) - within500
-    const underserved = globalSummary.underserved || 0
-
-    const data = [
-      { label: 'Within 500ft', value: within500, color: '#22c55e' },
-      { label: '500-1000ft', value: within1000Only, color: '#eab308' },
-      { label: 'Underserved', value: underserved, color: '#ef4444' }
-    ].filter(d => d.value > 0)
-
-    const pie = d3.pie()
-      .value(d => d.value)
-      .sort(null)
-      .padAngle(0.02)
-
-    const arc = d3.arc()
-      .innerRadius(radius * 0.6)
-      .outerRadius(radius * 0.9)
-
-    const arcs = svg.selectAll('path')
-      .data(pie(data))
-      .enter()
-      .append('path')
-      .attr('fill', d => d.data.color)
-      .attr('stroke', 'var(--bg-panel)')
-      .attr('stroke-width', 2)
-      .style('opacity', 0)
-      .style('cursor', 'pointer')
-
-    // Animate in
-    arcs.transition()
-      .duration(800)
-      .delay((d, i) => i * 150)
-      .style('opacity', 1)
-      .attrTween('d', function(d) {
-        const interpolate = d3.interpolate({ startAngle: d.startAngle, endAngle: d.startAngle }, d)
-        return t => arc(interpolate(t))
-      })
-
-    // Hover effect
-    arcs.on('mouseover', function() {
-      d3.select(this).transition().duration(200).attr('transform', 'scale(1.05)')
-    }).on('mouseout', function() {
-      d3.select(this).transition().duration(200).attr('transform', 'scale(1)')
-    })
-
-    // Center text
-    const centerGroup = svg.append('g')
-      .attr('class', 'center-text')
-
-    const pctText = centerGroup.append('text')
-      .attr('text-anchor', 'middle')
-      .attr('dy', '-0.2em')
-      .attr('fill', 'var(--text-primary)')
-      .attr('font-size', '24px')
-      .attr('font-weight', '700')
-      .attr('font-family', "'DM Mono', monospace")
-      .text(globalSummary.pctWithin500 + '%')
-      .style('opacity', 0)
-
-    pctText.transition()
-      .delay(600)
-      .duration(400)
-      .style('opacity', 1)
-
-    centerGroup.append('text')
-      .attr('text-anchor', 'middle')
-      .attr('dy', '1.2em')
-      .attr('fill', 'var(--text-muted)')
-      .attr('font-size', '11px')
-      .attr('letter-spacing', '1px')
-      .text('OPTIMAL')
-      .style('opacity', 0)
-      .transition()
-      .delay(700)
-      .duration(400)
-      .style('opacity', 1)
-
-    // Cleanup function to stop all D3 transitions when unmounting
-    return () => {
-      d3.select(container).selectAll('*').interrupt()
-    }
+    return drawCoverageDonut(donutRef.current, globalSummary, globalSummary.pctWithinOptimal)
   }, [isOpen, globalSummary])
 
   // Bar Chart - Distance Distribution
   useEffect(() => {
     if (!isOpen || !globalSummary || !barRef.current) return
-
-    const container = barRef.current
-    container.innerHTML = ''
-
-    const margin = { top: 15, right: 15, bottom: 35, left: 50 }
-    const width = 280 - margin.left - margin.right
-    const height = 140 - margin.top - margin.bottom
-
-    const svg = d3.select(container)
-      .append('svg')
-      .attr('width', width + margin.left + margin.right)
-      .attr('height', height + margin.top + margin.bottom)
-      .append('g')
-      .attr('transform', `translate(${margin.left}, ${margin.top})`)
-
-    const within500 = globalSummary.within500ft || 0
-    const within1000Only = (globalSummary.within1000ft || 0) - within500
-    const underserved = globalSummary.underserved || 0
-
-    const data = [
-      { label: 'Optimal', value: within500, color: '#22c55e' },
-      { label: 'Marginal', value: within1000Only, color: '#eab308' },
-      { label: 'At Risk', value: underserved, color: '#ef4444' }
-    ]
-
-    const x = d3.scaleBand()
-      .domain(data.map(d => d.label))
-      .range([0, width])
-      .padding(0.3)
-
-    const y = d3.scaleLinear()
-      .domain([0, d3.max(data, d => d.value) * 1.15])
-      .range([height, 0])
-
-    // X axis
-    svg.append('g')
-      .attr('transform', `translate(0, ${height})`)
-      .call(d3.axisBottom(x).tickSize(0))
-      .selectAll('text')
-      .attr('fill', 'var(--text-muted)')
-      .attr('font-size', '9px')
-
-    svg.selectAll('.domain').attr('stroke', 'var(--border)')
-
-    // Y axis
-    svg.append('g')
-      .call(d3.axisLeft(y).ticks(4).tickFormat(d3.format('.2s')))
-      .selectAll('text')
-      .attr('fill', 'var(--text-muted)')
-      .attr('font-size', '9px')
-
-    // Bars with hover
-    svg.selectAll('rect')
-      .data(data)
-      .enter()
-      .append('rect')
-      .attr('x', d => x(d.label))
-      .attr('width', x.bandwidth())
-      .attr('y', height)
-      .attr('height', 0)
-      .attr('fill', d => d.color)
-      .attr('rx', 4)
-      .style('cursor', 'pointer')
-      .on('mouseover', function(event, d) {
-        d3.select(this).attr('opacity', 0.8)
-      })
-      .on('mouseout', function() {
-        d3.select(this).attr('opacity', 1)
-      })
-      .transition()
-      .duration(800)
-      .delay((d, i) => i * 150)
-      .attr('y', d => y(d.value))
-      .attr('height', d => height - y(d.value))
-
-    // Value labels on top of bars
-    svg.selectAll('.bar-label')
-      .data(data)
-      .enter()
-      .append('text')
-      .attr('class', 'bar-label')
-      .attr('x', d => x(d.label) + x.bandwidth() / 2)
-      .attr('y', d => y(d.value) - 5)
-      .attr('text-anchor', 'middle')
-      .attr('fill', 'var(--text-secondary)')
-      .attr('font-size', '9px')
-      .attr('font-family', "'DM Mono', monospace")
-      .text(d => d.value.toLocaleString())
-      .style('opacity', 0)
-      .transition()
-      .delay(1000)
-      .duration(300)
-      .style('opacity', 1)
-
-    // Cleanup function to stop all D3 transitions
-    return () => {
-      d3.select(container).selectAll('*').interrupt()
-    }
+    return drawCoverageBars(barRef.current, globalSummary)
   }, [isOpen, globalSummary])
 
   // Density gauge
@@ -404,15 +261,10 @@ function AnalysisPanel({
     ? ((hydrantCount / addressCount) * 1000).toFixed(1)
     : '—'
 
-  // Calculate coverage grade
+  // Calculate coverage grade against the active profile's cutoffs
   const getCoverageGrade = () => {
     if (!globalSummary) return { grade: '—', color: 'var(--text-muted)', label: '' }
-    const pct = parseFloat(globalSummary.pctWithin500)
-    if (pct >= 90) return { grade: 'A', color: '#22c55e', label: 'Excellent' }
-    if (pct >= 80) return { grade: 'B', color: '#84cc16', label: 'Good' }
-    if (pct >= 70) return { grade: 'C', color: '#eab308', label: 'Moderate' }
-    if (pct >= 60) return { grade: 'D', color: '#f97316', label: 'Below Average' }
-    return { grade: 'F', color: '#ef4444', label: 'Needs Improvement' }
+    return gradeForPercent(parseFloat(globalSummary.pctWithinOptimal), activeStandards)
   }
 
   const grade = getCoverageGrade()
@@ -457,6 +309,14 @@ function AnalysisPanel({
         </div>
 
         <div className="analysis-content">
+          <StandardsPanel
+            standards={standards}
+            presets={standardsPresets}
+            customProfile={customStandards}
+            onSelectProfile={onSelectStandards}
+            onUpdateCustom={onUpdateCustomStandards}
+          />
+
           {/* Coverage Grade */}
           {globalSummary && (
             <div className="grade-section">
@@ -465,7 +325,7 @@ function AnalysisPanel({
               </div>
               <div className="grade-info">
                 <span className="grade-title">{grade.label}</span>
-                <span className="grade-subtitle">{globalSummary.pctWithin500}% within optimal range</span>
+                <span className="grade-subtitle">{globalSummary.pctWithinOptimal}% within {optimalLabel} ({activeStandards.name})</span>
               </div>
             </div>
           )}
@@ -503,15 +363,15 @@ function AnalysisPanel({
                   <div className="chart-legend">
                     <div className="legend-item">
                       <span className="legend-color" style={{ background: '#22c55e' }} />
-                      <span>Within 500 ft — Optimal coverage</span>
+                      <span>Within {optimalLabel} — Optimal coverage</span>
                     </div>
                     <div className="legend-item">
                       <span className="legend-color" style={{ background: '#eab308' }} />
-                      <span>500–1,000 ft — Marginal coverage</span>
+                      <span>{optimalLabel}–{acceptableLabel} — Marginal coverage</span>
                     </div>
                     <div className="legend-item">
                       <span className="legend-color" style={{ background: '#ef4444' }} />
-                      <span>Beyond 1,000 ft — At risk</span>
+                      <span>Beyond {acceptableLabel} — At risk</span>
                     </div>
                   </div>
                 </div>
@@ -568,15 +428,106 @@ function AnalysisPanel({
                 </div>
               )}
 
+              {/* Multi-hydrant availability */}
+              <div className="chart-section">
+                <h3>Hydrant Availability</h3>
+                <p className="chart-description">
+                  Large fires draw on more than one hydrant; ISO credits every hydrant within 1,000 ft, not only the nearest
+                </p>
+                <div className="metrics-grid">
+                  <div className="metric-card">
+                    <span className="metric-value">{globalSummary.pctTwoHydrantsAcceptable}%</span>
+                    <span className="metric-label">2+ Hydrants within {acceptableLabel}</span>
+                  </div>
+                  <div className="metric-card">
+                    <span className="metric-value">{globalSummary.pctThreeHydrantsAcceptable}%</span>
+                    <span className="metric-label">3+ Hydrants within {acceptableLabel}</span>
+                  </div>
+                  <div className="metric-card">
+                    <span className="metric-value">{globalSummary.pctTwoHydrantsOptimal}%</span>
+                    <span className="metric-label">2+ Hydrants within {optimalLabel}</span>
+                  </div>
+                  <div className="metric-card">
+                    <span className="metric-value">{globalSummary.avgHydrantsWithinAcceptable.toFixed(1)}</span>
+                    <span className="metric-label">Avg. Hydrants within {acceptableLabel}</span>
+                  </div>
+                  {globalSummary.avgSecondHydrantDistance !== null && (
+                    <div className="metric-card">
+                      <span className="metric-value">{Math.round(globalSummary.avgSecondHydrantDistance).toLocaleString()} ft</span>
+                      <span className="metric-label">Avg. Distance to 2nd Hydrant</span>
+                    </div>
+                  )}
+                  {globalSummary.avgThirdHydrantDistance !== null && (
+                    <div className="metric-card">
+                      <span className="metric-value">{Math.round(globalSummary.avgThirdHydrantDistance).toLocaleString()} ft</span>
+                      <span className="metric-label">Avg. Distance to 3rd Hydrant</span>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <HydrantConflationPanel
+                rawHydrants={rawHydrants}
+                config={conflationConfig}
+                report={conflationReport}
+                onChangeConfig={onChangeConflationConfig}
+              />
+
+              <FireFlowPanel
+                hydrants={hydrants}
+                filter={flowFilter}
+                onChangeFilter={onChangeFlowFilter}
+                globalSummary={globalSummary}
+                flowTestSummary={flowTestSummary}
+                onLoadFlowTests={onLoadFlowTests}
+              />
+
+              <AgencyDashboard
+                agencyStats={agencyStats}
+                stationCoverage={stationCoverage}
+                tablesLive={coverageTablesLive}
+                selectedAgency={selectedAgency}
+                analysis={agencyAnalysis}
+                standards={activeStandards}
+                onSelectAgency={onSelectAgency}
+              />
+
+              <PlacementOptimizer
+                standards={activeStandards}
+                selectedZip={selectedZip}
+                result={hydrantPlacement}
+                running={placementRunning}
+                onRun={onRunPlacement}
+                onClear={onClearPlacement}
+              />
+
+              <ProposedStationsPanel
+                scenario={stationScenario}
+                placing={placingStation}
+                onTogglePlacing={onTogglePlacingStation}
+                onRemove={onRemoveProposedStation}
+                onSelectZip={onSelectZip}
+              />
+
+              <ExportPanel
+                selectedZip={selectedZip}
+                mapExtent={mapExtent}
+                progress={exportProgress}
+                onExport={onExport}
+                zipcodeCount={zipcodeCount}
+                onPrintZipReport={onPrintZipReport}
+                onPrintAllZipReports={onPrintAllZipReports}
+              />
+
               {/* Insights */}
               <div className="insights-section">
                 <h3>Analysis Summary</h3>
                 <div className="insight-cards">
-                  <div className={`insight-card ${parseFloat(globalSummary.pctWithin500) >= 80 ? 'good' : 'warning'}`}>
-                    <span className="insight-icon">{parseFloat(globalSummary.pctWithin500) >= 80 ? '✓' : '!'}</span>
+                  <div className={`insight-card ${parseFloat(globalSummary.pctWithinOptimal) >= activeStandards.grades.B ? 'good' : 'warning'}`}>
+                    <span className="insight-icon">{parseFloat(globalSummary.pctWithinOptimal) >= activeStandards.grades.B ? '✓' : '!'}</span>
                     <p>
-                      <strong>{globalSummary.pctWithin500}%</strong> of addresses have a fire hydrant within 500 ft,
-                      meeting the recommended standard for urban fire protection.
+                      <strong>{globalSummary.pctWithinOptimal}%</strong> of addresses have a fire hydrant within {optimalLabel},
+                      the optimal distance under the {activeStandards.name} standard.
                     </p>
                   </div>
                   {globalSummary.underserved > 0 && (
@@ -584,7 +535,7 @@ function AnalysisPanel({
                       <span className="insight-icon">!</span>
                       <p>
                         <strong>{globalSummary.underserved.toLocaleString()}</strong> addresses ({((globalSummary.underserved / addressCount) * 100).toFixed(1)}%)
-                        are more than 1,000 ft from the nearest hydrant. These locations may experience
+                        are more than {acceptableLabel} from the nearest hydrant. These locations may experience
                         delayed fire response times and should be prioritized for infrastructure improvements.
                       </p>
                     </div>
@@ -594,7 +545,7 @@ function AnalysisPanel({
                       <span className="insight-icon">i</span>
                       <p>
                         <strong>{metrics.marginalCoverage.toLocaleString()}</strong> addresses fall in the marginal
-                        coverage zone (500–1,000 ft). Consider strategic hydrant placement to bring these
+                        coverage zone ({optimalLabel}–{acceptableLabel}). Consider strategic hydrant placement to bring these
                         addresses into optimal range.
                       </p>
                     </div>
@@ -0,0 +1,63 @@
+import { toCSV, downloadFile } from '../utils/csv'
+import { QA_RECORD_COLUMNS } from '../utils/dataQA'
+import './DataQAList.css'
+
+const SAMPLE_COUNT = 5
+
+function DataQAList({ result, onSelectRecord }) {
+  if (!result) return <p className="data-qa-intro">Checking the loaded data…</p>
+  if (result.error) return <p className="data-qa-intro">{result.error}</p>
+
+  const issueCount = result.checks.reduce((sum, c) => sum + c.count, 0)
+  const records = result.checks.flatMap(c => c.records)
+
+  return (
+    <div className="data-qa-list">
+      <p className="data-qa-intro">
+        Checked {result.datasets.hydrants.toLocaleString()} hydrants, {result.datasets.stations.toLocaleString()} stations,{' '}
+        {result.datasets.addresses.toLocaleString()} addresses and {result.datasets.zipcodes.toLocaleString()} ZIP polygons
+        {result.datasets.boundary ? ' against the county boundary' : ' (no county boundary loaded)'}
+      </p>
+
+      <div className="data-qa-summary">
+        <span>{issueCount === 0 ? 'No issues found' : `${issueCount.toLocaleString()} issues`}</span>
+        {records.length > 0 && (
+          <button onClick={() => downloadFile(toCSV(records, QA_RECORD_COLUMNS), 'data_qa.csv')}>Export CSV</button>
+        )}
+      </div>
+
+      {result.checks.map(check => (
+        <div key={check.id} className={`data-qa-check ${check.count === 0 ? 'clean' : ''}`}>
+          <div className="data-qa-check-header">
+            <span className="data-qa-swatch" style={{ backgroundColor: check.color }} />
+            <span className="data-qa-label">{check.label}</span>
+            <span className="data-qa-count">{check.count.toLocaleString()}</span>
+          </div>
+          <p className="data-qa-description">{check.description}</p>
+          {check.count > 0 && (
+            <ul className="data-qa-samples">
+              {check.records.slice(0, SAMPLE_COUNT).map((record, i) => (
+                <li
+                  key={i}
+                  className={Number.isFinite(record.lat) ? '' : 'no-location'}
+                  onClick={() => Number.isFinite(record.lat) && onSelectRecord(record)}
+                >
+                  <span className="data-qa-record">{record.dataset} {record.recordId}</span>
+                  <span className="data-qa-detail">{record.detail}</span>
+                </li>
+              ))}
+              {check.count > SAMPLE_COUNT && (
+                <li className="data-qa-more">
+                  and {(check.count - SAMPLE_COUNT).toLocaleString()} more
+                  {check.records.length < check.count && ` (first ${check.records.length.toLocaleString()} exported)`}
+                </li>
+              )}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default DataQAList
@@ -0,0 +1,85 @@
+import { useState } from 'react'
+import { EXPORT_DATASETS, EXPORT_SCOPES, EXPORT_FORMATS } from '../utils/exportResults'
+import './ExportPanel.css'
+
+function ExportPanel({ selectedZip, mapExtent, progress, onExport, zipcodeCount, onPrintZipReport, onPrintAllZipReports }) {
+  const [dataset, setDataset] = useState('addresses')
+  const [scopeId, setScopeId] = useState('county')
+  const [format, setFormat] = useState('csv')
+
+  // A ZIP scope falls back to the county once the ZIP is deselected
+  const activeScopeId = scopeId === 'zip' && !selectedZip ? 'county' : scopeId
+  const running = !!progress
+
+  const handleExport = () => {
+    const scope = activeScopeId === 'zip'
+      ? { type: 'zip', zipId: selectedZip.id }
+      : activeScopeId === 'extent' ? { type: 'extent', bbox: mapExtent } : { type: 'county' }
+    onExport({ dataset, format, scope }, selectedZip?.zipCode)
+  }
+
+  const scopeLabel = (scope) => {
+    if (scope.id === 'zip') return selectedZip ? `ZIP ${selectedZip.zipCode}` : 'Selected ZIP (none)'
+    return scope.label
+  }
+
+  return (
+    <div className="chart-section export-panel">
+      <h3>Export Results</h3>
+      <p className="chart-description">
+        Download per-address distances and coverage classes, or the per-ZIP stats table
+      </p>
+
+      <div className="export-controls">
+        <label className="export-field">
+          Data
+          <select value={dataset} onChange={(e) => setDataset(e.target.value)}>
+            {EXPORT_DATASETS.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+          </select>
+        </label>
+        <label className="export-field">
+          Area
+          <select value={activeScopeId} onChange={(e) => setScopeId(e.target.value)}>
+            {EXPORT_SCOPES.map(s => (
+              <option key={s.id} value={s.id} disabled={(s.id === 'zip' && !selectedZip) || (s.id === 'extent' && !mapExtent)}>
+                {scopeLabel(s)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="export-field">
+          Format
+          {EXPORT_FORMATS.map(f => (
+            <label key={f.id} className="export-format">
+              <input type="radio" name="export-format" checked={format === f.id} onChange={() => setFormat(f.id)} />
+              {f.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="export-actions">
+        <button className="export-run" onClick={handleExport} disabled={running}>
+          {running ? 'Exporting…' : 'Export'}
+        </button>
+        {running && progress.total !== null && (
+          <span className="export-progress">
+            {progress.written.toLocaleString()} of {progress.total.toLocaleString()} records
+          </span>
+        )}
+      </div>
+
+      {zipcodeCount > 0 && (
+        <div className="export-reports">
+          <span>Printable ZIP reports</span>
+          <button onClick={() => onPrintZipReport([selectedZip.id])} disabled={!selectedZip}>
+            {selectedZip ? `ZIP ${selectedZip.zipCode}` : 'Selected ZIP'}
+          </button>
+          <button onClick={onPrintAllZipReports}>All {zipcodeCount.toLocaleString()} ZIPs</button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ExportPanel
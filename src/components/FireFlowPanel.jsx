@@ -0,0 +1,90 @@
+import { useMemo } from 'react'
+import { FIRE_FLOW_CLASSES, UNKNOWN_FLOW_COLOR, MIN_FLOW_OPTIONS } from '../utils/fireFlow'
+import { formatPointDelta } from '../utils/stationScenario'
+import './FireFlowPanel.css'
+
+function FireFlowPanel({ hydrants, filter, onChangeFilter, globalSummary, flowTestSummary, onLoadFlowTests }) {
+  const classCounts = useMemo(() => {
+    const counts = { unknown: 0 }
+    for (const c of FIRE_FLOW_CLASSES) counts[c.id] = 0
+    for (const h of hydrants) counts[h.flowClass || 'unknown']++
+    return counts
+  }, [hydrants])
+
+  const filterActive = globalSummary?.flowFilter?.minFlowGpm > 0
+
+  return (
+    <div className="chart-section fire-flow">
+      <h3>Fire Flow</h3>
+      <p className="chart-description">
+        Hydrants by NFPA 291 class (rated flow at 20 psi residual). Raise the minimum flow to count only hydrants that can supply it.
+      </p>
+
+      <ul className="fire-flow-classes">
+        {FIRE_FLOW_CLASSES.map(c => (
+          <li key={c.id}>
+            <span className="fire-flow-swatch" style={{ background: c.color }} />
+            <span className="fire-flow-label">{c.label}</span>
+            <span className="fire-flow-count">{classCounts[c.id].toLocaleString()}</span>
+          </li>
+        ))}
+        <li>
+          <span className="fire-flow-swatch" style={{ background: UNKNOWN_FLOW_COLOR }} />
+          <span className="fire-flow-label">No flow test</span>
+          <span className="fire-flow-count">{classCounts.unknown.toLocaleString()}</span>
+        </li>
+      </ul>
+
+      <div className="fire-flow-controls">
+        <label className="fire-flow-field">
+          Minimum flow
+          <select
+            value={filter.minFlowGpm}
+            onChange={(e) => onChangeFilter({ ...filter, minFlowGpm: parseInt(e.target.value, 10) })}
+          >
+            {MIN_FLOW_OPTIONS.map(gpm => (
+              <option key={gpm} value={gpm}>{gpm === 0 ? 'Any' : `≥${gpm.toLocaleString()} GPM`}</option>
+            ))}
+          </select>
+        </label>
+        <label className={`fire-flow-field ${filter.minFlowGpm > 0 ? '' : 'disabled'}`}>
+          <input
+            type="checkbox"
+            checked={filter.includeUnknown}
+            disabled={filter.minFlowGpm === 0}
+            onChange={(e) => onChangeFilter({ ...filter, includeUnknown: e.target.checked })}
+          />
+          Count hydrants without a flow test
+        </label>
+        <label className="fire-flow-file">
+          Join flow tests (CSV)
+          <input type="file" accept=".csv" onChange={onLoadFlowTests} />
+        </label>
+        {flowTestSummary && (
+          <span className="fire-flow-join">
+            {flowTestSummary.matched.toLocaleString()} of {flowTestSummary.total.toLocaleString()} tests matched a hydrant
+            {flowTestSummary.unmatchedHydrants > 0 &&
+              ` · ${flowTestSummary.unmatchedHydrants.toLocaleString()} hydrants without an ID could not be joined by ID`}
+          </span>
+        )}
+      </div>
+
+      {filterActive && (
+        <div className="fire-flow-delta">
+          <span className="fire-flow-delta-label">Countywide acceptable hydrant coverage</span>
+          <span className="fire-flow-delta-value">
+            {globalSummary.pctWithinAcceptableAllHydrants}% → {globalSummary.pctWithinAcceptable}%
+            <strong>
+              {formatPointDelta(parseFloat(globalSummary.pctWithinAcceptable) - parseFloat(globalSummary.pctWithinAcceptableAllHydrants))}
+            </strong>
+          </span>
+          <span className="fire-flow-delta-sub">
+            All hydrants → only ≥{globalSummary.flowFilter.minFlowGpm.toLocaleString()} GPM
+          </span>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FireFlowPanel
@@ -0,0 +1,67 @@
+import { formatFeet } from '../utils/standards'
+import './GapZoneList.css'
+
+function GapZoneList({ result, config, onChangeConfig, onSelectZone }) {
+  const updateConfig = (key, raw) => {
+    const value = parseInt(raw, 10)
+    if (Number.isInteger(value) && value > 0) onChangeConfig({ ...config, [key]: value })
+  }
+
+  return (
+    <div className="gap-zone-list">
+      <p className="gap-zone-intro">
+        Clusters of underserved addresses, outlined and ranked by severity (total feet beyond the acceptable hydrant distance)
+      </p>
+
+      <div className="gap-zone-config">
+        <label>
+          Within
+          <input
+            type="number"
+            min="50"
+            step="50"
+            defaultValue={config.epsFt}
+            onBlur={(e) => updateConfig('epsFt', e.target.value)}
+          />
+          ft
+        </label>
+        <label>
+          Min. addresses
+          <input
+            type="number"
+            min="2"
+            defaultValue={config.minPoints}
+            onBlur={(e) => updateConfig('minPoints', e.target.value)}
+          />
+        </label>
+      </div>
+
+      {!result ? (
+        <p className="gap-zone-intro">Finding gap zones…</p>
+      ) : result.error ? (
+        <p className="gap-zone-intro">{result.error}</p>
+      ) : (
+        <>
+          <p className="gap-zone-summary">
+            {result.zones.length.toLocaleString()} zones hold {result.clusteredCount.toLocaleString()} of {result.underservedCount.toLocaleString()} underserved addresses
+          </p>
+          <ol className="gap-zone-items">
+            {result.zones.map(zone => (
+              <li key={zone.id} onClick={() => onSelectZone(zone)}>
+                <span className="gap-zone-rank">{zone.rank}</span>
+                <span className="gap-zone-main">
+                  <span className="gap-zone-title">{zone.zipCode ? `ZIP ${zone.zipCode}` : 'Outside ZIPs'}</span>
+                  <span className="gap-zone-sub">
+                    {zone.addressCount.toLocaleString()} addresses · worst {Number.isFinite(zone.worstDistance) ? formatFeet(zone.worstDistance) : 'no hydrant'}
+                  </span>
+                </span>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default GapZoneList
@@ -1,3 +1,5 @@
+import LocationSearch from './LocationSearch'
+import { STUDY_AREA_SHAPES, getStudyAreaShape } from '../utils/studyAreas'
 import './Header.css'
 
 export default function Header({
@@ -6,7 +8,13 @@ export default function Header({
   addressCount,
   ratio,
   isZipView,
-  zipCode
+  zipCode,
+  onSearch,
+  onSelectSearchResult,
+  probing,
+  onToggleProbe,
+  drawingShape,
+  onDrawShape
 }) {
   return (
     <header className="header">
@@ -41,6 +49,32 @@ export default function Header({
           <div className="stat-label">H/S Ratio</div>
         </div>
       </div>
+
+      <div className="header-tools">
+        <LocationSearch onSearch={onSearch} onSelectResult={onSelectSearchResult} />
+        <button
+          className={`probe-toggle ${probing ? 'active' : ''}`}
+          onClick={onToggleProbe}
+          title="Click anywhere on the map to check its hydrant and station coverage"
+        >
+          {probing ? 'Probing…' : 'Probe'}
+        </button>
+        <div className="draw-tools">
+          {STUDY_AREA_SHAPES.map(shape => (
+            <button
+              key={shape.id}
+              className={drawingShape === shape.id ? 'active' : ''}
+              onClick={() => onDrawShape(drawingShape === shape.id ? null : shape.id)}
+              title={`Draw a ${shape.label.toLowerCase()} study area`}
+            >
+              {shape.symbol}
+            </button>
+          ))}
+        </div>
+        {drawingShape && (
+          <div className="draw-hint">{getStudyAreaShape(drawingShape).hint} · Esc to cancel</div>
+        )}
+      </div>
     </header>
   )
 }
@@ -0,0 +1,84 @@
+import { useMemo, useState } from 'react'
+import { MERGE_DISTANCE_OPTIONS } from '../utils/conflation'
+import './HydrantConflationPanel.css'
+
+function HydrantConflationPanel({ rawHydrants, config, report, onChangeConfig }) {
+  // The slider only re-runs the analysis once it is released
+  const [draftConfidence, setDraftConfidence] = useState(null)
+  const confidence = draftConfidence ?? config.minConfidence
+
+  const unratedCount = useMemo(() => (
+    rawHydrants.filter(h => h.confidence === null || h.confidence === undefined).length
+  ), [rawHydrants])
+
+  const commitConfidence = () => {
+    if (draftConfidence === null) return
+    onChangeConfig({ ...config, minConfidence: draftConfidence })
+    setDraftConfidence(null)
+  }
+
+  return (
+    <div className="chart-section conflation">
+      <h3>Hydrant Detections</h3>
+      <p className="chart-description">
+        Hydrants are street-imagery detections. Repeat detections of one hydrant are merged, and detections below the confidence threshold are left out of every coverage figure.
+      </p>
+
+      <div className="conflation-controls">
+        <label className="conflation-field">
+          Merge detections within
+          <select
+            value={config.mergeDistanceFt}
+            onChange={(e) => onChangeConfig({ ...config, mergeDistanceFt: parseInt(e.target.value, 10) })}
+          >
+            {MERGE_DISTANCE_OPTIONS.map(ft => (
+              <option key={ft} value={ft}>{ft === 0 ? 'Off' : `${ft} ft`}</option>
+            ))}
+          </select>
+        </label>
+        <label className="conflation-field">
+          Minimum confidence
+          <input
+            type="range"
+            min="0"
+            max="0.95"
+            step="0.05"
+            value={confidence}
+            onChange={(e) => setDraftConfidence(parseFloat(e.target.value))}
+            onPointerUp={commitConfidence}
+            onKeyUp={commitConfidence}
+          />
+          <span className="conflation-value">{Math.round(confidence * 100)}%</span>
+        </label>
+      </div>
+
+      {report && (
+        <ul className="conflation-report">
+          <li>
+            <span>Detections loaded</span>
+            <span>{report.inputCount.toLocaleString()}</span>
+          </li>
+          <li>
+            <span>Dropped below {Math.round(report.config.minConfidence * 100)}% confidence</span>
+            <span>{report.droppedCount.toLocaleString()}</span>
+          </li>
+          <li>
+            <span>Merged into {report.mergedHydrantCount.toLocaleString()} hydrants</span>
+            <span>{report.mergedCount.toLocaleString()}</span>
+          </li>
+          <li className="conflation-total">
+            <span>Hydrants counted</span>
+            <span>{report.outputCount.toLocaleString()}</span>
+          </li>
+        </ul>
+      )}
+      {unratedCount > 0 && (
+        <p className="conflation-note">
+          {unratedCount.toLocaleString()} detections have no confidence value and are always kept.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default HydrantConflationPanel
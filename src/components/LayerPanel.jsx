@@ -1,3 +1,8 @@
+import { STATION_OVERLAP_CLASSES } from '../utils/stationOverlap'
+import { HOTSPOT_CLASSES } from '../utils/hexbin'
+import { STATION_COVERAGE_RATINGS } from '../utils/stationCoverage'
+import { QA_CHECKS } from '../utils/dataQA'
+import { STUDY_AREA_COLOR } from '../utils/studyAreas'
 import './LayerPanel.css'
 
 function LayerPanel({
@@ -5,6 +10,9 @@ function LayerPanel({
   stationCount,
   addressCount,
   zipcodeCount,
+  stationLinkCount,
+  dataQAIssueCount,
+  studyAreaCount,
   hasBoundary,
   layerVisibility,
   onToggleLayer
@@ -14,6 +22,13 @@ function LayerPanel({
     { key: 'stations', label: 'Stations', count: stationCount, color: '#ffd93d' },
     { key: 'addresses', label: 'Addresses', count: addressCount, color: '#4ade80' },
     { key: 'zipcodes', label: 'ZIP Codes', count: zipcodeCount, color: '#8b5cf6' },
+    { key: 'zipChoropleth', label: 'ZIP Coverage Map', count: 0, color: '#a3e635', hint: 'Color ZIPs by a coverage metric and show the ranking table' },
+    { key: 'gapHexbin', label: 'Coverage Gap Hot Spots', count: 0, color: '#b91c1c', hint: 'Hexagons of mean hydrant distance; Getis-Ord Gi* marks statistically significant gap clusters', legend: HOTSPOT_CLASSES.map(c => ({ key: c.level, label: c.label, color: c.color })) },
+    { key: 'gapZones', label: 'Gap Zones', count: 0, color: '#ef4444', hint: 'Outline clusters of underserved addresses and list them by severity' },
+    { key: 'stationLinks', label: 'Station–Hydrant Links', count: stationLinkCount, color: '#22c55e', hint: 'Line from each station to its nearest hydrant, colored by the station coverage rating', legend: STATION_COVERAGE_RATINGS },
+    { key: 'stationOverlap', label: 'Station Overlap', count: 0, color: '#f97316', hint: 'Shade areas reached by one station vs. several within the response standard', legend: STATION_OVERLAP_CLASSES },
+    { key: 'dataQA', label: 'Data Quality Issues', count: dataQAIssueCount, color: '#a855f7', hint: 'Flag misplaced, duplicate and inconsistent records and list them by check', legend: QA_CHECKS.map(c => ({ key: c.id, label: c.label, color: c.color })) },
+    { key: 'studyAreas', label: 'Study Areas', count: studyAreaCount, color: STUDY_AREA_COLOR, hint: 'Areas drawn with the header tools; click one for its coverage stats' },
     { key: 'boundary', label: 'County Boundary', count: hasBoundary ? 1 : 0, color: '#06b6d4' }
   ]
 
@@ -22,21 +37,33 @@ function LayerPanel({
       <div className="layer-panel-header">Layers</div>
       <div className="layer-list">
         {layers.map(layer => (
-          <label key={layer.key} className="layer-item" title={layer.hint || ''}>
-            <input
-              type="checkbox"
-              checked={layerVisibility[layer.key]}
-              onChange={() => onToggleLayer(layer.key)}
-            />
-            <span
-              className="layer-indicator"
-              style={{ backgroundColor: layer.color }}
-            />
-            <span className="layer-name">{layer.label}</span>
-            {layer.count > 0 && (
-              <span className="layer-count">{layer.count.toLocaleString()}</span>
+          <div key={layer.key}>
+            <label className="layer-item" title={layer.hint || ''}>
+              <input
+                type="checkbox"
+                checked={layerVisibility[layer.key]}
+                onChange={() => onToggleLayer(layer.key)}
+              />
+              <span
+                className="layer-indicator"
+                style={{ backgroundColor: layer.color }}
+              />
+              <span className="layer-name">{layer.label}</span>
+              {layer.count > 0 && (
+                <span className="layer-count">{layer.count.toLocaleString()}</span>
+              )}
+            </label>
+            {layer.legend && layerVisibility[layer.key] && (
+              <ul className="layer-legend">
+                {layer.legend.map(entry => (
+                  <li key={entry.key}>
+                    <span className="layer-legend-swatch" style={{ backgroundColor: entry.color }} />
+                    {entry.label}
+                  </li>
+                ))}
+              </ul>
             )}
-          </label>
+          </div>
         ))}
       </div>
     </div>
@@ -0,0 +1,107 @@
+import { useEffect, useRef, useState } from 'react'
+import './LocationSearch.css'
+
+const SEARCH_DELAY_MS = 150
+
+const RESULT_ICONS = {
+  address: { className: 'address', symbol: 'A' },
+  zip: { className: 'zip', symbol: 'Z' },
+  station: { className: 'station', symbol: 'S' },
+  point: { className: 'point', symbol: '+' }
+}
+
+// Header search box: the worker answers each (debounced) query with addresses, ZIP codes,
+// stations and "lat, lon" points; replies to superseded queries are dropped
+function LocationSearch({ onSearch, onSelectResult }) {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [open, setOpen] = useState(false)
+  const latestQueryRef = useRef('')
+
+  useEffect(() => {
+    const trimmed = query.trim()
+    latestQueryRef.current = trimmed
+    if (trimmed.length < 2) return
+
+    const timer = setTimeout(() => {
+      onSearch(trimmed, (data) => {
+        if (latestQueryRef.current !== trimmed) return
+        setResults(data.results || [])
+        setActiveIndex(0)
+      })
+    }, SEARCH_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [query, onSearch])
+
+  const visibleResults = query.trim().length < 2 ? [] : results
+
+  const select = (result) => {
+    if (!result) return
+    setQuery(result.label)
+    setOpen(false)
+    onSelectResult(result)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setOpen(true)
+      setActiveIndex(i => Math.min(i + 1, visibleResults.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(i => Math.max(i - 1, 0))
+    } else if (e.key === 'Enter') {
+      select(visibleResults[activeIndex])
+    } else if (e.key === 'Escape') {
+      setOpen(false)
+      e.target.blur()
+    }
+  }
+
+  return (
+    <div className="location-search">
+      <input
+        type="search"
+        value={query}
+        placeholder="Search address, ZIP, station or lat, lon"
+        onChange={(e) => {
+          setQuery(e.target.value)
+          setOpen(true)
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        aria-label="Search locations"
+      />
+
+      {open && visibleResults.length > 0 && (
+        <ul className="location-search-results">
+          {visibleResults.map((r, i) => {
+            const icon = RESULT_ICONS[r.type]
+            return (
+              <li
+                key={`${r.type}-${r.id ?? r.label}`}
+                className={i === activeIndex ? 'active' : ''}
+                // mousedown fires before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault()
+                  select(r)
+                }}
+                onMouseEnter={() => setActiveIndex(i)}
+              >
+                <span className={`result-icon ${icon.className}`}>{icon.symbol}</span>
+                <span className="result-text">
+                  <span className="result-label">{r.label}</span>
+                  {r.sublabel && <span className="result-sublabel">{r.sublabel}</span>}
+                </span>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default LocationSearch
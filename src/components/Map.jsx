@@ -1,6 +1,15 @@
 import { useEffect, useRef, useMemo } from 'react'
 import L from 'leaflet'
 import 'leaflet.markercluster'
+import { ISOCHRONE_COLORS } from '../utils/roadNetwork'
+import { formatFeet, formatMiles } from '../utils/standards'
+import { PROPOSED_STATION_DRAG_TYPE } from '../utils/stationScenario'
+import { FIRE_FLOW_CLASSES, UNKNOWN_FLOW_COLOR, meetsFlowFilter } from '../utils/fireFlow'
+import { dominantOverlapClass } from '../utils/stationOverlap'
+import { hexCorners, getHotspotClass } from '../utils/hexbin'
+import { toLeafletLatLngs } from '../utils/geometry'
+import { STUDY_AREA_COLOR, boundsFromCorners, studyAreaHandles, moveStudyAreaHandle } from '../utils/studyAreas'
+import { getStationRating } from '../utils/stationCoverage'
 import './Map.css'
 
 const SACRAMENTO_CENTER = [38.5816, -121.4944]
@@ -8,8 +17,95 @@ const DEFAULT_ZOOM = 10
 
 // Convert feet to meters for Leaflet circles
 const FEET_TO_METERS = 0.3048
-const RADIUS_500FT = 500 * FEET_TO_METERS
-const RADIUS_1000FT = 1000 * FEET_TO_METERS
+const METERS_PER_MILE = 1609.344
+
+// Visible extent as [minLon, minLat, maxLon, maxLat]
+function mapBbox(map) {
+  const bounds = map.getBounds()
+  return [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+}
+
+function mapView(map) {
+  const center = map.getCenter()
+  return { center: [center.lat, center.lng], zoom: map.getZoom() }
+}
+
+const PROPOSED_STATION_COLOR = '#22d3ee'
+const HYDRANT_LINE_COLOR = '#ff4757'
+const STATION_LINE_COLOR = '#ffd93d'
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+// Data text (station names, ZIPs, ...) placed in tooltip and popup HTML
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c])
+}
+
+// Leaflet layer of a study area shape (see utils/studyAreas)
+function studyAreaLayer(shape, style) {
+  if (shape.type === 'circle') return L.circle(shape.center, { ...style, radius: shape.radiusFt * FEET_TO_METERS })
+  if (shape.type === 'rectangle') return L.rectangle(shape.bounds, style)
+  return L.polygon(shape.latlngs, style)
+}
+
+// Move an outline drawn by studyAreaLayer to an edited shape
+function reshapeStudyAreaLayer(layer, shape) {
+  if (shape.type === 'circle') layer.setLatLng(shape.center).setRadius(shape.radiusFt * FEET_TO_METERS)
+  else if (shape.type === 'rectangle') layer.setBounds(shape.bounds)
+  else layer.setLatLngs(shape.latlngs)
+}
+
+// Dashed lines from a point to nearby assets, each labeled with its straight-line distance,
+// and a marker on the point itself
+function addDistanceLines(layer, lat, lon, targets) {
+  for (const { point, color, label } of targets) {
+    if (!point) continue
+    layer.addLayer(L.polyline([[lat, lon], [point.lat, point.lon]], {
+      color,
+      weight: 3,
+      opacity: 0.9,
+      dashArray: '6 6',
+      interactive: false
+    })
+      .bindTooltip(`${escapeHtml(label)} · ${formatFeet(point.distance)}`, {
+        permanent: true,
+        direction: 'center',
+        className: 'location-link-label'
+      }))
+  }
+  layer.addLayer(L.circleMarker([lat, lon], {
+    radius: 7,
+    color: '#ffffff',
+    weight: 2,
+    fillColor: '#3b82f6',
+    fillOpacity: 1,
+    interactive: false
+  }))
+}
+
+const PROBE_CLASS_COLORS = { Optimal: '#22c55e', Marginal: '#eab308', Underserved: '#ef4444' }
+
+function probePopupContent({ lat, lon, result }) {
+  const heading = `<div class="probe-coordinates">${lat.toFixed(5)}, ${lon.toFixed(5)}</div>`
+  if (!result) return `${heading}<div class="probe-pending">Querying…</div>`
+  if (result.error) return `${heading}<div class="probe-pending">Coverage is available once the data has loaded.</div>`
+
+  const row = (label, value) => `<div class="probe-row"><span>${label}</span><span>${value}</span></div>`
+  const hydrants = result.hydrants.length > 0
+    ? result.hydrants.map((h, i) => row(i === 0 ? 'Nearest hydrants' : '', formatFeet(h.distance))).join('')
+    : row('Nearest hydrants', '—')
+  const firstDue = result.firstDueStation
+    ? `${escapeHtml(result.firstDueStation.name)}${result.stationDriveMinutes !== null ? ` · ${result.stationDriveMinutes.toFixed(1)} min` : ''}`
+    : '—'
+
+  return heading +
+    `<div class="probe-class" style="color: ${PROBE_CLASS_COLORS[result.hydrantClass]}">${result.hydrantClass} hydrant coverage</div>` +
+    row('ZIP', result.zipCode ? escapeHtml(result.zipCode) : 'Outside ZIPs') +
+    hydrants +
+    row('Nearest station', result.station ? `${escapeHtml(result.station.name)} · ${formatFeet(result.station.distance)}` : '—') +
+    row('First-due', firstDue) +
+    row('Within response standard', result.withinStationResponse ? 'Yes' : 'No')
+}
 
 export default function Map({
   hydrants,
@@ -17,6 +113,45 @@ export default function Map({
   addresses,
   zipcodes,
   boundary,
+  isochrones,
+  standards,
+  flowFilter,
+  zipFillColors,
+  stationOverlap,
+  hexbinSurface,
+  onZoomChange,
+  onExtentChange,
+  initialView,
+  onViewChange,
+  gapZones,
+  selectedGapZoneId,
+  onSelectGapZone,
+  stationLinks,
+  dataQA,
+  onSelectQARecord,
+  locationLinks,
+  probing,
+  probe,
+  onProbePoint,
+  onCloseProbe,
+  studyAreas,
+  selectedStudyAreaId,
+  onSelectStudyArea,
+  drawingShape,
+  onShapeDrawn,
+  onCancelDrawing,
+  editingStudyArea,
+  onEditStudyArea,
+  focus,
+  hydrantPlacement,
+  proposedStations,
+  placingStation,
+  onPlaceStation,
+  onMoveProposedStation,
+  onRemoveProposedStation,
+  outOfServiceAssets,
+  outOfServiceResult,
+  onToggleOutOfService,
   layerVisibility,
   onFeatureClick
 }) {
@@ -27,19 +162,61 @@ export default function Map({
   const addressClusterRef = useRef(null)
   const stationLayerRef = useRef(null)
   const zipcodeLayerRef = useRef(null)
+  const stationOverlapLayerRef = useRef(null)
+  const hexbinLayerRef = useRef(null)
+  const gapZoneLayerRef = useRef(null)
+  const stationLinkLayerRef = useRef(null)
+  const dataQALayerRef = useRef(null)
+  const locationLinkLayerRef = useRef(null)
+  const probeLayerRef = useRef(null)
+  const probePopupRef = useRef(null)
+  const probeCloseHandlerRef = useRef(null)
+  const studyAreaLayerRef = useRef(null)
+  const studyAreaDrawLayerRef = useRef(null)
+  const studyAreaEditLayerRef = useRef(null)
+  const shapeDrawnHandlerRef = useRef(null)
+  const cancelDrawingHandlerRef = useRef(null)
+  const studyAreaEditHandlerRef = useRef(null)
+  const zoomChangeHandlerRef = useRef(null)
+  const extentChangeHandlerRef = useRef(null)
+  const viewChangeHandlerRef = useRef(null)
+  // A view restored from a shared link wins over fitting to the loaded data until the user
+  // pans or zooms
+  const initialViewRef = useRef(initialView)
+  const keepViewRef = useRef(!!initialView)
+  const placementLayerRef = useRef(null)
+  const proposedStationLayerRef = useRef(null)
+  const outOfServiceLayerRef = useRef(null)
+  // Set while a map click should drop a proposed station or probe the point; a study area
+  // being drawn takes the clicks first
+  const mapClickHandlerRef = useRef(null)
+  const drawClickHandlerRef = useRef(null)
+  const stationDropHandlerRef = useRef(null)
   const boundaryLayerRef = useRef(null)
   const boundaryGlowLayerRef = useRef(null)
 
-  // Memoize icons to prevent re-creation
-  const hydrantIcon = useMemo(() => L.divIcon({
-    className: 'hydrant-marker',
-    html: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none">
-      <circle cx="12" cy="12" r="9" fill="#ff4757" stroke="#fff" stroke-width="2"/>
-      <text x="12" y="16" text-anchor="middle" fill="white" font-size="11" font-weight="bold">H</text>
-    </svg>`,
-    iconSize: [20, 20],
-    iconAnchor: [10, 10]
-  }), [])
+  // Memoize icons to prevent re-creation. Hydrants are colored by NFPA 291 fire-flow class
+  // (unknown flow keeps the plain "H"); those excluded by the minimum-flow filter are dimmed.
+  const hydrantIcons = useMemo(() => {
+    const makeIcon = (color, letter, excluded) => L.divIcon({
+      className: `hydrant-marker${excluded ? ' excluded' : ''}`,
+      html: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none">
+        <circle cx="12" cy="12" r="9" fill="${color}" stroke="#fff" stroke-width="2"/>
+        <text x="12" y="16" text-anchor="middle" fill="white" font-size="${letter.length > 1 ? 8 : 11}" font-weight="bold">${letter}</text>
+      </svg>`,
+      iconSize: [20, 20],
+      iconAnchor: [10, 10]
+    })
+
+    const icons = {}
+    for (const excluded of [false, true]) {
+      icons[`unknown:${excluded}`] = makeIcon(UNKNOWN_FLOW_COLOR, 'H', excluded)
+      for (const c of FIRE_FLOW_CLASSES) {
+        icons[`${c.id}:${excluded}`] = makeIcon(c.color, c.id, excluded)
+      }
+    }
+    return icons
+  }, [])
 
   const stationIcon = useMemo(() => L.divIcon({
     className: 'station-marker',
@@ -48,6 +225,12 @@ export default function Map({
     iconAnchor: [18, 18]
   }), [])
 
+  const studyAreaHandleIcon = useMemo(() => L.divIcon({
+    className: 'study-area-handle',
+    iconSize: [12, 12],
+    iconAnchor: [6, 6]
+  }), [])
+
   const addressIcon = useMemo(() => L.divIcon({
     className: 'address-marker',
     html: `<svg width="12" height="12" viewBox="0 0 24 24" fill="none">
@@ -62,8 +245,8 @@ export default function Map({
     if (mapInstanceRef.current) return
 
     mapInstanceRef.current = L.map(mapRef.current, {
-      center: SACRAMENTO_CENTER,
-      zoom: DEFAULT_ZOOM,
+      center: initialViewRef.current?.center || SACRAMENTO_CENTER,
+      zoom: initialViewRef.current?.zoom ?? DEFAULT_ZOOM,
       zoomControl: false,
       preferCanvas: true // Better performance for many markers
     })
@@ -82,6 +265,15 @@ export default function Map({
     map.createPane('zipcodePane')
     map.getPane('zipcodePane').style.zIndex = 380
 
+    // Overlap pane - station overlap shading above ZIPs (non-interactive so ZIP clicks pass through)
+    map.createPane('overlapPane')
+    map.getPane('overlapPane').style.zIndex = 390
+    map.getPane('overlapPane').style.pointerEvents = 'none'
+
+    // Hexbin pane - coverage-gap surface, above ZIPs and below markers (hover for cell stats)
+    map.createPane('hexbinPane')
+    map.getPane('hexbinPane').style.zIndex = 385
+
     // Radius pane - for hydrant coverage circles (non-interactive)
     map.createPane('radiusPane')
     map.getPane('radiusPane').style.zIndex = 395
@@ -130,17 +322,70 @@ export default function Map({
 
     stationLayerRef.current = L.featureGroup()
     zipcodeLayerRef.current = L.featureGroup()
+    stationOverlapLayerRef.current = L.featureGroup()
+    hexbinLayerRef.current = L.featureGroup()
+    gapZoneLayerRef.current = L.featureGroup()
+    stationLinkLayerRef.current = L.featureGroup()
+    dataQALayerRef.current = L.featureGroup()
+    locationLinkLayerRef.current = L.featureGroup()
+    probeLayerRef.current = L.featureGroup()
+    studyAreaLayerRef.current = L.featureGroup()
+    studyAreaDrawLayerRef.current = L.featureGroup()
+    studyAreaEditLayerRef.current = L.featureGroup()
     boundaryLayerRef.current = L.featureGroup()
     boundaryGlowLayerRef.current = L.featureGroup()
+    placementLayerRef.current = L.featureGroup()
+    proposedStationLayerRef.current = L.featureGroup()
+    outOfServiceLayerRef.current = L.featureGroup()
 
     // Add layers to map in correct order
     mapInstanceRef.current.addLayer(boundaryGlowLayerRef.current)
     mapInstanceRef.current.addLayer(boundaryLayerRef.current)
     mapInstanceRef.current.addLayer(zipcodeLayerRef.current)
+    mapInstanceRef.current.addLayer(stationOverlapLayerRef.current)
+    mapInstanceRef.current.addLayer(hexbinLayerRef.current)
+    mapInstanceRef.current.addLayer(gapZoneLayerRef.current)
+    mapInstanceRef.current.addLayer(studyAreaLayerRef.current)
+    mapInstanceRef.current.addLayer(stationLinkLayerRef.current)
     mapInstanceRef.current.addLayer(hydrantRadiusLayerRef.current)
     mapInstanceRef.current.addLayer(addressClusterRef.current)
     mapInstanceRef.current.addLayer(hydrantClusterRef.current)
     mapInstanceRef.current.addLayer(stationLayerRef.current)
+    mapInstanceRef.current.addLayer(placementLayerRef.current)
+    mapInstanceRef.current.addLayer(proposedStationLayerRef.current)
+    mapInstanceRef.current.addLayer(outOfServiceLayerRef.current)
+    mapInstanceRef.current.addLayer(dataQALayerRef.current)
+    mapInstanceRef.current.addLayer(locationLinkLayerRef.current)
+    mapInstanceRef.current.addLayer(probeLayerRef.current)
+    mapInstanceRef.current.addLayer(studyAreaEditLayerRef.current)
+    mapInstanceRef.current.addLayer(studyAreaDrawLayerRef.current)
+
+    // Proposed stations are dropped with a click in placement mode (or dragged in from the
+    // panel); in probe mode a click queries the point
+    map.on('click', (e) => {
+      (drawClickHandlerRef.current || mapClickHandlerRef.current)?.(e.latlng.lat, e.latlng.lng)
+    })
+    map.on('zoomend', () => {
+      zoomChangeHandlerRef.current?.(map.getZoom())
+    })
+    map.on('moveend', () => {
+      extentChangeHandlerRef.current?.(mapBbox(map))
+      viewChangeHandlerRef.current?.(mapView(map))
+    })
+    map.on('dragstart zoomstart', () => {
+      keepViewRef.current = false
+    })
+
+    const container = map.getContainer()
+    container.addEventListener('dragover', (e) => {
+      if (e.dataTransfer.types.includes(PROPOSED_STATION_DRAG_TYPE)) e.preventDefault()
+    })
+    container.addEventListener('drop', (e) => {
+      if (!e.dataTransfer.types.includes(PROPOSED_STATION_DRAG_TYPE)) return
+      e.preventDefault()
+      const latlng = map.mouseEventToLatLng(e)
+      stationDropHandlerRef.current?.(latlng.lat, latlng.lng)
+    })
 
     return () => {
       mapInstanceRef.current?.remove()
@@ -198,7 +443,7 @@ export default function Map({
 
     // Fit to boundary
     const bounds = boundaryLayerRef.current.getBounds()
-    if (bounds.isValid()) {
+    if (bounds.isValid() && !keepViewRef.current) {
       mapInstanceRef.current?.fitBounds(bounds, { padding: [30, 30] })
     }
   }, [boundary])
@@ -210,22 +455,25 @@ export default function Map({
     hydrantClusterRef.current.clearLayers()
 
     const markers = hydrants.map(h => {
-      const marker = L.marker([h.lat, h.lon], { icon: hydrantIcon })
-      marker.on('click', () => {
-        onFeatureClick({ type: 'hydrant', ...h })
+      const excluded = !meetsFlowFilter(h, flowFilter)
+      const marker = L.marker([h.lat, h.lon], { icon: hydrantIcons[`${h.flowClass || 'unknown'}:${excluded}`] })
+      marker.on('click', (e) => {
+        // Shift-click adds the hydrant to the out-of-service selection
+        if (e.originalEvent.shiftKey) onToggleOutOfService({ type: 'hydrant', ...h })
+        else onFeatureClick({ type: 'hydrant', ...h })
       })
       return marker
     })
 
     hydrantClusterRef.current.addLayers(markers)
 
-    if (hydrants.length > 0 && !boundary) {
+    if (hydrants.length > 0 && !boundary && !keepViewRef.current) {
       const bounds = hydrantClusterRef.current.getBounds()
       if (bounds.isValid()) {
         mapInstanceRef.current?.fitBounds(bounds, { padding: [50, 50] })
       }
     }
-  }, [hydrants, hydrantIcon, onFeatureClick, boundary])
+  }, [hydrants, hydrantIcons, flowFilter, onFeatureClick, onToggleOutOfService, boundary])
 
   // Update hydrant radius circles (only when visible and zoomed in)
   useEffect(() => {
@@ -247,14 +495,14 @@ export default function Map({
 
       const bounds = map.getBounds()
       const visibleHydrants = hydrants.filter(h =>
-        bounds.contains([h.lat, h.lon])
+        bounds.contains([h.lat, h.lon]) && meetsFlowFilter(h, flowFilter)
       ).slice(0, 500) // Limit for performance
 
       visibleHydrants.forEach(h => {
-        // 500ft radius - green (good coverage)
-        const circle500 = L.circle([h.lat, h.lon], {
+        // Optimal-distance radius from the active standard - green (good coverage)
+        const optimalCircle = L.circle([h.lat, h.lon], {
           pane: 'radiusPane',
-          radius: RADIUS_500FT,
+          radius: standards.hydrant.optimalFt * FEET_TO_METERS,
           color: '#22c55e',
           weight: 1,
           opacity: 0.6,
@@ -263,7 +511,7 @@ export default function Map({
           interactive: false // Radius circles should not intercept clicks
         })
 
-        hydrantRadiusLayerRef.current.addLayer(circle500)
+        hydrantRadiusLayerRef.current.addLayer(optimalCircle)
       })
     }
 
@@ -273,7 +521,7 @@ export default function Map({
     return () => {
       map.off('moveend zoomend', updateRadiusCircles)
     }
-  }, [hydrants, layerVisibility.hydrantRadius])
+  }, [hydrants, layerVisibility.hydrantRadius, standards, flowFilter])
 
   // Update stations with response area
   useEffect(() => {
@@ -281,34 +529,62 @@ export default function Map({
 
     stationLayerRef.current.clearLayers()
 
+    const isochronesByStation = Object.fromEntries(
+      (isochrones?.isochrones || []).map(iso => [iso.stationId, iso])
+    )
+
     stations.forEach(s => {
-      // Station response area (1 mile radius)
-      const responseCircle = L.circle([s.lat, s.lon], {
-        radius: 1609, // 1 mile in meters
-        color: '#ffd93d',
-        weight: 2,
-        opacity: 0.5,
-        fillColor: '#ffd93d',
-        fillOpacity: 0.08,
-        dashArray: '5, 5'
-      })
-      responseCircle.bindTooltip(`${s.name} - 1 mile response area`, {
-        permanent: false,
-        direction: 'center'
-      })
-      stationLayerRef.current.addLayer(responseCircle)
+      const isochrone = isochronesByStation[s.id]
+
+      if (isochrone) {
+        // Drive-time response area: reachable streets, slowest band drawn first
+        for (let i = isochrone.bands.length - 1; i >= 0; i--) {
+          const band = isochrone.bands[i]
+          if (band.lines.length === 0) continue
+
+          const prevMinutes = i > 0 ? isochrone.bands[i - 1].minutes : 0
+          const bandLine = L.polyline(band.lines, {
+            color: ISOCHRONE_COLORS[i % ISOCHRONE_COLORS.length],
+            weight: 4,
+            opacity: 0.55,
+            lineCap: 'round'
+          })
+          bandLine.bindTooltip(`${s.name} - ${prevMinutes}–${band.minutes} min drive`, {
+            permanent: false,
+            sticky: true
+          })
+          stationLayerRef.current.addLayer(bandLine)
+        }
+      } else {
+        // Straight-line response radius from the active standard when no road network is loaded
+        const responseCircle = L.circle([s.lat, s.lon], {
+          radius: standards.station.responseMiles * METERS_PER_MILE,
+          color: '#ffd93d',
+          weight: 2,
+          opacity: 0.5,
+          fillColor: '#ffd93d',
+          fillOpacity: 0.08,
+          dashArray: '5, 5'
+        })
+        responseCircle.bindTooltip(`${s.name} - ${formatMiles(standards.station.responseMiles)} response area`, {
+          permanent: false,
+          direction: 'center'
+        })
+        stationLayerRef.current.addLayer(responseCircle)
+      }
 
       // Station marker
       const marker = L.marker([s.lat, s.lon], {
         icon: stationIcon,
         zIndexOffset: 1000
       })
-      marker.on('click', () => {
-        onFeatureClick({ type: 'station', ...s })
+      marker.on('click', (e) => {
+        if (e.originalEvent.shiftKey) onToggleOutOfService({ type: 'station', ...s })
+        else onFeatureClick({ type: 'station', ...s })
       })
       stationLayerRef.current.addLayer(marker)
     })
-  }, [stations, stationIcon, onFeatureClick])
+  }, [stations, isochrones, standards, stationIcon, onFeatureClick, onToggleOutOfService])
 
   // Update addresses with batched rendering for performance
   useEffect(() => {
@@ -354,19 +630,26 @@ export default function Map({
     zipcodeLayerRef.current.clearLayers()
 
     zipcodes.forEach(z => {
+      // Choropleth mode fills each ZIP by its metric color instead of its identity color
+      const fillColor = zipFillColors ? zipFillColors[z.id] : null
       const geoJsonLayer = L.geoJSON(z.geoJsonFeature, {
         pane: 'zipcodePane',
         style: {
-          color: z.color,
-          weight: 2,
+          color: fillColor || z.color,
+          weight: fillColor ? 1 : 2,
           opacity: 0.8,
-          fillColor: z.color,
-          fillOpacity: 0.15
+          fillColor: fillColor || z.color,
+          fillOpacity: fillColor ? 0.6 : 0.15
         },
         onEachFeature: (feature, layer) => {
           layer.on('click', (e) => {
             // Stop propagation to prevent other layers from also handling
             L.DomEvent.stopPropagation(e)
+            const clickHandler = drawClickHandlerRef.current || mapClickHandlerRef.current
+            if (clickHandler) {
+              clickHandler(e.latlng.lat, e.latlng.lng)
+              return
+            }
             onFeatureClick({ type: 'zipcode', ...z })
           })
 
@@ -380,7 +663,533 @@ export default function Map({
 
       zipcodeLayerRef.current.addLayer(geoJsonLayer)
     })
-  }, [zipcodes, onFeatureClick])
+  }, [zipcodes, zipFillColors, onFeatureClick])
+
+  // Station overlap: grid cells shaded by whether most of their addresses are reached by no
+  // station, a single station or several within the response standard
+  useEffect(() => {
+    if (!stationOverlapLayerRef.current) return
+
+    stationOverlapLayerRef.current.clearLayers()
+    if (!stationOverlap) return
+
+    const size = stationOverlap.cellSize
+    for (const cell of stationOverlap.cells) {
+      const { color } = dominantOverlapClass(cell)
+      stationOverlapLayerRef.current.addLayer(L.rectangle(
+        [[cell.south, cell.west], [cell.south + size, cell.west + size]],
+        { pane: 'overlapPane', stroke: false, fillColor: color, fillOpacity: 0.45, interactive: false }
+      ))
+    }
+  }, [stationOverlap])
+
+  // Report the zoom level so the gap surface can pick its hex resolution
+  useEffect(() => {
+    zoomChangeHandlerRef.current = onZoomChange
+    onZoomChange?.(mapInstanceRef.current.getZoom())
+  }, [onZoomChange])
+
+  // Report the visible extent for "map extent" exports
+  useEffect(() => {
+    extentChangeHandlerRef.current = onExtentChange
+    onExtentChange?.(mapBbox(mapInstanceRef.current))
+  }, [onExtentChange])
+
+  // Report the center and zoom for shareable links
+  useEffect(() => {
+    viewChangeHandlerRef.current = onViewChange
+    onViewChange?.(mapView(mapInstanceRef.current))
+  }, [onViewChange])
+
+  // Coverage-gap hexbins colored by Gi* hot-spot class; only cells in view are drawn
+  useEffect(() => {
+    const map = mapInstanceRef.current
+    if (!hexbinLayerRef.current || !map) return
+
+    hexbinLayerRef.current.clearLayers()
+    if (!hexbinSurface) return
+
+    const { sizeFt, refLat, cells } = hexbinSurface
+    const drawCells = () => {
+      hexbinLayerRef.current.clearLayers()
+      const bounds = map.getBounds().pad(0.1)
+
+      for (const cell of cells) {
+        if (!bounds.contains([cell.lat, cell.lon])) continue
+        const hotspot = getHotspotClass(cell.hotspot)
+        hexbinLayerRef.current.addLayer(L.polygon(hexCorners(cell.q, cell.r, sizeFt, refLat), {
+          pane: 'hexbinPane',
+          color: hotspot.color,
+          weight: 0.5,
+          opacity: 0.6,
+          fillColor: hotspot.color,
+          fillOpacity: cell.hotspot === 0 ? 0.15 : 0.5
+        }).bindTooltip(
+          `<strong>${hotspot.label}</strong><br/>` +
+          `${cell.addressCount.toLocaleString()} addresses<br/>` +
+          `Mean distance to hydrant: ${Math.round(cell.meanDistance).toLocaleString()} ft<br/>` +
+          `${cell.pctUnderserved.toFixed(1)}% underserved<br/>` +
+          `Gi* z-score: ${cell.giZ.toFixed(2)}`,
+          { sticky: true }
+        ))
+      }
+    }
+
+    drawCells()
+    map.on('moveend', drawCells)
+
+    return () => {
+      map.off('moveend', drawCells)
+    }
+  }, [hexbinSurface])
+
+  // Station-to-nearest-hydrant lines from the coverage analysis, styled by station rating.
+  // Only lines of stations on the map are drawn; a click opens that station's scorecard.
+  useEffect(() => {
+    if (!stationLinkLayerRef.current) return
+
+    stationLinkLayerRef.current.clearLayers()
+    if (!stationLinks) return
+
+    for (const link of stationLinks) {
+      const [lat, lon] = link.latLngs[0]
+      const nearby = stations.filter(s => Math.abs(s.lat - lat) < 0.001 && Math.abs(s.lon - lon) < 0.001)
+      const station = nearby.find(s => String(s.name) === link.stationName) || nearby[0]
+      if (!station) continue
+
+      const rating = getStationRating(link.rating)
+      const line = L.polyline(link.latLngs, {
+        color: rating?.color || link.color || '#a1a1aa',
+        weight: 3,
+        opacity: 0.9,
+        dashArray: rating?.dashArray || null
+      })
+      line.bindTooltip(
+        `<strong>${escapeHtml(station.name)}</strong> · ${escapeHtml(link.rating || 'Unrated')}<br/>` +
+        `Nearest hydrant: ${Number.isFinite(link.distanceFt) ? formatFeet(link.distanceFt) : '—'}<br/>` +
+        `${link.hydrantsWithin500} hydrants within 500 ft, ${link.hydrantsWithin1000} within 1,000 ft`,
+        { sticky: true }
+      )
+      line.on('click', () => onFeatureClick({ type: 'station', ...station }))
+      stationLinkLayerRef.current.addLayer(line)
+    }
+  }, [stationLinks, stations, onFeatureClick])
+
+  // Gap-zone polygons, shaded by severity rank; click one for its stats
+  useEffect(() => {
+    if (!gapZoneLayerRef.current) return
+
+    gapZoneLayerRef.current.clearLayers()
+    if (!gapZones) return
+
+    gapZones.forEach(zone => {
+      const selected = zone.id === selectedGapZoneId
+      // Highest-severity zones are the most opaque
+      const strength = 1 - zone.id / Math.max(gapZones.length, 1)
+      gapZoneLayerRef.current.addLayer(L.polygon(toLeafletLatLngs(zone.geometry), {
+        color: selected ? '#ffffff' : '#ef4444',
+        weight: selected ? 3 : 1.5,
+        dashArray: selected ? null : '4 3',
+        fillColor: '#ef4444',
+        fillOpacity: 0.15 + strength * 0.35
+      })
+        .bindTooltip(
+          `<strong>Gap zone #${zone.rank}</strong><br/>` +
+          `${zone.addressCount.toLocaleString()} underserved addresses<br/>` +
+          `Worst: ${Number.isFinite(zone.worstDistance) ? formatFeet(zone.worstDistance) : 'no hydrant'}`,
+          { sticky: true }
+        )
+        .on('click', () => onSelectGapZone(zone)))
+    })
+  }, [gapZones, selectedGapZoneId, onSelectGapZone])
+
+  // Flagged data-quality records, colored by check; drawn on canvas since there can be thousands
+  useEffect(() => {
+    if (!dataQALayerRef.current) return
+
+    dataQALayerRef.current.clearLayers()
+    if (!dataQA) return
+
+    const renderer = L.canvas({ padding: 0.5 })
+    for (const check of dataQA) {
+      for (const record of check.records) {
+        if (!Number.isFinite(record.lat) || !Number.isFinite(record.lon)) continue
+        dataQALayerRef.current.addLayer(L.circleMarker([record.lat, record.lon], {
+          renderer,
+          radius: 5,
+          color: '#ffffff',
+          weight: 1,
+          fillColor: check.color,
+          fillOpacity: 0.9
+        })
+          .bindTooltip(`<strong>${check.label}</strong><br/>${escapeHtml(record.dataset)} ${escapeHtml(record.recordId)}<br/>${escapeHtml(record.detail)}`)
+          .on('click', () => onSelectQARecord(record)))
+      }
+    }
+  }, [dataQA, onSelectQARecord])
+
+  // Dashed lines from a searched or selected location to its nearest hydrant and station,
+  // labeled with the straight-line distances
+  useEffect(() => {
+    if (!locationLinkLayerRef.current) return
+
+    locationLinkLayerRef.current.clearLayers()
+    if (!locationLinks) return
+
+    addDistanceLines(locationLinkLayerRef.current, locationLinks.lat, locationLinks.lon, [
+      { point: locationLinks.hydrant, color: HYDRANT_LINE_COLOR, label: 'Hydrant' },
+      { point: locationLinks.station, color: STATION_LINE_COLOR, label: locationLinks.station?.name }
+    ])
+  }, [locationLinks])
+
+  useEffect(() => {
+    probeCloseHandlerRef.current = onCloseProbe
+  }, [onCloseProbe])
+
+  // Probed point: popup with its coverage and dashed lines to the nearest hydrants and station.
+  // Closing the popup ends the probe; a popup replaced here does not.
+  useEffect(() => {
+    if (!probeLayerRef.current) return
+
+    probePopupRef.current = null
+    probeLayerRef.current.clearLayers()
+    if (!probe) return
+
+    const { lat, lon, result } = probe
+    addDistanceLines(probeLayerRef.current, lat, lon, result && !result.error ? [
+      ...result.hydrants.map((h, i) => ({ point: h, color: HYDRANT_LINE_COLOR, label: `#${i + 1}` })),
+      { point: result.station, color: STATION_LINE_COLOR, label: result.station?.name }
+    ] : [])
+
+    const popup = L.popup({ closeOnClick: false, autoPan: false, className: 'probe-popup' })
+      .setLatLng([lat, lon])
+      .setContent(probePopupContent(probe))
+    popup.on('remove', () => {
+      if (probePopupRef.current !== popup) return
+      probePopupRef.current = null
+      probeCloseHandlerRef.current?.()
+    })
+    probePopupRef.current = popup
+    probeLayerRef.current.addLayer(popup)
+  }, [probe])
+
+  // Saved study areas; the selected one is outlined in white and the one being edited is
+  // drawn by the editor instead. Clicks in a click mode (placement, probe) pass through.
+  useEffect(() => {
+    if (!studyAreaLayerRef.current) return
+
+    studyAreaLayerRef.current.clearLayers()
+    if (!studyAreas) return
+
+    for (const area of studyAreas) {
+      if (area.id === editingStudyArea?.id) continue
+      const selected = area.id === selectedStudyAreaId
+      studyAreaLayerRef.current.addLayer(studyAreaLayer(area.shape, {
+        color: selected ? '#ffffff' : STUDY_AREA_COLOR,
+        weight: selected ? 3 : 2,
+        fillColor: STUDY_AREA_COLOR,
+        fillOpacity: selected ? 0.2 : 0.1
+      })
+        .bindTooltip(area.name, { sticky: true })
+        .on('click', (e) => {
+          L.DomEvent.stopPropagation(e)
+          const clickHandler = drawClickHandlerRef.current || mapClickHandlerRef.current
+          if (clickHandler) clickHandler(e.latlng.lat, e.latlng.lng)
+          else onSelectStudyArea(area.id)
+        }))
+    }
+  }, [studyAreas, selectedStudyAreaId, editingStudyArea, onSelectStudyArea])
+
+  useEffect(() => {
+    shapeDrawnHandlerRef.current = onShapeDrawn
+    cancelDrawingHandlerRef.current = onCancelDrawing
+    studyAreaEditHandlerRef.current = onEditStudyArea
+  }, [onShapeDrawn, onCancelDrawing, onEditStudyArea])
+
+  // Drawing a study area: clicks add polygon corners, or give a rectangle's opposite corners or
+  // a circle's center and edge. Escape cancels.
+  useEffect(() => {
+    const map = mapInstanceRef.current
+    const layer = studyAreaDrawLayerRef.current
+    const container = mapRef.current
+    if (!map || !layer || !drawingShape) return
+
+    const points = []
+    let cursor = null
+    const style = { color: STUDY_AREA_COLOR, weight: 2, dashArray: '6 4', fillOpacity: 0.1, interactive: false }
+    const pixelDistance = (a, b) => map.latLngToContainerPoint(a).distanceTo(map.latLngToContainerPoint(b))
+
+    const shapeFrom = (pts) => {
+      if (drawingShape === 'polygon') return { type: 'polygon', latlngs: pts }
+      if (drawingShape === 'rectangle') return { type: 'rectangle', bounds: boundsFromCorners(pts[0], pts[1]) }
+      return { type: 'circle', center: pts[0], radiusFt: map.distance(pts[0], pts[1]) / FEET_TO_METERS }
+    }
+
+    const redraw = () => {
+      layer.clearLayers()
+      const pts = cursor ? [...points, cursor] : points
+      if (drawingShape === 'polygon') {
+        if (pts.length > 1) layer.addLayer(pts.length > 2 ? L.polygon(pts, style) : L.polyline(pts, style))
+        points.forEach((p, i) => layer.addLayer(L.circleMarker(p, {
+          radius: i === 0 ? 6 : 4,
+          color: '#ffffff',
+          weight: 2,
+          fillColor: STUDY_AREA_COLOR,
+          fillOpacity: 1,
+          interactive: false
+        })))
+      } else if (pts.length === 2) {
+        layer.addLayer(studyAreaLayer(shapeFrom(pts), style))
+      }
+    }
+
+    const finish = (pts) => {
+      points.length = 0
+      cursor = null
+      layer.clearLayers()
+      shapeDrawnHandlerRef.current?.(shapeFrom(pts))
+    }
+
+    // Corners closer than this many pixels are one corner (a double-click lands twice)
+    const SAME_POINT_PX = 8
+    const finishPolygon = () => {
+      const corners = points.filter((p, i) => i === 0 || pixelDistance(p, points[i - 1]) > SAME_POINT_PX)
+      if (corners.length >= 3) finish(corners)
+    }
+
+    drawClickHandlerRef.current = (lat, lon) => {
+      const point = [lat, lon]
+      if (drawingShape === 'polygon' && points.length >= 3 && pixelDistance(point, points[0]) <= SAME_POINT_PX) {
+        finishPolygon()
+        return
+      }
+      points.push(point)
+      if (drawingShape !== 'polygon' && points.length === 2) finish([...points])
+      else redraw()
+    }
+    const handleMouseMove = (e) => {
+      if (points.length === 0) return
+      cursor = [e.latlng.lat, e.latlng.lng]
+      redraw()
+    }
+    const handleDoubleClick = () => {
+      if (drawingShape === 'polygon') finishPolygon()
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') cancelDrawingHandlerRef.current?.()
+      else if (e.key === 'Enter' && drawingShape === 'polygon') finishPolygon()
+    }
+
+    map.doubleClickZoom.disable()
+    map.on('mousemove', handleMouseMove)
+    map.on('dblclick', handleDoubleClick)
+    document.addEventListener('keydown', handleKeyDown)
+    container.classList.add('drawing-area')
+
+    return () => {
+      drawClickHandlerRef.current = null
+      layer.clearLayers()
+      map.doubleClickZoom.enable()
+      map.off('mousemove', handleMouseMove)
+      map.off('dblclick', handleDoubleClick)
+      document.removeEventListener('keydown', handleKeyDown)
+      container.classList.remove('drawing-area')
+    }
+  }, [drawingShape])
+
+  // Editing a study area: drag the corner (or circle center and edge) handles; each finished
+  // drag saves the shape
+  useEffect(() => {
+    const layer = studyAreaEditLayerRef.current
+    if (!layer) return
+
+    layer.clearLayers()
+    if (!editingStudyArea) return
+
+    let shape = editingStudyArea.shape
+    const outline = studyAreaLayer(shape, {
+      color: '#ffffff',
+      weight: 3,
+      dashArray: '6 4',
+      fillColor: STUDY_AREA_COLOR,
+      fillOpacity: 0.2,
+      interactive: false
+    })
+    layer.addLayer(outline)
+
+    const handles = studyAreaHandles(shape).map((latlng, index) => {
+      const handle = L.marker(latlng, { icon: studyAreaHandleIcon, draggable: true })
+      handle.on('drag', (e) => {
+        const { lat, lng } = e.target.getLatLng()
+        shape = moveStudyAreaHandle(shape, index, [lat, lng])
+        reshapeStudyAreaLayer(outline, shape)
+        // Rectangle corners and a circle's edge follow the dragged handle
+        studyAreaHandles(shape).forEach((p, i) => {
+          if (i !== index) handles[i].setLatLng(p)
+        })
+      })
+      handle.on('dragend', () => studyAreaEditHandlerRef.current?.(editingStudyArea.id, shape))
+      layer.addLayer(handle)
+      return handle
+    })
+  }, [editingStudyArea, studyAreaHandleIcon])
+
+  // Zoom to whatever the app asks to focus on; `fly` animates the move
+  useEffect(() => {
+    if (!focus?.bbox || !mapInstanceRef.current) return
+    const [minLon, minLat, maxLon, maxLat] = focus.bbox
+    const bounds = [[minLat, minLon], [maxLat, maxLon]]
+    const options = { padding: [60, 60], maxZoom: 17 }
+    if (focus.fly) mapInstanceRef.current.flyToBounds(bounds, options)
+    else mapInstanceRef.current.fitBounds(bounds, options)
+  }, [focus])
+
+  // Proposed hydrants from the placement optimizer, with the reach each one adds
+  useEffect(() => {
+    if (!placementLayerRef.current) return
+
+    placementLayerRef.current.clearLayers()
+    if (!hydrantPlacement?.proposals) return
+
+    hydrantPlacement.proposals.forEach(p => {
+      placementLayerRef.current.addLayer(L.circle([p.lat, p.lon], {
+        pane: 'radiusPane',
+        radius: hydrantPlacement.radiusFt * FEET_TO_METERS,
+        color: '#ff4757',
+        weight: 1.5,
+        opacity: 0.8,
+        dashArray: '6 4',
+        fillColor: '#ff4757',
+        fillOpacity: 0.08,
+        interactive: false
+      }))
+
+      const marker = L.marker([p.lat, p.lon], {
+        icon: L.divIcon({
+          className: 'proposed-hydrant-marker',
+          html: `<div class="proposed-hydrant-inner">+</div><span class="proposed-hydrant-gain">+${p.gain.toLocaleString()}</span>`,
+          iconSize: [22, 22],
+          iconAnchor: [11, 11]
+        })
+      })
+      marker.bindTooltip(
+        `<strong>Proposed hydrant #${p.rank}</strong><br/>` +
+        `+${p.gain.toLocaleString()} addresses within ${formatFeet(hydrantPlacement.radiusFt)}<br/>` +
+        `${p.cumulativeGain.toLocaleString()} covered by the first ${p.rank}`,
+        { direction: 'top', offset: [0, -12] }
+      )
+      placementLayerRef.current.addLayer(marker)
+    })
+  }, [hydrantPlacement])
+
+  useEffect(() => {
+    mapClickHandlerRef.current = placingStation ? onPlaceStation : probing ? onProbePoint : null
+    stationDropHandlerRef.current = onPlaceStation
+    mapRef.current?.classList.toggle('placing-station', !!placingStation || !!probing)
+  }, [placingStation, onPlaceStation, probing, onProbePoint])
+
+  // What-if stations: draggable, removable, drawn apart from the loaded stations
+  useEffect(() => {
+    if (!proposedStationLayerRef.current) return
+
+    proposedStationLayerRef.current.clearLayers()
+
+    ;(proposedStations || []).forEach(s => {
+      if (s.bands) {
+        for (let i = s.bands.length - 1; i >= 0; i--) {
+          const band = s.bands[i]
+          if (band.lines.length === 0) continue
+
+          const prevMinutes = i > 0 ? s.bands[i - 1].minutes : 0
+          proposedStationLayerRef.current.addLayer(L.polyline(band.lines, {
+            color: PROPOSED_STATION_COLOR,
+            weight: 4,
+            opacity: 0.25 + 0.5 * (1 - i / s.bands.length),
+            dashArray: '2 6',
+            lineCap: 'round'
+          }).bindTooltip(`${s.name} - ${prevMinutes}–${band.minutes} min drive`, { sticky: true }))
+        }
+      } else {
+        proposedStationLayerRef.current.addLayer(L.circle([s.lat, s.lon], {
+          radius: standards.station.responseMiles * METERS_PER_MILE,
+          color: PROPOSED_STATION_COLOR,
+          weight: 2,
+          opacity: 0.7,
+          fillColor: PROPOSED_STATION_COLOR,
+          fillOpacity: 0.08,
+          dashArray: '8, 6',
+          interactive: false
+        }))
+      }
+
+      const marker = L.marker([s.lat, s.lon], {
+        icon: L.divIcon({
+          className: 'proposed-station-marker',
+          html: `<div class="proposed-station-inner">P</div><button class="proposed-station-remove" title="Remove">×</button>`,
+          iconSize: [36, 36],
+          iconAnchor: [18, 18]
+        }),
+        draggable: true,
+        zIndexOffset: 1100
+      })
+      marker.bindTooltip(`${s.name} (proposed) - drag to move`, { direction: 'top', offset: [0, -18] })
+      marker.on('click', (e) => {
+        if (e.originalEvent.target.closest('.proposed-station-remove')) {
+          onRemoveProposedStation(s.id)
+        }
+      })
+      marker.on('dragend', () => {
+        const { lat, lng } = marker.getLatLng()
+        onMoveProposedStation(s.id, lat, lng)
+      })
+      proposedStationLayerRef.current.addLayer(marker)
+    })
+  }, [proposedStations, standards, onMoveProposedStation, onRemoveProposedStation])
+
+  // Out-of-service assets, and the addresses that lose coverage without them
+  useEffect(() => {
+    if (!outOfServiceLayerRef.current) return
+
+    outOfServiceLayerRef.current.clearLayers()
+
+    for (const a of outOfServiceResult?.affected || []) {
+      // Red: hydrant class got worse; blue: only station coverage was lost
+      const color = a.hydrantClassAfter !== a.hydrantClassBefore ? '#ef4444' : '#3b82f6'
+      const lines = []
+      if (a.hydrantClassAfter !== a.hydrantClassBefore) {
+        lines.push(`Hydrant: ${a.hydrantClassBefore} → ${a.hydrantClassAfter} (${Math.round(a.hydrantDistAfter).toLocaleString()} ft)`)
+      }
+      if (a.stationCoverageLost) {
+        lines.push(`First due: ${escapeHtml(a.firstDueBefore || '—')} → ${escapeHtml(a.firstDueAfter || 'none')}, outside response standard`)
+      }
+
+      outOfServiceLayerRef.current.addLayer(L.circleMarker([a.lat, a.lon], {
+        radius: 4,
+        color,
+        weight: 1,
+        fillColor: color,
+        fillOpacity: 0.8
+      }).bindTooltip(`<strong>${escapeHtml(a.address || `Address ${a.id}`)}</strong><br/>${lines.join('<br/>')}`))
+    }
+
+    for (const asset of outOfServiceAssets || []) {
+      const marker = L.marker([asset.lat, asset.lon], {
+        icon: L.divIcon({
+          className: 'out-of-service-marker',
+          html: `<div class="out-of-service-inner ${asset.type}">✕</div>`,
+          iconSize: [24, 24],
+          iconAnchor: [12, 12]
+        }),
+        zIndexOffset: 1200
+      })
+      marker.bindTooltip(`${asset.label} - out of service (shift-click to restore)`, { direction: 'top', offset: [0, -12] })
+      marker.on('click', (e) => {
+        if (e.originalEvent.shiftKey) onToggleOutOfService(asset.feature)
+        else onFeatureClick(asset.feature)
+      })
+      outOfServiceLayerRef.current.addLayer(marker)
+    }
+  }, [outOfServiceAssets, outOfServiceResult, onToggleOutOfService, onFeatureClick])
 
   // Handle layer visibility
   // Note: Layer z-ordering is handled by custom panes (boundaryPane, zipcodePane, radiusPane)
@@ -403,7 +1212,7 @@ export default function Map({
     toggleLayer(hydrantRadiusLayerRef.current, layerVisibility.hydrantRadius)
     toggleLayer(stationLayerRef.current, layerVisibility.stations)
     toggleLayer(addressClusterRef.current, layerVisibility.addresses)
-    toggleLayer(zipcodeLayerRef.current, layerVisibility.zipcodes)
+    toggleLayer(zipcodeLayerRef.current, layerVisibility.zipcodes || layerVisibility.zipChoropleth)
     toggleLayer(boundaryLayerRef.current, layerVisibility.boundary)
     toggleLayer(boundaryGlowLayerRef.current, layerVisibility.boundary)
   }, [layerVisibility])
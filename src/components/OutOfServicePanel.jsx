@@ -0,0 +1,92 @@
+import { toCSV, downloadFile } from '../utils/csv'
+import { AFFECTED_ADDRESS_COLUMNS, outOfServiceKey } from '../utils/outOfService'
+import './OutOfServicePanel.css'
+
+function OutOfServicePanel({ assets, result, analysisReady, onRestore, onClear }) {
+  if (assets.length === 0) return null
+
+  const hydrantCount = assets.filter(a => a.type === 'hydrant').length
+  const stationCount = assets.length - hydrantCount
+
+  const handleExport = () => {
+    const stamp = new Date().toISOString().slice(0, 10)
+    downloadFile(toCSV(result.affected, AFFECTED_ADDRESS_COLUMNS), `out-of-service-affected-${stamp}.csv`)
+  }
+
+  return (
+    <div className="oos-panel">
+      <div className="oos-header">
+        <span>Out of Service</span>
+        <button className="oos-clear" onClick={onClear}>Restore all</button>
+      </div>
+
+      <ul className="oos-assets">
+        {assets.map(a => (
+          <li key={outOfServiceKey(a)} className={a.type}>
+            <span className="oos-asset-icon">{a.type === 'hydrant' ? 'H' : 'S'}</span>
+            <span className="oos-asset-label">{a.label}</span>
+            <button onClick={() => onRestore(a)} title="Return to service">×</button>
+          </li>
+        ))}
+      </ul>
+      <p className="oos-hint">
+        {hydrantCount} hydrant{hydrantCount === 1 ? '' : 's'}, {stationCount} station{stationCount === 1 ? '' : 's'}.
+        Shift-click hydrants or stations on the map to add more.
+      </p>
+
+      {!analysisReady ? (
+        <p className="oos-hint">Load address data to see who loses coverage.</p>
+      ) : !result ? (
+        <p className="oos-hint">Recomputing coverage…</p>
+      ) : result.error ? (
+        <p className="oos-hint">{result.error}</p>
+      ) : (
+        <>
+          <div className="oos-totals">
+            <div>
+              <span className="oos-total-value">{result.totals.affected.toLocaleString()}</span>
+              <span className="oos-total-label">Addresses worse off</span>
+            </div>
+            <div>
+              <span className="oos-total-value hydrant">{result.totals.newlyUnderserved.toLocaleString()}</span>
+              <span className="oos-total-label">Newly underserved</span>
+            </div>
+            <div>
+              <span className="oos-total-value station">{result.totals.stationCoverageLost.toLocaleString()}</span>
+              <span className="oos-total-label">Lost station coverage</span>
+            </div>
+          </div>
+
+          {result.zips.length > 0 && (
+            <table className="oos-zip-table">
+              <thead>
+                <tr>
+                  <th>ZIP</th>
+                  <th>Worse</th>
+                  <th>Hydrant ↓</th>
+                  <th>Station ✕</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.zips.map(z => (
+                  <tr key={z.zipCode}>
+                    <td>{z.zipCode}</td>
+                    <td>{z.affected.toLocaleString()}</td>
+                    <td>{z.hydrantDowngraded.toLocaleString()}</td>
+                    <td>{z.stationCoverageLost.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <button className="oos-export" onClick={handleExport} disabled={result.affected.length === 0}>
+            Export affected addresses (CSV)
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default OutOfServicePanel
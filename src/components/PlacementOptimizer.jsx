@@ -0,0 +1,135 @@
+import { useState } from 'react'
+import { formatFeet } from '../utils/standards'
+import { parseCandidateSites } from '../utils/placement'
+import './PlacementOptimizer.css'
+
+function PlacementOptimizer({ standards, selectedZip, result, running, onRun, onClear }) {
+  const [budget, setBudget] = useState('10')
+  const [useSelectedZip, setUseSelectedZip] = useState(false)
+  const [candidates, setCandidates] = useState(null)
+  const [candidateError, setCandidateError] = useState(null)
+
+  const acceptableLabel = formatFeet(standards.hydrant.acceptableFt)
+  const budgetValue = parseInt(budget, 10)
+  const budgetValid = Number.isInteger(budgetValue) && budgetValue > 0
+  const studyZip = useSelectedZip ? selectedZip : null
+
+  const handleCandidateFile = (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (event) => {
+      try {
+        setCandidates({ name: file.name, sites: parseCandidateSites(event.target.result, file.name) })
+        setCandidateError(null)
+      } catch (err) {
+        setCandidates(null)
+        setCandidateError(err.message)
+      }
+    }
+    reader.readAsText(file)
+    e.target.value = ''
+  }
+
+  const handleRun = () => {
+    onRun({
+      budget: budgetValue,
+      studyArea: studyZip?.geoJsonFeature || null,
+      studyAreaLabel: studyZip ? `ZIP ${studyZip.zipCode}` : 'County',
+      candidates: candidates?.sites || null
+    })
+  }
+
+  return (
+    <div className="chart-section placement-optimizer">
+      <h3>Hydrant Placement</h3>
+      <p className="chart-description">
+        Propose new hydrant sites that bring the most underserved addresses within {acceptableLabel}
+      </p>
+
+      <div className="placement-controls">
+        <label className="placement-field">
+          New hydrants
+          <input
+            type="number"
+            min="1"
+            max="500"
+            value={budget}
+            onChange={(e) => setBudget(e.target.value)}
+          />
+        </label>
+
+        <label className={`placement-field ${selectedZip ? '' : 'disabled'}`}>
+          <input
+            type="checkbox"
+            checked={useSelectedZip && !!selectedZip}
+            disabled={!selectedZip}
+            onChange={(e) => setUseSelectedZip(e.target.checked)}
+          />
+          {selectedZip ? `Only ZIP ${selectedZip.zipCode}` : 'Select a ZIP to limit the study area'}
+        </label>
+
+        <div className="placement-field">
+          <label className="placement-file">
+            {candidates ? 'Replace candidates' : 'Candidate sites (optional)'}
+            <input type="file" accept=".geojson,.json,.csv" onChange={handleCandidateFile} />
+          </label>
+          {candidates && (
+            <span className="placement-candidates">
+              {candidates.sites.length.toLocaleString()} from {candidates.name}
+              <button onClick={() => setCandidates(null)}>×</button>
+            </span>
+          )}
+        </div>
+        {candidateError && <p className="placement-error">{candidateError}</p>}
+
+        <div className="placement-actions">
+          <button className="placement-run" onClick={handleRun} disabled={!budgetValid || running}>
+            {running ? 'Optimizing…' : 'Optimize'}
+          </button>
+          {result && !running && (
+            <button className="placement-clear" onClick={onClear}>Clear</button>
+          )}
+        </div>
+      </div>
+
+      {result && !result.error && (
+        <div className="placement-results">
+          <div className="placement-compare">
+            {[['Current', result.before], ['With proposals', result.after]].map(([label, coverage]) => (
+              <div key={label} className="placement-compare-row">
+                <span className="placement-compare-label">{label}</span>
+                <div className="placement-bar">
+                  <div className="placement-bar-fill" style={{ width: `${coverage.pctWithinAcceptable}%` }} />
+                </div>
+                <span className="placement-compare-value">{coverage.pctWithinAcceptable}%</span>
+              </div>
+            ))}
+          </div>
+          <p className="placement-summary">
+            {result.studyAreaLabel}: <strong>{(result.after.withinAcceptable - result.before.withinAcceptable).toLocaleString()}</strong> of{' '}
+            {result.before.underserved.toLocaleString()} underserved addresses brought within {formatFeet(result.radiusFt)} by{' '}
+            {result.proposals.length} of {result.budget} hydrants ({result.candidateCount.toLocaleString()} sites considered).
+          </p>
+
+          {result.proposals.length > 0 ? (
+            <ol className="placement-list">
+              {result.proposals.map(p => (
+                <li key={p.rank}>
+                  <span className="placement-gain">+{p.gain.toLocaleString()}</span>
+                  <span className="placement-coords">{p.lat.toFixed(5)}, {p.lon.toFixed(5)}</span>
+                  <span className="placement-cumulative">{p.cumulativeGain.toLocaleString()} total</span>
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <p className="placement-summary">No site reaches an underserved address.</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PlacementOptimizer
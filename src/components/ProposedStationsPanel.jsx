@@ -0,0 +1,92 @@
+import { PROPOSED_STATION_DRAG_TYPE, coverageDelta, formatPointDelta } from '../utils/stationScenario'
+import './ProposedStationsPanel.css'
+
+function ProposedStationsPanel({ scenario, placing, onTogglePlacing, onRemove, onSelectZip }) {
+  const stations = scenario?.stations || []
+  const countywide = scenario?.countywide
+  const delta = countywide && coverageDelta(countywide.before, countywide.after, countywide.addressCount)
+
+  return (
+    <div className="chart-section proposed-stations">
+      <h3>Proposed Stations</h3>
+      <p className="chart-description">
+        Drop candidate station sites on the map to see how station coverage would change
+      </p>
+
+      <div className="proposed-actions">
+        <button
+          className={`proposed-place ${placing ? 'active' : ''}`}
+          onClick={onTogglePlacing}
+        >
+          {placing ? 'Click the map… (cancel)' : 'Place on map'}
+        </button>
+        <span
+          className="proposed-drag-chip"
+          draggable
+          onDragStart={(e) => {
+            e.dataTransfer.setData(PROPOSED_STATION_DRAG_TYPE, '1')
+            e.dataTransfer.effectAllowed = 'copy'
+          }}
+          title="Drag onto the map"
+        >
+          P
+        </span>
+      </div>
+
+      {stations.length > 0 && (
+        <>
+          <ul className="proposed-list">
+            {stations.map(s => (
+              <li key={s.id}>
+                <span className="proposed-name">{s.name}</span>
+                <span className="proposed-coords">{s.lat.toFixed(4)}, {s.lon.toFixed(4)}</span>
+                <button className="proposed-remove" onClick={() => onRemove(s.id)} title="Remove">×</button>
+              </li>
+            ))}
+          </ul>
+
+          {delta && (
+            <div className="proposed-delta">
+              <span className="proposed-delta-label">Countywide station coverage</span>
+              <span className="proposed-delta-value">
+                {delta.pctBefore.toFixed(1)}% → {delta.pctAfter.toFixed(1)}%
+                <strong>{formatPointDelta(delta.points)}</strong>
+              </span>
+              <span className="proposed-delta-sub">
+                {delta.addresses >= 0 ? '+' : ''}{delta.addresses.toLocaleString()} addresses within the response standard
+              </span>
+            </div>
+          )}
+
+          {scenario.zips.length > 0 && (
+            <table className="proposed-zip-table">
+              <thead>
+                <tr>
+                  <th>ZIP</th>
+                  <th>Before</th>
+                  <th>After</th>
+                  <th>Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {scenario.zips.map(z => {
+                  const zipDelta = coverageDelta(z.before, z.after, z.addressCount)
+                  return (
+                    <tr key={z.id} onClick={() => onSelectZip(z.id)}>
+                      <td>{z.zipCode}</td>
+                      <td>{zipDelta.pctBefore.toFixed(1)}%</td>
+                      <td>{zipDelta.pctAfter.toFixed(1)}%</td>
+                      <td className="proposed-zip-change">{formatPointDelta(zipDelta.points)}</td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ProposedStationsPanel
@@ -1,8 +1,298 @@
+import { formatFeet, formatMiles } from '../utils/standards'
+import { formatPointDelta } from '../utils/stationScenario'
+import { outOfServiceKey } from '../utils/outOfService'
+import { getFlowClass } from '../utils/fireFlow'
+import GapZoneList from './GapZoneList'
+import StationScorecard from './StationScorecard'
+import DataQAList from './DataQAList'
+import { getStudyAreaShape, describeStudyAreaShape } from '../utils/studyAreas'
 import './Sidebar.css'
 
-function Sidebar({ isOpen, feature, onClose }) {
+const LOCATION_RATINGS = {
+  Optimal: { className: 'excellent', icon: '✓' },
+  Marginal: { className: 'good', icon: '●' },
+  Underserved: { className: 'needs-attention', icon: '!' }
+}
+
+// The ZIP-style stat block: counts, station response, hydrant proximity and availability and
+// density. Shared by ZIP codes and drawn study areas.
+function AreaStatBlock({ stats }) {
+  const optimalLabel = formatFeet(stats.standards.hydrant.optimalFt)
+  const acceptableLabel = formatFeet(stats.standards.hydrant.acceptableFt)
+
+  return (
+    <>
+      {/* Area Type Badge */}
+      {stats.areaType && (
+        <div className={`area-type-badge ${stats.areaType.toLowerCase()}`}>
+          {stats.areaType} Area
+          {stats.areaSqMiles > 0 && (
+            <span className="area-size">{stats.areaSqMiles.toFixed(1)} sq mi</span>
+          )}
+        </div>
+      )}
+
+      {/* Rural Notice */}
+      {stats.isRural && stats.ruralNote && (
+        <div className="rural-notice">
+          <span className="rural-icon">i</span>
+          <span>{stats.ruralNote}</span>
+        </div>
+      )}
+
+      <div className="stat-row">
+        <span>Fire Stations</span>
+        <span className="stat-num">{stats.stationCount}</span>
+      </div>
+      <div className="stat-row">
+        <span>Fire Hydrants</span>
+        <span className="stat-num">{stats.hydrantCount.toLocaleString()}</span>
+      </div>
+      <div className="stat-row">
+        <span>Total Addresses</span>
+        <span className="stat-num">{stats.addressCount.toLocaleString()}</span>
+      </div>
+
+      {stats.addressCount > 0 && (
+        <>
+          <div className="stat-divider" />
+          <div className="stat-section-label">Fire Station Response</div>
+          <div className="stat-row highlight-blue">
+            <span>
+              {stats.stationResponseMode === 'network'
+                ? `Within ${stats.standards.station.responseMinutes}-min drive of station`
+                : `Within ${formatMiles(stats.standards.station.responseMiles)} of station`}
+            </span>
+            <span className="stat-num">{stats.stationCoveragePercent}%</span>
+          </div>
+          {stats.proposedStationCount > 0 && (
+            <div className="stat-row proposed">
+              <span>Without proposed stations</span>
+              <span className="stat-num">
+                {stats.stationCoverageBaselinePercent}%
+                <span className="stat-delta">
+                  {formatPointDelta(parseFloat(stats.stationCoveragePercent) - parseFloat(stats.stationCoverageBaselinePercent))}
+                </span>
+              </span>
+            </div>
+          )}
+          <div className="stat-row">
+            <span>Avg. distance to station</span>
+            <span className="stat-num">{(stats.avgDistanceToStation / 5280).toFixed(2)} mi</span>
+          </div>
+          <div className="stat-row warning">
+            <span>Only one station in range</span>
+            <span className="stat-num">{stats.pctSingleStation}%</span>
+          </div>
+          <div className="stat-row">
+            <span>2+ stations in range</span>
+            <span className="stat-num">{stats.pctMultiStation}%</span>
+          </div>
+          {stats.criticalStation && (
+            <div className="critical-station">
+              <span className="critical-station-label">Most critical station</span>
+              <span className="critical-station-name">{stats.criticalStation.name}</span>
+              <span className="critical-station-note">
+                {stats.criticalStation.soleAddresses.toLocaleString()} addresses ({stats.criticalStation.pctOfAddresses}%) have no other station in range
+              </span>
+            </div>
+          )}
+
+          <div className="stat-divider" />
+          <div className="stat-section-label">Hydrant Proximity · {stats.standards.name}</div>
+          {!stats.isRural ? (
+            <>
+              <div className="stat-row highlight">
+                <span>Within {optimalLabel} (optimal)</span>
+                <span className="stat-num">{stats.coveragePercentOptimal}%</span>
+              </div>
+              <div className="stat-row">
+                <span>Within {acceptableLabel} (acceptable)</span>
+                <span className="stat-num">{stats.coveragePercentAcceptable}%</span>
+              </div>
+              <div className="stat-row danger">
+                <span>Beyond {acceptableLabel}</span>
+                <span className="stat-num">{stats.addressesUnderserved.toLocaleString()}</span>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="stat-row">
+                <span>Within {optimalLabel}</span>
+                <span className="stat-num">{stats.coveragePercentOptimal}%</span>
+              </div>
+              <div className="stat-row">
+                <span>Within {acceptableLabel}</span>
+                <span className="stat-num">{stats.coveragePercentAcceptable}%</span>
+              </div>
+              <div className="stat-row muted">
+                <span>Beyond {acceptableLabel}</span>
+                <span className="stat-num">{stats.addressesUnderserved.toLocaleString()}</span>
+              </div>
+              <p className="rural-hydrant-note">
+                Rural areas typically rely on water tankers and natural water sources rather than hydrant infrastructure.
+              </p>
+            </>
+          )}
+          {stats.flowFilter?.minFlowGpm > 0 && (
+            <>
+              <div className="stat-row flow-excluded">
+                <span>Counting only ≥{stats.flowFilter.minFlowGpm.toLocaleString()} GPM hydrants; with all hydrants:</span>
+              </div>
+              <div className="stat-row flow-excluded">
+                <span>Within {optimalLabel}</span>
+                <span className="stat-num">
+                  {stats.coveragePercentOptimalAllHydrants}%
+                  <span className="stat-delta">
+                    {formatPointDelta(parseFloat(stats.coveragePercentOptimal) - parseFloat(stats.coveragePercentOptimalAllHydrants))}
+                  </span>
+                </span>
+              </div>
+              <div className="stat-row flow-excluded">
+                <span>Within {acceptableLabel}</span>
+                <span className="stat-num">
+                  {stats.coveragePercentAcceptableAllHydrants}%
+                  <span className="stat-delta">
+                    {formatPointDelta(parseFloat(stats.coveragePercentAcceptable) - parseFloat(stats.coveragePercentAcceptableAllHydrants))}
+                  </span>
+                </span>
+              </div>
+            </>
+          )}
+
+          <div className="stat-divider" />
+          <div className="stat-section-label">Hydrant Availability</div>
+          <div className="stat-row">
+            <span>2+ hydrants within {acceptableLabel}</span>
+            <span className="stat-num">{stats.pctTwoHydrantsAcceptable}%</span>
+          </div>
+          <div className="stat-row">
+            <span>3+ hydrants within {acceptableLabel}</span>
+            <span className="stat-num">{stats.pctThreeHydrantsAcceptable}%</span>
+          </div>
+          <div className="stat-row">
+            <span>2+ hydrants within {optimalLabel}</span>
+            <span className="stat-num">{stats.pctTwoHydrantsOptimal}%</span>
+          </div>
+          <div className="stat-row">
+            <span>Avg. hydrants within {acceptableLabel}</span>
+            <span className="stat-num">{stats.avgHydrantsWithinAcceptable.toFixed(1)}</span>
+          </div>
+          {stats.avgSecondHydrantDistance !== null && (
+            <div className="stat-row">
+              <span>Avg. distance to 2nd / 3rd hydrant</span>
+              <span className="stat-num">
+                {Math.round(stats.avgSecondHydrantDistance).toLocaleString()}
+                {stats.avgThirdHydrantDistance !== null && ` / ${Math.round(stats.avgThirdHydrantDistance).toLocaleString()}`} ft
+              </span>
+            </div>
+          )}
+
+          <div className="stat-divider" />
+          <div className="stat-section-label">Density Metrics</div>
+          <div className="stat-row">
+            <span>Avg. distance to hydrant</span>
+            <span className="stat-num">{Math.round(stats.avgDistanceToHydrant).toLocaleString()} ft</span>
+          </div>
+          <div className="stat-row">
+            <span>Hydrants per 1,000 addresses</span>
+            <span className="stat-num">{stats.hydrantDensity}</span>
+          </div>
+          {stats.addressDensity > 0 && (
+            <div className="stat-row">
+              <span>Addresses per sq mile</span>
+              <span className="stat-num">{Math.round(stats.addressDensity).toLocaleString()}</span>
+            </div>
+          )}
+        </>
+      )}
+    </>
+  )
+}
+
+function Sidebar({
+  isOpen,
+  feature,
+  onClose,
+  outOfServiceKeys,
+  onToggleOutOfService,
+  gapZones,
+  gapZoneConfig,
+  onChangeGapZoneConfig,
+  onSelectGapZone,
+  stationCoverage,
+  dataQA,
+  onSelectQARecord,
+  onPrintZipReport,
+  studyAreas,
+  editingStudyAreaId,
+  onSelectStudyArea,
+  onRenameStudyArea,
+  onToggleEditStudyArea,
+  onDeleteStudyArea
+}) {
   if (!feature) return null
 
+  const isOutOfService = outOfServiceKeys?.has(outOfServiceKey(feature))
+  const outOfServiceButton = (
+    <button
+      className={`out-of-service-toggle ${isOutOfService ? 'active' : ''}`}
+      onClick={() => onToggleOutOfService(feature)}
+    >
+      {isOutOfService ? 'Return to service' : 'Mark out of service'}
+    </button>
+  )
+
+  // Nearest hydrant and station of an address or searched location (lines drawn on the map)
+  const coverage = feature.coverage
+  const coverageRating = coverage && !coverage.error && LOCATION_RATINGS[coverage.hydrantClass]
+  const locationCoverage = (feature.type === 'address' || feature.type === 'location') && (
+    <div className="coverage-section location-coverage">
+      <h3>Coverage</h3>
+      {!coverage ? (
+        <p className="location-coverage-note">Finding the nearest hydrant and station…</p>
+      ) : coverage.error ? (
+        <p className="location-coverage-note">Coverage is available once the data has loaded.</p>
+      ) : (
+        <>
+          <div className={`coverage-rating ${coverageRating.className}`}>
+            <span className="rating-icon">{coverageRating.icon}</span>
+            <span className="rating-text">{coverage.hydrantClass} hydrant coverage</span>
+          </div>
+          <div className="coverage-stats">
+            <div className="coverage-stat">
+              <span className="coverage-label">Nearest hydrant</span>
+              <span className="coverage-value">{coverage.hydrant ? formatFeet(coverage.hydrant.distance) : '—'}</span>
+            </div>
+            <div className="coverage-stat">
+              <span className="coverage-label">Hydrants within {formatFeet(coverage.standards.hydrant.acceptableFt)}</span>
+              <span className="coverage-value">{coverage.hydrantsWithinAcceptable}</span>
+            </div>
+            <div className="coverage-stat">
+              <span className="coverage-label">Nearest station</span>
+              <span className="coverage-value">
+                {coverage.station ? `${coverage.station.name} · ${formatFeet(coverage.station.distance)}` : '—'}
+              </span>
+            </div>
+            {coverage.firstDueStation && (
+              <div className="coverage-stat">
+                <span className="coverage-label">First-due station</span>
+                <span className="coverage-value">
+                  {coverage.firstDueStation.name}
+                  {coverage.stationDriveMinutes !== null && ` · ${coverage.stationDriveMinutes.toFixed(1)} min`}
+                </span>
+              </div>
+            )}
+            <div className="coverage-stat">
+              <span className="coverage-label">Within response standard</span>
+              <span className="coverage-value">{coverage.withinStationResponse ? 'Yes' : 'No'}</span>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+
   const renderContent = () => {
     switch (feature.type) {
       case 'hydrant':
@@ -23,7 +313,53 @@ function Sidebar({ isOpen, feature, onClose }) {
                 <span className="detail-label">Longitude</span>
                 <span className="detail-value">{feature.lon?.toFixed(6)}</span>
               </div>
+              {feature.confidence !== null && feature.confidence !== undefined && (
+                <div className="detail-item">
+                  <span className="detail-label">Confidence</span>
+                  <span className="detail-value">{Math.round(feature.confidence * 100)}%</span>
+                </div>
+              )}
+              {feature.detectionCount > 1 && (
+                <div className="detail-item">
+                  <span className="detail-label">Detections</span>
+                  <span className="detail-value">{feature.detectionCount}</span>
+                </div>
+              )}
+              {feature.mergedIds && (
+                <div className="detail-item full-width">
+                  <span className="detail-label">Merged Detections</span>
+                  <span className="detail-value">{feature.mergedIds.join(', ')}</span>
+                </div>
+              )}
+              {feature.flowClass && (
+                <div className="detail-item full-width">
+                  <span className="detail-label">NFPA 291 Class</span>
+                  <span className="detail-value">
+                    <span className="flow-class-dot" style={{ background: getFlowClass(feature.flowClass).color }} />
+                    {getFlowClass(feature.flowClass).label}
+                  </span>
+                </div>
+              )}
+              {feature.flowGpm !== null && feature.flowGpm !== undefined && (
+                <div className="detail-item full-width">
+                  <span className="detail-label">Rated Flow at 20 psi</span>
+                  <span className="detail-value">{feature.flowGpm.toLocaleString()} GPM</span>
+                </div>
+              )}
+              {feature.staticPsi !== null && feature.staticPsi !== undefined && (
+                <div className="detail-item">
+                  <span className="detail-label">Static</span>
+                  <span className="detail-value">{feature.staticPsi} psi</span>
+                </div>
+              )}
+              {feature.residualPsi !== null && feature.residualPsi !== undefined && (
+                <div className="detail-item">
+                  <span className="detail-label">Residual</span>
+                  <span className="detail-value">{feature.residualPsi} psi</span>
+                </div>
+              )}
             </div>
+            {outOfServiceButton}
           </>
         )
 
@@ -46,8 +382,10 @@ function Sidebar({ isOpen, feature, onClose }) {
                 <span className="detail-value">{feature.lon?.toFixed(6)}</span>
               </div>
             </div>
+            {outOfServiceButton}
+            <StationScorecard coverageInfo={stationCoverage} firstDue={feature.firstDue} pending={feature.firstDuePending} />
             <div className="station-info-note">
-              <p>This station serves addresses within a 1-mile response radius. Load address data to see coverage statistics in the ZIP code analysis.</p>
+              <p>This station's response area is drawn on the map as drive-time bands over the street network, or a straight-line radius from the active coverage standard when no street network is loaded.</p>
             </div>
           </>
         )
@@ -77,10 +415,36 @@ function Sidebar({ isOpen, feature, onClose }) {
                 </div>
               )}
             </div>
+            {locationCoverage}
           </>
         )
 
-      case 'zipcode':
+      case 'location':
+        return (
+          <>
+            <div className="sidebar-icon location-icon"><span className="icon-symbol">+</span></div>
+            <h2>Location</h2>
+            <div className="detail-grid">
+              <div className="detail-item">
+                <span className="detail-label">Latitude</span>
+                <span className="detail-value">{feature.lat.toFixed(6)}</span>
+              </div>
+              <div className="detail-item">
+                <span className="detail-label">Longitude</span>
+                <span className="detail-value">{feature.lon.toFixed(6)}</span>
+              </div>
+              {coverage?.zipCode && (
+                <div className="detail-item">
+                  <span className="detail-label">ZIP</span>
+                  <span className="detail-value">{coverage.zipCode}</span>
+                </div>
+              )}
+            </div>
+            {locationCoverage}
+          </>
+        )
+
+      case 'zipcode': {
         const stats = feature.stats
         return (
           <>
@@ -91,105 +455,11 @@ function Sidebar({ isOpen, feature, onClose }) {
             )}
             {stats ? (
               <div className="zip-stats">
-                {/* Area Type Badge */}
-                {stats.areaType && (
-                  <div className={`area-type-badge ${stats.areaType.toLowerCase()}`}>
-                    {stats.areaType} Area
-                    {stats.areaSqMiles > 0 && (
-                      <span className="area-size">{stats.areaSqMiles.toFixed(1)} sq mi</span>
-                    )}
-                  </div>
-                )}
-
-                {/* Rural Notice */}
-                {stats.isRural && stats.ruralNote && (
-                  <div className="rural-notice">
-                    <span className="rural-icon">i</span>
-                    <span>{stats.ruralNote}</span>
-                  </div>
-                )}
-
-                <div className="stat-row">
-                  <span>Fire Stations</span>
-                  <span className="stat-num">{stats.stationCount}</span>
-                </div>
-                <div className="stat-row">
-                  <span>Fire Hydrants</span>
-                  <span className="stat-num">{stats.hydrantCount.toLocaleString()}</span>
-                </div>
-                <div className="stat-row">
-                  <span>Total Addresses</span>
-                  <span className="stat-num">{stats.addressCount.toLocaleString()}</span>
-                </div>
+                <AreaStatBlock stats={stats} />
 
-                {stats.addressCount > 0 && (
-                  <>
-                    <div className="stat-divider" />
-                    <div className="stat-section-label">Fire Station Response</div>
-                    <div className="stat-row highlight-blue">
-                      <span>Within 1-mile of station</span>
-                      <span className="stat-num">{stats.stationCoveragePercent}%</span>
-                    </div>
-                    <div className="stat-row">
-                      <span>Avg. distance to station</span>
-                      <span className="stat-num">{(stats.avgDistanceToStation / 5280).toFixed(2)} mi</span>
-                    </div>
-
-                    <div className="stat-divider" />
-                    <div className="stat-section-label">Hydrant Proximity</div>
-                    {!stats.isRural ? (
-                      <>
-                        <div className="stat-row highlight">
-                          <span>Within 500 ft (optimal)</span>
-                          <span className="stat-num">{stats.coveragePercent500}%</span>
-                        </div>
-                        <div className="stat-row">
-                          <span>Within 1,000 ft (acceptable)</span>
-                          <span className="stat-num">{stats.coveragePercent1000}%</span>
-                        </div>
-                        <div className="stat-row danger">
-                          <span>Beyond 1,000 ft</span>
-                          <span className="stat-num">{stats.addressesUnderserved.toLocaleString()}</span>
-                        </div>
-                      </>
-                    ) : (
-                      <>
-                        <div className="stat-row">
-                          <span>Within 500 ft</span>
-                          <span className="stat-num">{stats.coveragePercent500}%</span>
-                        </div>
-                        <div className="stat-row">
-                          <span>Within 1,000 ft</span>
-                          <span className="stat-num">{stats.coveragePercent1000}%</span>
-                        </div>
-                        <div className="stat-row muted">
-                          <span>Beyond 1,000 ft</span>
-                          <span className="stat-num">{stats.addressesUnderserved.toLocaleString()}</span>
-                        </div>
-                        <p className="rural-hydrant-note">
-                          Rural areas typically rely on water tankers and natural water sources rather than hydrant infrastructure.
-                        </p>
-                      </>
-                    )}
-
-                    <div className="stat-divider" />
-                    <div className="stat-section-label">Density Metrics</div>
-                    <div className="stat-row">
-                      <span>Avg. distance to hydrant</span>
-                      <span className="stat-num">{Math.round(stats.avgDistanceToHydrant).toLocaleString()} ft</span>
-                    </div>
-                    <div className="stat-row">
-                      <span>Hydrants per 1,000 addresses</span>
-                      <span className="stat-num">{stats.hydrantDensity}</span>
-                    </div>
-                    {stats.addressDensity > 0 && (
-                      <div className="stat-row">
-                        <span>Addresses per sq mile</span>
-                        <span className="stat-num">{Math.round(stats.addressDensity).toLocaleString()}</span>
-                      </div>
-                    )}
-                  </>
-                )}
+                <button className="zip-report-button" onClick={() => onPrintZipReport([feature.id])}>
+                  Printable report
+                </button>
               </div>
             ) : (
               <div className="loading-stats">
@@ -199,6 +469,127 @@ function Sidebar({ isOpen, feature, onClose }) {
             )}
           </>
         )
+      }
+
+      case 'studyArea': {
+        const { area, stats } = feature
+        const editing = editingStudyAreaId === area.id
+        return (
+          <>
+            <div className="sidebar-icon study-area-icon">
+              <span className="icon-symbol">{getStudyAreaShape(area.shape.type).symbol}</span>
+            </div>
+            <input
+              className="study-area-name"
+              value={area.name}
+              placeholder="Untitled area"
+              onChange={(e) => onRenameStudyArea(area.id, e.target.value)}
+              aria-label="Study area name"
+            />
+            <p className="zip-city">{describeStudyAreaShape(area.shape)}</p>
+            <div className="study-area-actions">
+              <button className={editing ? 'active' : ''} onClick={() => onToggleEditStudyArea(area.id)}>
+                {editing ? 'Done editing' : 'Edit shape'}
+              </button>
+              <button className="delete" onClick={() => onDeleteStudyArea(area.id)}>Delete</button>
+            </div>
+            {editing && (
+              <p className="study-area-hint">Drag the handles on the map; the area is re-analyzed after each change.</p>
+            )}
+            {stats ? (
+              <div className="zip-stats">
+                <AreaStatBlock stats={stats} />
+              </div>
+            ) : (
+              <div className="loading-stats">
+                <div className="loading-spinner" />
+                <span>Analyzing study area...</span>
+              </div>
+            )}
+            {studyAreas.length > 1 && (
+              <div className="study-area-list">
+                <div className="stat-section-label">Saved Study Areas</div>
+                {studyAreas.map(a => (
+                  <button
+                    key={a.id}
+                    className={a.id === area.id ? 'active' : ''}
+                    onClick={() => onSelectStudyArea(a.id)}
+                  >
+                    {a.name || 'Untitled area'}
+                  </button>
+                ))}
+              </div>
+            )}
+          </>
+        )
+      }
+
+      case 'gapZones':
+        return (
+          <>
+            <div className="sidebar-icon gap-zone-icon"><span className="icon-symbol">G</span></div>
+            <h2>Coverage Gap Zones</h2>
+            <GapZoneList
+              result={gapZones}
+              config={gapZoneConfig}
+              onChangeConfig={onChangeGapZoneConfig}
+              onSelectZone={onSelectGapZone}
+            />
+          </>
+        )
+
+      case 'dataQA':
+        return (
+          <>
+            <div className="sidebar-icon data-qa-icon"><span className="icon-symbol">!</span></div>
+            <h2>Data Quality</h2>
+            <DataQAList result={dataQA} onSelectRecord={onSelectQARecord} />
+          </>
+        )
+
+      case 'gapZone':
+        return (
+          <>
+            <div className="sidebar-icon gap-zone-icon"><span className="icon-symbol">{feature.rank}</span></div>
+            <h2>Gap Zone #{feature.rank}</h2>
+            {feature.zipCode && <p className="zip-city">ZIP {feature.zipCode}</p>}
+            <div className="detail-grid">
+              <div className="detail-item">
+                <span className="detail-label">Underserved Addresses</span>
+                <span className="detail-value">{feature.addressCount.toLocaleString()}</span>
+              </div>
+              <div className="detail-item">
+                <span className="detail-label">Area</span>
+                <span className="detail-value">{feature.areaSqMiles.toFixed(2)} sq mi</span>
+              </div>
+              <div className="detail-item">
+                <span className="detail-label">Worst Distance</span>
+                <span className="detail-value">
+                  {Number.isFinite(feature.worstDistance) ? `${Math.round(feature.worstDistance).toLocaleString()} ft` : 'No hydrant'}
+                </span>
+              </div>
+              <div className="detail-item">
+                <span className="detail-label">Mean Distance</span>
+                <span className="detail-value">
+                  {Number.isFinite(feature.meanDistance) ? `${Math.round(feature.meanDistance).toLocaleString()} ft` : 'No hydrant'}
+                </span>
+              </div>
+              {feature.nearestHydrant && (
+                <div className="detail-item full-width">
+                  <span className="detail-label">Nearest Existing Hydrant</span>
+                  <span className="detail-value">
+                    #{feature.nearestHydrant.id} · {Math.round(feature.nearestHydrant.distance).toLocaleString()} ft from the zone center
+                  </span>
+                </div>
+              )}
+              <div className="detail-item full-width">
+                <span className="detail-label">Severity</span>
+                <span className="detail-value">{Math.round(feature.severity).toLocaleString()} ft beyond standard (all addresses)</span>
+              </div>
+            </div>
+            <button className="gap-zone-back" onClick={() => onSelectGapZone(null)}>← All gap zones</button>
+          </>
+        )
 
       default:
         return <p>Unknown feature type</p>
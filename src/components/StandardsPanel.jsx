@@ -0,0 +1,111 @@
+import { useState } from 'react'
+import { CUSTOM_STANDARDS_ID, GRADE_LEVELS } from '../utils/standards'
+import './StandardsPanel.css'
+
+// Draft values for the custom editor, kept as strings so inputs can be cleared while typing
+const toDraft = (profile) => ({
+  optimalFt: String(profile.hydrant.optimalFt),
+  acceptableFt: String(profile.hydrant.acceptableFt),
+  responseMinutes: String(profile.station.responseMinutes),
+  responseMiles: String(profile.station.responseMiles),
+  ...Object.fromEntries(GRADE_LEVELS.map(l => [`grade${l.grade}`, String(profile.grades[l.grade])]))
+})
+
+function CustomStandardsEditor({ profile, onApply }) {
+  const [draft, setDraft] = useState(() => toDraft(profile))
+
+  const setField = (name) => (e) => setDraft(prev => ({ ...prev, [name]: e.target.value }))
+
+  const handleApply = () => {
+    onApply({
+      hydrant: {
+        optimalFt: parseFloat(draft.optimalFt),
+        acceptableFt: parseFloat(draft.acceptableFt)
+      },
+      station: {
+        responseMinutes: parseFloat(draft.responseMinutes),
+        responseMiles: parseFloat(draft.responseMiles)
+      },
+      grades: Object.fromEntries(GRADE_LEVELS.map(l => [l.grade, parseFloat(draft[`grade${l.grade}`])]))
+    })
+  }
+
+  return (
+    <div className="standards-editor">
+      <div className="standards-field-group">
+        <span className="standards-group-label">Hydrant distance (ft)</span>
+        <label className="standards-field">
+          <span>Optimal</span>
+          <input type="number" min="1" value={draft.optimalFt} onChange={setField('optimalFt')} />
+        </label>
+        <label className="standards-field">
+          <span>Acceptable</span>
+          <input type="number" min="1" value={draft.acceptableFt} onChange={setField('acceptableFt')} />
+        </label>
+      </div>
+
+      <div className="standards-field-group">
+        <span className="standards-group-label">Station response</span>
+        <label className="standards-field">
+          <span>Drive (min)</span>
+          <input type="number" min="0.5" step="0.5" value={draft.responseMinutes} onChange={setField('responseMinutes')} />
+        </label>
+        <label className="standards-field">
+          <span>Radius (mi)</span>
+          <input type="number" min="0.1" step="0.1" value={draft.responseMiles} onChange={setField('responseMiles')} />
+        </label>
+      </div>
+
+      <div className="standards-field-group">
+        <span className="standards-group-label">Grade cutoffs (% within optimal)</span>
+        {GRADE_LEVELS.map(level => (
+          <label key={level.grade} className="standards-field compact">
+            <span style={{ color: level.color }}>{level.grade}</span>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={draft[`grade${level.grade}`]}
+              onChange={setField(`grade${level.grade}`)}
+            />
+          </label>
+        ))}
+      </div>
+
+      <button className="standards-apply" onClick={handleApply}>Apply Custom Standard</button>
+    </div>
+  )
+}
+
+function StandardsPanel({ standards, presets, customProfile, onSelectProfile, onUpdateCustom }) {
+  const isCustom = standards.id === CUSTOM_STANDARDS_ID
+
+  return (
+    <div className="standards-panel">
+      <div className="standards-header">
+        <h3>Coverage Standard</h3>
+        <select
+          className="standards-select"
+          value={standards.id}
+          onChange={(e) => onSelectProfile(e.target.value)}
+        >
+          {presets.map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+          <option value={CUSTOM_STANDARDS_ID}>Custom{customProfile ? '' : '…'}</option>
+        </select>
+      </div>
+      <p className="standards-description">{standards.description}</p>
+
+      {isCustom && (
+        <CustomStandardsEditor
+          key={JSON.stringify(standards)}
+          profile={standards}
+          onApply={onUpdateCustom}
+        />
+      )}
+    </div>
+  )
+}
+
+export default StandardsPanel
@@ -0,0 +1,179 @@
+import { useEffect, useRef } from 'react'
+import * as d3 from 'd3'
+import { formatFeet } from '../utils/standards'
+import './StationScorecard.css'
+
+const RATING_CLASSES = {
+  Excellent: { className: 'excellent', icon: '✓' },
+  Good: { className: 'good', icon: '●' },
+  'Needs Attention': { className: 'needs-attention', icon: '!' }
+}
+
+const formatFt = (ft) => (Number.isFinite(ft) ? `${Math.round(ft).toLocaleString()} ft` : '—')
+
+// Station scorecard: the station_coverage.csv figures (bundled or recomputed) plus live first-due
+// coverage from the worker (`firstDue` is { stats, distribution } once analyzed)
+function StationScorecard({ coverageInfo: info, firstDue, pending }) {
+  const chartRef = useRef(null)
+  const rating = RATING_CLASSES[info?.coverageRating]
+  const stats = firstDue?.stats
+  const distribution = stats?.addressCount > 0 ? firstDue.distribution : null
+
+  // Nearest-hydrant distance histogram of the first-due addresses, colored by threshold
+  useEffect(() => {
+    if (!chartRef.current || !distribution) return
+
+    const container = chartRef.current
+    container.innerHTML = ''
+
+    const { optimalFt, acceptableFt } = stats.standards.hydrant
+    const margin = { top: 12, right: 8, bottom: 30, left: 36 }
+    const width = 300 - margin.left - margin.right
+    const height = 110 - margin.top - margin.bottom
+
+    const svg = d3.select(container)
+      .append('svg')
+      .attr('width', width + margin.left + margin.right)
+      .attr('height', height + margin.top + margin.bottom)
+      .append('g')
+      .attr('transform', `translate(${margin.left}, ${margin.top})`)
+
+    const label = (bin) => (bin.maxFt === null ? `${d3.format('~s')(bin.minFt)}+` : d3.format('~s')(bin.maxFt))
+    const color = (bin) => {
+      if (bin.maxFt !== null && bin.maxFt <= optimalFt) return '#22c55e'
+      if (bin.maxFt !== null && bin.maxFt <= acceptableFt) return '#eab308'
+      return '#ef4444'
+    }
+
+    const x = d3.scaleBand()
+      .domain(distribution.map(label))
+      .range([0, width])
+      .padding(0.2)
+
+    const y = d3.scaleLinear()
+      .domain([0, d3.max(distribution, b => b.count) * 1.15 || 1])
+      .range([height, 0])
+
+    svg.append('g')
+      .attr('transform', `translate(0, ${height})`)
+      .call(d3.axisBottom(x).tickSize(0))
+      .selectAll('text')
+      .attr('fill', 'var(--text-muted)')
+      .attr('font-size', '9px')
+
+    svg.append('g')
+      .call(d3.axisLeft(y).ticks(3).tickFormat(d3.format('~s')))
+      .selectAll('text')
+      .attr('fill', 'var(--text-muted)')
+      .attr('font-size', '9px')
+
+    svg.selectAll('.domain').attr('stroke', 'var(--border)')
+
+    svg.selectAll('rect')
+      .data(distribution)
+      .enter()
+      .append('rect')
+      .attr('x', b => x(label(b)))
+      .attr('width', x.bandwidth())
+      .attr('y', height)
+      .attr('height', 0)
+      .attr('fill', color)
+      .attr('rx', 2)
+      .transition()
+      .duration(600)
+      .attr('y', b => y(b.count))
+      .attr('height', b => height - y(b.count))
+
+    svg.append('text')
+      .attr('x', width / 2)
+      .attr('y', height + 26)
+      .attr('text-anchor', 'middle')
+      .attr('fill', 'var(--text-muted)')
+      .attr('font-size', '9px')
+      .text('Distance to nearest hydrant (ft, bin upper edge)')
+
+    return () => {
+      d3.select(container).selectAll('*').interrupt()
+    }
+  }, [distribution, stats])
+
+  return (
+    <div className="coverage-section station-scorecard">
+      <h3>Station Scorecard</h3>
+
+      {info ? (
+        <>
+          {rating && (
+            <div className={`coverage-rating ${rating.className}`}>
+              <span className="rating-icon">{rating.icon}</span>
+              <span className="rating-text">{info.coverageRating} hydrant coverage</span>
+            </div>
+          )}
+          <div className="coverage-stats">
+            <div className="coverage-stat">
+              <span className="coverage-label">Nearest hydrant</span>
+              <span className="coverage-value">{formatFt(info.nearestHydrantFt)}</span>
+            </div>
+            <div className="coverage-stat">
+              <span className="coverage-label">Hydrants within 500 ft</span>
+              <span className="coverage-value">{info.hydrantsWithin500}</span>
+            </div>
+            <div className="coverage-stat">
+              <span className="coverage-label">Hydrants within 1,000 ft</span>
+              <span className="coverage-value">{info.hydrantsWithin1000}</span>
+            </div>
+            <div className="coverage-stat">
+              <span className="coverage-label">Hydrants within ¼ mile</span>
+              <span className="coverage-value">{info.hydrantsWithinQuarterMile}</span>
+            </div>
+            <div className="coverage-stat">
+              <span className="coverage-label">Avg. distance, 10 nearest</span>
+              <span className="coverage-value">{formatFt(info.avgDistance10Nearest)}</span>
+            </div>
+          </div>
+        </>
+      ) : (
+        <p className="scorecard-note">No entry for this station in the station coverage table.</p>
+      )}
+
+      <div className="stat-section-label">First-Due Area</div>
+      {stats ? (
+        stats.addressCount === 0 ? (
+          <p className="scorecard-note">No addresses are served first-due by this station.</p>
+        ) : (
+          <>
+            <div className="coverage-stats">
+              <div className="coverage-stat">
+                <span className="coverage-label">Addresses first-due</span>
+                <span className="coverage-value">{stats.addressCount.toLocaleString()}</span>
+              </div>
+              <div className="coverage-stat">
+                <span className="coverage-label">Hydrant within {formatFeet(stats.standards.hydrant.optimalFt)}</span>
+                <span className="coverage-value">{stats.coveragePercentOptimal}%</span>
+              </div>
+              <div className="coverage-stat">
+                <span className="coverage-label">Hydrant within {formatFeet(stats.standards.hydrant.acceptableFt)}</span>
+                <span className="coverage-value">{stats.coveragePercentAcceptable}%</span>
+              </div>
+              <div className="coverage-stat">
+                <span className="coverage-label">Avg. distance to hydrant</span>
+                <span className="coverage-value">{formatFt(stats.avgDistanceToHydrant)}</span>
+              </div>
+              <div className="coverage-stat">
+                <span className="coverage-label">Within response standard</span>
+                <span className="coverage-value">{stats.stationCoveragePercent}%</span>
+              </div>
+            </div>
+            <div ref={chartRef} className="scorecard-chart" />
+          </>
+        )
+      ) : pending ? (
+        <p className="scorecard-note">Analyzing first-due addresses…</p>
+      ) : (
+        <p className="scorecard-note">Load address data to see coverage of the addresses this station serves first-due.</p>
+      )}
+    </div>
+  )
+}
+
+export default StationScorecard
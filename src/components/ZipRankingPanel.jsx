@@ -0,0 +1,154 @@
+import { useMemo, useState } from 'react'
+import { ZIP_METRICS, NO_DATA_COLOR, getZipMetric, zipMetricValue } from '../utils/zipMetrics'
+import { formatFeet } from '../utils/standards'
+import './ZipRankingPanel.css'
+
+// Table columns; `sortValue` returns null for ZIPs without data so they always sort last
+const buildColumns = (standards) => [
+  { key: 'zipCode', label: 'ZIP', sortValue: (z) => z.zipCode, numeric: false },
+  { key: 'addressCount', label: 'Addr.', sortValue: (z) => z.stats.addressCount, numeric: true },
+  ...ZIP_METRICS.map(m => ({
+    key: m.key,
+    label: m.key === 'coverageOptimal' ? `≤${formatFeet(standards.hydrant.optimalFt)}` : m.label(standards),
+    sortValue: (z) => zipMetricValue(m, z.stats),
+    format: m.format,
+    numeric: true
+  }))
+]
+
+function ZipRankingPanel({
+  isOpen,
+  zips,
+  metricKey,
+  onMetricChange,
+  colorScale,
+  standards,
+  selectedZipId,
+  onSelectZip
+}) {
+  const [sort, setSort] = useState({ key: null, descending: true })
+  const metric = getZipMetric(metricKey)
+  const columns = useMemo(() => buildColumns(standards), [standards])
+
+  // Default ordering ranks by the mapped metric, best first
+  const sortKey = sort.key || metric.key
+  const descending = sort.key ? sort.descending : metric.higherIsBetter !== false
+
+  const sortColumn = columns.find(c => c.key === sortKey) || columns[0]
+  const rows = useMemo(() => (
+    [...zips].sort((a, b) => {
+      const va = sortColumn.sortValue(a)
+      const vb = sortColumn.sortValue(b)
+      if (va === null && vb === null) return 0
+      if (va === null) return 1
+      if (vb === null) return -1
+      const order = sortColumn.numeric ? va - vb : String(va).localeCompare(String(vb))
+      return descending ? -order : order
+    })
+  ), [zips, sortColumn, descending])
+
+  if (!isOpen) return null
+
+  const handleSort = (key) => {
+    setSort(prev => ({
+      key,
+      descending: prev.key === key || (!prev.key && key === metric.key) ? !descending : true
+    }))
+  }
+
+  return (
+    <div className="zip-ranking-panel">
+      <div className="zip-ranking-header">
+        <span>ZIP Coverage</span>
+        <select
+          className="zip-ranking-select"
+          value={metric.key}
+          onChange={(e) => {
+            setSort({ key: null, descending: true })
+            onMetricChange(e.target.value)
+          }}
+        >
+          {ZIP_METRICS.map(m => (
+            <option key={m.key} value={m.key}>{m.label(standards)}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Legend */}
+      {colorScale && (
+        <div className="zip-legend">
+          <div
+            className="zip-legend-ramp"
+            style={{
+              background: `linear-gradient(90deg, ${[0, 0.25, 0.5, 0.75, 1]
+                .map(t => colorScale.scale(colorScale.min + t * (colorScale.max - colorScale.min)))
+                .join(', ')})`
+            }}
+          />
+          <div className="zip-legend-labels">
+            <span>{metric.format(colorScale.min)}</span>
+            <span>{metric.format(colorScale.max)}</span>
+          </div>
+          <div className="zip-legend-nodata">
+            <span className="zip-legend-swatch" style={{ background: NO_DATA_COLOR }} />
+            No addresses
+          </div>
+        </div>
+      )}
+
+      <div className="zip-ranking-table-wrap">
+        {rows.length === 0 ? (
+          <p className="zip-ranking-empty">ZIP statistics appear once addresses and ZIP codes are loaded.</p>
+        ) : (
+          <table className="zip-ranking-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                {columns.map(c => (
+                  <th
+                    key={c.key}
+                    className={`${c.numeric ? 'numeric' : ''} ${c.key === sortKey ? 'sorted' : ''}`}
+                    onClick={() => handleSort(c.key)}
+                  >
+                    {c.label}
+                    {c.key === sortKey && <span className="sort-arrow">{descending ? '▼' : '▲'}</span>}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((z, i) => {
+                const value = zipMetricValue(metric, z.stats)
+                return (
+                  <tr
+                    key={z.id}
+                    className={z.id === selectedZipId ? 'selected' : ''}
+                    onClick={() => onSelectZip(z.id)}
+                  >
+                    <td className="rank">{i + 1}</td>
+                    {columns.map(c => {
+                      const cellValue = c.sortValue(z)
+                      return (
+                        <td key={c.key} className={c.numeric ? 'numeric' : ''}>
+                          {c.key === 'zipCode' && (
+                            <span
+                              className="zip-legend-swatch"
+                              style={{ background: value === null || !colorScale ? NO_DATA_COLOR : colorScale.scale(value) }}
+                            />
+                          )}
+                          {cellValue === null ? '—' : c.format ? c.format(cellValue) : cellValue.toLocaleString()}
+                        </td>
+                      )
+                    })}
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ZipRankingPanel
@@ -0,0 +1,265 @@
+import { useEffect, useMemo, useRef } from 'react'
+import * as d3 from 'd3'
+import { formatFeet, formatMiles } from '../utils/standards'
+import { drawCoverageDonut, drawCoverageBars } from '../utils/coverageCharts'
+import { getBBox } from '../utils/geometry'
+import './ZipReport.css'
+
+const MAP_WIDTH = 420
+const MAP_HEIGHT = 300
+const MAP_PADDING = 12
+
+const MAP_LEGEND = [
+  { key: 'hydrant', label: 'Hydrant', color: '#ff4757' },
+  { key: 'underserved', label: 'Underserved address', color: '#f97316' },
+  { key: 'station', label: 'Fire station', color: '#ffd93d' }
+]
+
+// Static map of the ZIP: outline, hydrants, underserved addresses and stations. Planar
+// (longitude scaled by the cosine of the latitude), which is plenty at ZIP scale.
+function drawZipMap(container, geometry, data) {
+  container.innerHTML = ''
+
+  const [minLon, minLat, maxLon, maxLat] = getBBox(geometry)
+  const k = Math.cos((minLat + maxLat) / 2 * Math.PI / 180)
+  const scale = Math.min(
+    (MAP_WIDTH - 2 * MAP_PADDING) / ((maxLon - minLon) * k || 1e-6),
+    (MAP_HEIGHT - 2 * MAP_PADDING) / ((maxLat - minLat) || 1e-6)
+  )
+  const offsetX = (MAP_WIDTH - (maxLon - minLon) * k * scale) / 2
+  const offsetY = (MAP_HEIGHT - (maxLat - minLat) * scale) / 2
+  const px = (lon) => offsetX + (lon - minLon) * k * scale
+  const py = (lat) => offsetY + (maxLat - lat) * scale
+
+  const path = d3.geoPath(d3.geoTransform({
+    point(lon, lat) {
+      this.stream.point(px(lon), py(lat))
+    }
+  }))
+
+  const svg = d3.select(container)
+    .append('svg')
+    .attr('width', MAP_WIDTH)
+    .attr('height', MAP_HEIGHT)
+    .attr('viewBox', `0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`)
+
+  svg.append('rect')
+    .attr('width', MAP_WIDTH)
+    .attr('height', MAP_HEIGHT)
+    .attr('fill', 'var(--bg-dark)')
+
+  svg.append('path')
+    .datum(geometry)
+    .attr('d', path)
+    .attr('fill', 'rgba(139, 92, 246, 0.08)')
+    .attr('fill-rule', 'evenodd')
+    .attr('stroke', '#8b5cf6')
+    .attr('stroke-width', 1.5)
+
+  const dots = (points, color, radius) => {
+    svg.append('g')
+      .selectAll('circle')
+      .data(points)
+      .enter()
+      .append('circle')
+      .attr('cx', ([, lon]) => px(lon))
+      .attr('cy', ([lat]) => py(lat))
+      .attr('r', radius)
+      .attr('fill', color)
+  }
+  dots(data.underserved, '#f97316', 1.6)
+  dots(data.hydrants, '#ff4757', 1.8)
+
+  const stations = svg.append('g')
+    .selectAll('g')
+    .data(data.stations)
+    .enter()
+    .append('g')
+    .attr('transform', s => `translate(${px(s.lon)}, ${py(s.lat)})`)
+  stations.append('rect')
+    .attr('x', -4)
+    .attr('y', -4)
+    .attr('width', 8)
+    .attr('height', 8)
+    .attr('fill', '#ffd93d')
+    .attr('stroke', 'var(--text-primary)')
+    .attr('stroke-width', 1)
+  stations.append('text')
+    .attr('x', 7)
+    .attr('dy', '0.35em')
+    .attr('fill', 'var(--text-primary)')
+    .attr('font-size', '9px')
+    .text(s => s.name)
+}
+
+function ZipReportPage({ zip, data, generatedAt }) {
+  const mapRef = useRef(null)
+  const donutRef = useRef(null)
+  const barRef = useRef(null)
+  const stats = data.stats
+  const counts = useMemo(() => stats && {
+    withinOptimal: stats.addressesWithinOptimal,
+    withinAcceptable: stats.addressesWithinAcceptable,
+    underserved: stats.addressesUnderserved
+  }, [stats])
+
+  useEffect(() => {
+    if (!stats || !mapRef.current) return
+    drawZipMap(mapRef.current, zip.geoJsonFeature.geometry, data)
+  }, [zip, data, stats])
+
+  useEffect(() => {
+    if (!stats || stats.addressCount === 0 || !donutRef.current || !barRef.current) return
+    const cleanupDonut = drawCoverageDonut(donutRef.current, counts, stats.coveragePercentOptimal, { animate: false })
+    const cleanupBars = drawCoverageBars(barRef.current, counts, { animate: false })
+    return () => {
+      cleanupDonut()
+      cleanupBars()
+    }
+  }, [stats, counts])
+
+  if (data.error) {
+    return (
+      <section className="zip-report-page">
+        <h1>ZIP Code {zip.zipCode}</h1>
+        <p className="zip-report-note">{data.error}</p>
+      </section>
+    )
+  }
+
+  const { standards } = stats
+  const optimalLabel = formatFeet(standards.hydrant.optimalFt)
+  const acceptableLabel = formatFeet(standards.hydrant.acceptableFt)
+  const stationLabel = stats.stationResponseMode === 'network'
+    ? `${standards.station.responseMinutes}-min drive`
+    : formatMiles(standards.station.responseMiles)
+  const rows = [
+    ['Overview', [
+      ['Fire stations', stats.stationCount],
+      ['Fire hydrants', stats.hydrantCount.toLocaleString()],
+      ['Total addresses', stats.addressCount.toLocaleString()],
+      ['Area', `${stats.areaSqMiles.toFixed(1)} sq mi`]
+    ]],
+    ['Fire Station Response', [
+      [`Within ${stationLabel} of a station`, `${stats.stationCoveragePercent}%`],
+      ['Avg. distance to station', `${(stats.avgDistanceToStation / 5280).toFixed(2)} mi`],
+      ['Only one station in range', `${stats.pctSingleStation}%`],
+      ['2+ stations in range', `${stats.pctMultiStation}%`]
+    ]],
+    ['Hydrant Proximity', [
+      [`Within ${optimalLabel} (optimal)`, `${stats.coveragePercentOptimal}%`],
+      [`Within ${acceptableLabel} (acceptable)`, `${stats.coveragePercentAcceptable}%`],
+      [`Beyond ${acceptableLabel}`, stats.addressesUnderserved.toLocaleString()],
+      ['Avg. distance to hydrant', `${Math.round(stats.avgDistanceToHydrant).toLocaleString()} ft`]
+    ]],
+    ['Hydrant Availability', [
+      [`2+ hydrants within ${acceptableLabel}`, `${stats.pctTwoHydrantsAcceptable}%`],
+      [`3+ hydrants within ${acceptableLabel}`, `${stats.pctThreeHydrantsAcceptable}%`],
+      [`Avg. hydrants within ${acceptableLabel}`, stats.avgHydrantsWithinAcceptable.toFixed(1)]
+    ]]
+  ]
+
+  return (
+    <section className="zip-report-page">
+      <header className="zip-report-header">
+        <div>
+          <h1>ZIP Code {zip.zipCode}</h1>
+          {zip.poName && <p className="zip-report-city">{zip.poName}</p>}
+        </div>
+        <div className="zip-report-meta">
+          <span>Fire Coverage Report</span>
+          <span>{generatedAt}</span>
+        </div>
+      </header>
+
+      {stats.areaType && (
+        <div className={`area-type-badge ${stats.areaType.toLowerCase()}`}>
+          {stats.areaType} Area
+          <span className="area-size">{Math.round(stats.addressDensity).toLocaleString()} addresses / sq mi</span>
+        </div>
+      )}
+      {stats.isRural && stats.ruralNote && <p className="zip-report-note">{stats.ruralNote}</p>}
+
+      <div className="zip-report-body">
+        <div className="zip-report-map">
+          <div ref={mapRef} />
+          <ul className="zip-report-legend">
+            {MAP_LEGEND.map(entry => (
+              <li key={entry.key}><i style={{ background: entry.color }} />{entry.label}</li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="zip-report-stats">
+          {rows.map(([section, items]) => (
+            <div key={section} className="zip-report-section">
+              <h2>{section}</h2>
+              {items.map(([label, value]) => (
+                <div key={label} className="zip-report-row">
+                  <span>{label}</span>
+                  <span className="zip-report-value">{value}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {stats.addressCount > 0 ? (
+        <div className="zip-report-charts">
+          <div>
+            <h2>Coverage Distribution</h2>
+            <div ref={donutRef} />
+          </div>
+          <div>
+            <h2>Address Coverage by Distance</h2>
+            <div ref={barRef} />
+          </div>
+        </div>
+      ) : (
+        <p className="zip-report-note">No addresses fall inside this ZIP.</p>
+      )}
+
+      <footer className="zip-report-standards">
+        <strong>Standards profile: {standards.name}.</strong>{' '}
+        {standards.description && `${standards.description} `}
+        Optimal hydrant distance {optimalLabel}, acceptable {acceptableLabel}; station response {stationLabel}
+        {stats.stationResponseMode === 'network' ? ' over the street network' : ' straight-line'}.
+        {stats.flowFilter?.minFlowGpm > 0 && ` Only hydrants flowing at least ${stats.flowFilter.minFlowGpm.toLocaleString()} GPM are counted.`}
+      </footer>
+    </section>
+  )
+}
+
+// Print-ready report pages, one per ZIP; `report` is { zipIds, results } with results keyed
+// by ZIP id as they arrive from the worker
+function ZipReport({ report, zipcodes, onClose }) {
+  const zipsById = new Map(zipcodes.map(z => [z.id, z]))
+  const pages = report.zipIds
+    .filter(id => report.results[id] && zipsById.has(id))
+    .map(id => ({ zip: zipsById.get(id), data: report.results[id] }))
+  const complete = pages.length === report.zipIds.length
+  const generatedAt = new Date(report.createdAt).toLocaleDateString()
+
+  return (
+    <div className="zip-report">
+      <div className="zip-report-toolbar">
+        <span>
+          {complete
+            ? `${pages.length.toLocaleString()} ${pages.length === 1 ? 'page' : 'pages'}`
+            : `Preparing ${pages.length.toLocaleString()} of ${report.zipIds.length.toLocaleString()}…`}
+        </span>
+        <button className="zip-report-print" onClick={() => window.print()} disabled={!complete}>
+          Print / Save as PDF
+        </button>
+        <button className="zip-report-close" onClick={onClose}>Close</button>
+      </div>
+
+      {pages.map(({ zip, data }) => (
+        <ZipReportPage key={zip.id} zip={zip} data={data} generatedAt={generatedAt} />
+      ))}
+    </div>
+  )
+}
+
+export default ZipReport
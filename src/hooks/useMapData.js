@@ -1,4 +1,9 @@
 import { useState, useCallback, useEffect, useRef } from 'react'
+import { ringCentroid, toLeafletLatLngs } from '../utils/geometry'
+import { parseCSVLine } from '../utils/csv'
+import { readFlowAttributes, joinFlowTests } from '../utils/fireFlow'
+import { stationLinksFromCoverage } from '../utils/stationCoverage'
+import { readDetectionAttributes } from '../utils/conflation'
 
 // Base URL for data files (relative to public folder or absolute paths)
 const DATA_PATHS = {
@@ -14,6 +19,16 @@ const ZIP_COLORS = [
   '#3b82f6', '#8b5cf6', '#d946ef', '#f43f5e', '#06b6d4'
 ]
 
+// Find a station's row in station_coverage.csv: by location first, since station numbers
+// repeat across agencies, then by name (and agency when the feature has one)
+function matchStationCoverage(coverageData, name, agency, lat, lon) {
+  return coverageData.find(sc =>
+    sc.latitude && Math.abs(sc.latitude - lat) < 0.001 && Math.abs(sc.longitude - lon) < 0.001
+  ) || coverageData.find(sc =>
+    sc.stationName === String(name) && (!agency || sc.agency === agency)
+  ) || null
+}
+
 // Extract lat/lon from GeoJSON feature (handles Point and Polygon geometries)
 const extractCoordinates = (feature) => {
   if (feature.geometry?.type === 'Point') {
@@ -22,34 +37,53 @@ const extractCoordinates = (feature) => {
       lon: feature.geometry.coordinates[0]
     }
   } else if (feature.geometry?.type === 'Polygon') {
-    const coords = feature.geometry.coordinates[0]
-    return {
-      lat: coords.reduce((sum, c) => sum + c[1], 0) / coords.length,
-      lon: coords.reduce((sum, c) => sum + c[0], 0) / coords.length
-    }
+    return ringCentroid(feature.geometry.coordinates[0])
+  } else if (feature.geometry?.type === 'MultiPolygon') {
+    return ringCentroid(feature.geometry.coordinates[0][0])
   }
   return { lat: null, lon: null }
 }
 
-export function useMapData() {
+const DEFAULT_LAYER_VISIBILITY = {
+  hydrants: true,
+  stations: true,
+  addresses: true,
+  zipcodes: true,
+  zipChoropleth: false,
+  stationOverlap: false,
+  gapHexbin: false,
+  gapZones: false,
+  stationLinks: false,
+  dataQA: false,
+  studyAreas: true,
+  hydrantRadius: false,
+  boundary: true
+}
+
+// `visibleLayers` (e.g. from a shared link) replaces the default set of visible layers
+export function useMapData(visibleLayers = null) {
   const [hydrants, setHydrants] = useState([])
   const [stations, setStations] = useState([])
   const [addresses, setAddresses] = useState([])
   const [zipcodes, setZipcodes] = useState([])
+  const [streets, setStreets] = useState([])
+  const [flowTestSummary, setFlowTestSummary] = useState(null)
   const [boundary, setBoundary] = useState(null)
   const [agencyStats, setAgencyStats] = useState([])
   const [stationCoverageData, setStationCoverageData] = useState([])
+  const [stationLinks, setStationLinks] = useState([])
+  // The bundled coverage tables describe the bundled hydrants and stations; once either is
+  // replaced (or the tables are missing) they are recomputed from the loaded data instead
+  const [coverageTablesStale, setCoverageTablesStale] = useState(false)
+  const [coverageTablesLive, setCoverageTablesLive] = useState(false)
   const [loading, setLoading] = useState(false)
   const [loadingText, setLoadingText] = useState('')
   const [initialDataLoaded, setInitialDataLoaded] = useState(false)
-  const [layerVisibility, setLayerVisibility] = useState({
-    hydrants: true,
-    stations: true,
-    addresses: true,
-    zipcodes: true,
-    hydrantRadius: false,
-    boundary: true
-  })
+  const [layerVisibility, setLayerVisibility] = useState(() => (
+    visibleLayers
+      ? Object.fromEntries(Object.keys(DEFAULT_LAYER_VISIBILITY).map(key => [key, visibleLayers.includes(key)]))
+      : DEFAULT_LAYER_VISIBILITY
+  ))
 
   // Ref to track maximum progress reported (prevents backwards counting)
   const maxProgressRef = useRef(0)
@@ -64,20 +98,30 @@ export function useMapData() {
       try {
         // Phase 1: Load boundary, ZIP codes, and supporting data
         setLoadingText('Loading map boundaries...')
-        await Promise.all([
+        const [, , , stationCoverage] = await Promise.all([
           loadBoundaryFromUrl('/sacramento_county_boundary/CountyBoundary_5104904504067207209.geojson'),
           loadZipcodesFromUrl('/zip_codes/ZipCodes_-2330228906818392563.geojson'),
           loadAgencyStatsFromUrl('/fire_coverage_analysis/agency_stats.csv'),
-          loadStationCoverageFromUrl('/fire_coverage_analysis/station_coverage.csv')
+          loadStationCoverageFromUrl('/fire_coverage_analysis/station_coverage.csv'),
+          loadStationLinksFromUrl('/fire_coverage_analysis/coverage_analysis.geojson')
         ])
 
+        if (stationCoverage.length === 0) setCoverageTablesStale(true)
+
         // Phase 2: Load hydrants
         setLoadingText('Loading fire hydrants...')
-        await loadHydrantsFromUrl('/data/sacramento_fire_hydrants.geojson')
+        const hydrantPoints = await loadHydrantsFromUrl('/data/sacramento_fire_hydrants.geojson')
+
+        // Phase 2b: Join hydrant flow tests (optional)
+        await loadFlowTestsFromUrl('/data/hydrant_flow_tests.csv', hydrantPoints)
 
         // Phase 3: Load stations
         setLoadingText('Loading fire stations...')
-        await loadStationsFromUrl('/data/sacramento_fire_stations.geojson')
+        await loadStationsFromUrl('/data/sacramento_fire_stations.geojson', stationCoverage)
+
+        // Phase 3b: Load street centerlines for drive-time response areas (optional)
+        setLoadingText('Loading street network...')
+        await loadStreetsFromUrl('/data/street_centerlines.geojson')
 
         // Phase 4: Load addresses (largest file, load last)
         // Reset progress ref before starting percentage-based loading
@@ -103,12 +147,11 @@ export function useMapData() {
       if (!response.ok) throw new Error(`HTTP ${response.status}`)
 
       const data = await response.json()
-      const feature = data.features?.[0]
 
-      if (feature?.geometry?.type === 'Polygon') {
-        // Convert GeoJSON coordinates [lon, lat] to Leaflet [lat, lon]
-        const coords = feature.geometry.coordinates[0].map(c => [c[1], c[0]])
-        setBoundary(coords)
+      // Keep every polygon part (and hole) of every feature, in Leaflet [lat, lon] order
+      const polygons = (data.features || []).flatMap(f => toLeafletLatLngs(f))
+      if (polygons.length > 0) {
+        setBoundary(polygons)
       }
     } catch (err) {
       console.warn('Could not load boundary:', err)
@@ -168,6 +211,7 @@ export function useMapData() {
           avgNearestDistance: parseFloat(getVal('avg_nearest_distance_ft')) || 0,
           avgHydrantsWithin500: parseFloat(getVal('avg_hydrants_within_500ft')) || 0,
           avgHydrantsWithin1000: parseFloat(getVal('avg_hydrants_within_1000ft')) || 0,
+          avgHydrantsWithinQuarterMile: parseFloat(getVal('avg_hydrants_within_quarter_mile')) || 0,
           stationsExcellent: parseInt(getVal('stations_excellent')) || 0,
           stationsGood: parseInt(getVal('stations_good')) || 0,
           stationsNeedsAttention: parseInt(getVal('stations_needs_attention')) || 0
@@ -216,27 +260,41 @@ export function useMapData() {
       }
 
       setStationCoverageData(coverageData)
+      return coverageData
     } catch (err) {
       console.warn('Could not load station coverage:', err)
+      return []
     }
   }
 
-  // Helper to parse CSV line with quotes
-  const parseCSVLine = (line) => {
-    const values = []
-    let current = ''
-    let inQuotes = false
-    for (const c of line) {
-      if (c === '"') inQuotes = !inQuotes
-      else if (c === ',' && !inQuotes) {
-        values.push(current.trim().replace(/"/g, ''))
-        current = ''
-      } else {
-        current += c
-      }
+  // Load station-to-nearest-hydrant lines from the coverage analysis GeoJSON
+  const loadStationLinksFromUrl = async (url) => {
+    try {
+      const response = await fetch(url)
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+      const links = (data.features || [])
+        .filter(f => f.geometry?.type === 'LineString' && f.geometry.coordinates.length >= 2)
+        .map((f, i) => {
+          const props = f.properties || {}
+          return {
+            id: i,
+            stationName: String(props.station_name ?? ''),
+            agency: props.agency || null,
+            distanceFt: parseFloat(props.distance_ft),
+            rating: props.rating || null,
+            color: props.color || null,
+            hydrantsWithin500: parseInt(props.hydrants_within_500ft) || 0,
+            hydrantsWithin1000: parseInt(props.hydrants_within_1000ft) || 0,
+            latLngs: f.geometry.coordinates.map(([lon, lat]) => [lat, lon])
+          }
+        })
+
+      setStationLinks(links)
+    } catch (err) {
+      console.warn('Could not load station coverage lines:', err)
     }
-    values.push(current.trim().replace(/"/g, ''))
-    return values
   }
 
   // Load hydrants from GeoJSON URL
@@ -254,17 +312,37 @@ export function useMapData() {
           id: i,
           lat: f.geometry.coordinates[1],
           lon: f.geometry.coordinates[0],
-          properties: f.properties || {}
+          properties: f.properties || {},
+          ...readFlowAttributes(f.properties || {}),
+          ...readDetectionAttributes(f.properties || {})
         }))
 
       setHydrants(hydrantPoints)
+      return hydrantPoints
     } catch (err) {
       console.warn('Could not load hydrants:', err)
+      return []
     }
   }
 
-  // Load stations from GeoJSON URL
-  const loadStationsFromUrl = async (url) => {
+  // Join flow-test results (GPM, pressures, NFPA 291 class) onto the loaded hydrants
+  const loadFlowTestsFromUrl = async (url, hydrantPoints) => {
+    if (hydrantPoints.length === 0) return
+
+    try {
+      const response = await fetch(url)
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const joined = joinFlowTests(hydrantPoints, await response.text())
+      setHydrants(joined.hydrants)
+      setFlowTestSummary({ source: url, matched: joined.matched, total: joined.total, unmatchedHydrants: joined.unmatchedHydrants })
+    } catch (err) {
+      console.warn('Could not load hydrant flow tests:', err)
+    }
+  }
+
+  // Load stations from GeoJSON URL, enriched with their station_coverage.csv rows
+  const loadStationsFromUrl = async (url, coverageData) => {
     try {
       const response = await fetch(url)
       if (!response.ok) throw new Error(`HTTP ${response.status}`)
@@ -276,14 +354,17 @@ export function useMapData() {
         const { lat, lon } = extractCoordinates(f)
         const props = f.properties || {}
         const stationName = props.STATION || props.station || props.NAME || `Station ${i + 1}`
+        const agency = props.AGENCY || props.agency
+        const coverageInfo = matchStationCoverage(coverageData, stationName, agency, lat, lon)
 
         return {
           id: i,
           lat,
           lon,
           name: stationName,
-          agency: props.AGENCY || props.agency || 'Unknown',
-          properties: props
+          agency: agency || coverageInfo?.agency || 'Unknown',
+          properties: props,
+          coverageInfo
         }
       }).filter(s => s.lat && s.lon)
 
@@ -293,6 +374,23 @@ export function useMapData() {
     }
   }
 
+  // Load street centerlines from GeoJSON URL
+  const loadStreetsFromUrl = async (url) => {
+    try {
+      const response = await fetch(url)
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+      const features = (data.features || []).filter(f =>
+        f.geometry?.type === 'LineString' || f.geometry?.type === 'MultiLineString'
+      )
+
+      setStreets(features)
+    } catch (err) {
+      console.warn('Could not load street network, using straight-line response areas:', err)
+    }
+  }
+
   // Load addresses from CSV URL with streaming for better performance
   const loadAddressesFromUrl = async (url) => {
     try {
@@ -411,10 +509,13 @@ export function useMapData() {
           id: i,
           lat: f.geometry.coordinates[1],
           lon: f.geometry.coordinates[0],
-          properties: f.properties || {}
+          properties: f.properties || {},
+          ...readFlowAttributes(f.properties || {}),
+          ...readDetectionAttributes(f.properties || {})
         }))
 
       setHydrants(hydrantPoints)
+      setCoverageTablesStale(true)
     } catch (err) {
       console.error('Error loading hydrants:', err)
       alert('Error loading hydrants: ' + err.message)
@@ -423,6 +524,21 @@ export function useMapData() {
     }
   }, [loadGeoJSON])
 
+  const loadFlowTests = useCallback(async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    try {
+      const joined = joinFlowTests(hydrants, await file.text())
+      setHydrants(joined.hydrants)
+      setFlowTestSummary({ source: file.name, matched: joined.matched, total: joined.total, unmatchedHydrants: joined.unmatchedHydrants })
+    } catch (err) {
+      console.error('Error loading flow tests:', err)
+      alert('Error loading flow tests: ' + err.message)
+    }
+    e.target.value = ''
+  }, [hydrants])
+
   const loadStations = useCallback(async (e) => {
     const file = e.target.files?.[0]
     if (!file) return
@@ -440,23 +556,22 @@ export function useMapData() {
 
         // Try to match with station coverage data for enrichment
         const stationName = props.STATION || props.station || props.NAME || `Station ${i + 1}`
-        const coverageInfo = stationCoverageData.find(sc =>
-          sc.stationName === stationName ||
-          (sc.latitude && Math.abs(sc.latitude - lat) < 0.001 && Math.abs(sc.longitude - lon) < 0.001)
-        )
+        const agency = props.AGENCY || props.agency
+        const coverageInfo = matchStationCoverage(stationCoverageData, stationName, agency, lat, lon)
 
         return {
           id: i,
           lat,
           lon,
           name: stationName,
-          agency: props.AGENCY || props.agency || coverageInfo?.agency || 'Unknown',
+          agency: agency || coverageInfo?.agency || 'Unknown',
           properties: props,
-          coverageInfo: coverageInfo || null
+          coverageInfo
         }
       }).filter(s => s.lat && s.lon)
 
       setStations(stationPoints)
+      setCoverageTablesStale(true)
     } catch (err) {
       console.error('Error loading stations:', err)
       alert('Error loading stations: ' + err.message)
@@ -557,6 +672,28 @@ export function useMapData() {
     }
   }, [loadGeoJSON])
 
+  const loadStreets = useCallback(async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setLoading(true)
+    setLoadingText('Loading street network...')
+
+    try {
+      const data = await loadGeoJSON(file)
+      const features = (data.features || []).filter(f =>
+        f.geometry?.type === 'LineString' || f.geometry?.type === 'MultiLineString'
+      )
+
+      setStreets(features)
+    } catch (err) {
+      console.error('Error loading street network:', err)
+      alert('Error loading street network: ' + err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [loadGeoJSON])
+
   // Load boundary from CSV (lat,lon pairs)
   const loadBoundary = useCallback(async (e) => {
     const file = e.target.files?.[0]
@@ -585,22 +722,38 @@ export function useMapData() {
     }
   }, [])
 
+  // Swap in coverage tables the worker computed from the loaded data
+  const applyCoverageTables = useCallback(({ stations: stationRows, agencies }) => {
+    setStationCoverageData(stationRows)
+    setAgencyStats(agencies)
+    setStationLinks(stationLinksFromCoverage(stationRows))
+    setCoverageTablesLive(true)
+  }, [])
+
   return {
     hydrants,
     stations,
     addresses,
     zipcodes,
+    streets,
     boundary,
     agencyStats,
     stationCoverageData,
+    stationLinks,
+    coverageTablesStale,
+    coverageTablesLive,
+    applyCoverageTables,
+    flowTestSummary,
     loading,
     loadingText,
     layerVisibility,
     setLayerVisibility,
     loadHydrants,
+    loadFlowTests,
     loadStations,
     loadAddresses,
     loadZipcodes,
+    loadStreets,
     loadBoundary
   }
 }
@@ -0,0 +1,67 @@
+import { useState, useCallback, useMemo, useEffect } from 'react'
+import {
+  STANDARDS_PRESETS,
+  DEFAULT_STANDARDS,
+  CUSTOM_STANDARDS_ID,
+  normalizeStandards
+} from '../utils/standards'
+
+const STORAGE_KEY = 'fireCoverage.standards'
+
+// Restore the last active profile and the custom profile from localStorage
+const loadStoredStandards = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (stored?.activeId) return stored
+  } catch {
+    // Ignore unreadable storage and fall back to the defaults
+  }
+  return { activeId: DEFAULT_STANDARDS.id, custom: null }
+}
+
+export function useStandardsProfile() {
+  const [activeId, setActiveId] = useState(() => loadStoredStandards().activeId)
+  const [customProfile, setCustomProfile] = useState(() => loadStoredStandards().custom)
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ activeId, custom: customProfile }))
+    } catch {
+      // Storage may be full or disabled; the profile still applies for this session
+    }
+  }, [activeId, customProfile])
+
+  const profile = useMemo(() => {
+    if (activeId === CUSTOM_STANDARDS_ID && customProfile) return customProfile
+    return STANDARDS_PRESETS.find(p => p.id === activeId) || DEFAULT_STANDARDS
+  }, [activeId, customProfile])
+
+  const selectProfile = useCallback((id) => {
+    if (id === CUSTOM_STANDARDS_ID && !customProfile) {
+      // Seed the custom profile from whatever is active so the editor starts from real values
+      setCustomProfile({
+        ...profile,
+        id: CUSTOM_STANDARDS_ID,
+        name: 'Custom',
+        description: `Custom thresholds based on ${profile.name}.`
+      })
+    }
+    setActiveId(id)
+  }, [customProfile, profile])
+
+  const updateCustomProfile = useCallback((changes) => {
+    setCustomProfile(prev => normalizeStandards({
+      ...(prev || { ...DEFAULT_STANDARDS, id: CUSTOM_STANDARDS_ID, name: 'Custom' }),
+      ...changes
+    }))
+    setActiveId(CUSTOM_STANDARDS_ID)
+  }, [])
+
+  return {
+    standards: profile,
+    presets: STANDARDS_PRESETS,
+    customProfile,
+    selectProfile,
+    updateCustomProfile
+  }
+}
@@ -0,0 +1,47 @@
+import { useState, useCallback, useEffect } from 'react'
+import { isValidStudyArea } from '../utils/studyAreas'
+
+const STORAGE_KEY = 'fireCoverage.studyAreas'
+
+// Restore the drawn study areas from localStorage
+const loadStoredStudyAreas = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (Array.isArray(stored)) return stored.filter(isValidStudyArea)
+  } catch {
+    // Ignore unreadable storage and start without saved areas
+  }
+  return []
+}
+
+export function useStudyAreas() {
+  const [studyAreas, setStudyAreas] = useState(loadStoredStudyAreas)
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(studyAreas))
+    } catch {
+      // Storage may be full or disabled; the areas still last for this session
+    }
+  }, [studyAreas])
+
+  const addStudyArea = useCallback((area) => {
+    setStudyAreas(prev => [...prev, area])
+  }, [])
+
+  // `changes` is { name } and/or { shape }
+  const updateStudyArea = useCallback((id, changes) => {
+    setStudyAreas(prev => prev.map(a => (a.id === id ? { ...a, ...changes } : a)))
+  }, [])
+
+  const removeStudyArea = useCallback((id) => {
+    setStudyAreas(prev => prev.filter(a => a.id !== id))
+  }, [])
+
+  return {
+    studyAreas,
+    addStudyArea,
+    updateStudyArea,
+    removeStudyArea
+  }
+}
@@ -1,14 +1,24 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
+import { DEFAULT_ISOCHRONE_CONFIG } from '../utils/roadNetwork'
 
-export function useWorker(hydrants, addresses, stations) {
+export function useWorker(hydrants, addresses, stations, streets, standards, zipcodes, flowFilter, conflationConfig) {
   const [workerReady, setWorkerReady] = useState(false)
   const [hydrantIndexReady, setHydrantIndexReady] = useState(false)
   const [stationsIndexReady, setStationsIndexReady] = useState(false)
   const [addressDistancesReady, setAddressDistancesReady] = useState(false)
+  const [roadNetwork, setRoadNetwork] = useState(null)
+  const [zipIndexReady, setZipIndexReady] = useState(false)
   const [globalSummary, setGlobalSummary] = useState(null)
+  const [isochrones, setIsochrones] = useState(null)
+  const [stationScenario, setStationScenario] = useState(null)
+  const [conflatedHydrants, setConflatedHydrants] = useState(null)
 
   const workerRef = useRef(null)
-  const pendingCallbackRef = useRef(null)
+  const pendingRequestsRef = useRef(new Map())
+  const nextRequestIdRef = useRef(1)
+  const nextProposedIdRef = useRef(1)
+  const postedHydrantsRef = useRef({ version: 0, hydrants: null })
+  const postedAddressesRef = useRef({ version: 0, addresses: null })
 
   // Initialize worker
   useEffect(() => {
@@ -18,7 +28,16 @@ export function useWorker(hydrants, addresses, stations) {
       })
 
       workerRef.current.onmessage = (e) => {
-        const { type, data } = e.data
+        const { type, data, requestId, partial } = e.data
+
+        // Replies to queries go straight to the callback that asked for them; streamed replies
+        // keep it registered until their last (non-partial) message
+        if (requestId !== undefined) {
+          const callback = pendingRequestsRef.current.get(requestId)
+          if (!partial) pendingRequestsRef.current.delete(requestId)
+          callback?.(data)
+          return
+        }
 
         switch (type) {
           case 'hydrantIndexReady':
@@ -29,18 +48,35 @@ export function useWorker(hydrants, addresses, stations) {
             setStationsIndexReady(true)
             break
 
+          case 'roadNetworkReady':
+            setRoadNetwork(data)
+            break
+
+          case 'zipIndexReady':
+            setZipIndexReady(true)
+            break
+
+          case 'isochronesReady':
+            setIsochrones(data)
+            break
+
+          case 'stationScenarioReady':
+            setStationScenario(data)
+            break
+
+          // Only the cleaned set of the most recently sent hydrants is kept
+          case 'hydrantsConflated': {
+            const posted = postedHydrantsRef.current
+            if (data.version !== posted.version) break
+            setConflatedHydrants({ ...data, source: posted.hydrants })
+            break
+          }
+
           case 'addressDistancesReady':
             setAddressDistancesReady(true)
             setGlobalSummary(data.summary)
             break
 
-          case 'zipCodeAnalysisReady':
-            if (pendingCallbackRef.current) {
-              pendingCallbackRef.current(data.stats)
-              pendingCallbackRef.current = null
-            }
-            break
-
           case 'error':
             console.error('Worker error:', data.message)
             break
@@ -68,9 +104,11 @@ export function useWorker(hydrants, addresses, stations) {
     if (!workerReady || !workerRef.current || hydrants.length === 0) return
 
     setHydrantIndexReady(false)
+    const version = postedHydrantsRef.current.version + 1
+    postedHydrantsRef.current = { version, hydrants }
     workerRef.current.postMessage({
       type: 'buildHydrantIndex',
-      data: { hydrants }
+      data: { hydrants, version }
     })
   }, [workerReady, hydrants])
 
@@ -85,36 +123,283 @@ export function useWorker(hydrants, addresses, stations) {
     })
   }, [workerReady, stations])
 
+  // Send street centerlines to worker to build the routable road network
+  useEffect(() => {
+    if (!workerReady || !workerRef.current || streets.length === 0) return
+
+    workerRef.current.postMessage({
+      type: 'buildRoadNetwork',
+      data: { features: streets, config: DEFAULT_ISOCHRONE_CONFIG }
+    })
+  }, [workerReady, streets])
+
+  // Send ZIP polygons so the worker can index which ZIP every point falls in
+  useEffect(() => {
+    if (!workerReady || !workerRef.current || zipcodes.length === 0) return
+
+    workerRef.current.postMessage({
+      type: 'setZipCodes',
+      data: {
+        zipcodes: zipcodes.map(z => ({ id: z.id, zipCode: z.zipCode, geoJsonFeature: z.geoJsonFeature }))
+      }
+    })
+  }, [workerReady, zipcodes])
+
+  // Send the active standards profile; the worker reclassifies any computed addresses
+  useEffect(() => {
+    if (!workerReady || !workerRef.current) return
+
+    workerRef.current.postMessage({
+      type: 'setStandards',
+      data: { standards }
+    })
+  }, [workerReady, standards])
+
+  // Send the minimum fire-flow filter; only hydrants meeting it count toward coverage
+  useEffect(() => {
+    if (!workerReady || !workerRef.current) return
+
+    workerRef.current.postMessage({
+      type: 'setHydrantFlowFilter',
+      data: { filter: flowFilter }
+    })
+  }, [workerReady, flowFilter])
+
+  // Send the de-duplication settings; the worker re-conflates the loaded detections
+  useEffect(() => {
+    if (!workerReady || !workerRef.current) return
+
+    workerRef.current.postMessage({
+      type: 'setHydrantConflation',
+      data: { config: conflationConfig }
+    })
+  }, [workerReady, conflationConfig])
+
+  // The cleaned hydrant set and its merge report, once it matches the loaded hydrants
+  const conflation = conflatedHydrants?.source === hydrants ? conflatedHydrants : null
+
   // Send addresses to worker when they change (and hydrants are indexed)
   useEffect(() => {
     if (!workerReady || !workerRef.current || !hydrantIndexReady || addresses.length === 0) return
 
     setAddressDistancesReady(false)
+    // A new version per loaded address set; the worker keeps per-set work (ZIP membership) for it
+    if (postedAddressesRef.current.addresses !== addresses) {
+      postedAddressesRef.current = { version: postedAddressesRef.current.version + 1, addresses }
+    }
     workerRef.current.postMessage({
       type: 'precomputeAddressDistances',
-      data: { addresses }
+      data: { addresses, version: postedAddressesRef.current.version }
+    })
+  }, [workerReady, hydrantIndexReady, stationsIndexReady, roadNetwork, addresses])
+
+  // Post a query and route its reply (matched by requestId) to `callback`
+  const sendRequest = useCallback((type, data, callback) => {
+    const requestId = nextRequestIdRef.current++
+    pendingRequestsRef.current.set(requestId, callback)
+    workerRef.current.postMessage({ type, data, requestId })
+  }, [])
+
+  // `area` is a ZIP entry ({ id, geoJsonFeature }) or any { geoJsonFeature } polygon;
+  // indexed ZIPs are answered from the worker's per-ZIP aggregates
+  const requestZipAnalysis = useCallback((area, callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback({ error: 'Worker not ready' })
+      return
+    }
+
+    sendRequest('analyzeZipCode', { zipCodeFeature: area.geoJsonFeature, zipId: area.id }, (data) => {
+      callback(data.stats)
+    })
+  }, [workerReady, sendRequest])
+
+  const requestAllZipStats = useCallback((callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback([])
+      return
+    }
+
+    sendRequest('analyzeAllZips', {}, (data) => callback(data.zips))
+  }, [workerReady, sendRequest])
+
+  // `resolution` is an id from HEX_RESOLUTIONS (utils/hexbin)
+  const requestHexbinSurface = useCallback((resolution, callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback(null)
+      return
+    }
+
+    sendRequest('hexbinSurface', { resolution }, callback)
+  }, [workerReady, sendRequest])
+
+  const requestAgencyAnalysis = useCallback((agency, callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback({ agency, error: 'Worker not ready' })
+      return
+    }
+
+    sendRequest('analyzeAgency', { agency }, callback)
+  }, [workerReady, sendRequest])
+
+  const requestStationAnalysis = useCallback((stationId, callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback({ stationId, error: 'Worker not ready' })
+      return
+    }
+
+    sendRequest('analyzeStation', { stationId }, callback)
+  }, [workerReady, sendRequest])
+
+  const requestStationCoverage = useCallback((callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback({ error: 'Worker not ready' })
+      return
+    }
+
+    sendRequest('computeStationCoverage', {}, callback)
+  }, [workerReady, sendRequest])
+
+  // `boundary` is a GeoJSON geometry (or null) for the outside-the-county check
+  const requestDataQA = useCallback((boundary, callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback({ error: 'Worker not ready' })
+      return
+    }
+
+    sendRequest('runDataQA', { boundary }, callback)
+  }, [workerReady, sendRequest])
+
+  // Stats and map points for one page of the printable ZIP report
+  const requestZipReport = useCallback((zipId, callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback({ zipId, error: 'Worker not ready' })
+      return
+    }
+
+    sendRequest('zipReportData', { zipId }, callback)
+  }, [workerReady, sendRequest])
+
+  // Header search: addresses, ZIP codes, stations and "lat, lon" input
+  const requestSearch = useCallback((query, callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback({ query, results: [], error: 'Worker not ready' })
+      return
+    }
+
+    sendRequest('search', { query }, callback)
+  }, [workerReady, sendRequest])
+
+  // Nearest hydrant and station, first-due station and coverage class of any point
+  const requestPointQuery = useCallback((lat, lon, callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback({ error: 'Worker not ready' })
+      return
+    }
+
+    sendRequest('queryPoint', { lat, lon }, callback)
+  }, [workerReady, sendRequest])
+
+  // `options` is { dataset, format, scope } (see utils/exportResults). The file arrives in chunks:
+  // `onProgress(written, total)` follows each one and `callback({ parts, total })` gets them all.
+  const requestExport = useCallback((options, onProgress, callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback({ error: 'Worker not ready' })
+      return
+    }
+
+    const parts = []
+    sendRequest('exportResults', options, (data) => {
+      parts.push(data.text)
+      if (data.done) callback({ parts, total: data.total })
+      else onProgress(data.written, data.total)
     })
-  }, [workerReady, hydrantIndexReady, stationsIndexReady, addresses])
+  }, [workerReady, sendRequest])
 
-  const requestZipAnalysis = useCallback((geoJsonFeature, callback) => {
+  // `config` is { epsFt, minPoints }; see findGapZones in the worker
+  const requestGapZones = useCallback((config, callback) => {
     if (!workerReady || !workerRef.current) {
       callback({ error: 'Worker not ready' })
       return
     }
 
-    pendingCallbackRef.current = callback
+    sendRequest('findGapZones', config, callback)
+  }, [workerReady, sendRequest])
+
+  const requestStationOverlap = useCallback((callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback(null)
+      return
+    }
+
+    sendRequest('stationOverlapGrid', {}, callback)
+  }, [workerReady, sendRequest])
+
+  // `options` is { budget, studyArea?, candidates? }; see optimizeHydrantPlacement in the worker
+  const requestHydrantPlacement = useCallback((options, callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback({ error: 'Worker not ready' })
+      return
+    }
+
+    sendRequest('optimizeHydrantPlacement', options, callback)
+  }, [workerReady, sendRequest])
+
+  // `assets` is { hydrantIds, stationIds }; see simulateOutOfService in the worker
+  const requestOutOfServiceSimulation = useCallback((assets, callback) => {
+    if (!workerReady || !workerRef.current) {
+      callback({ error: 'Worker not ready' })
+      return
+    }
+
+    sendRequest('simulateOutOfService', assets, callback)
+  }, [workerReady, sendRequest])
+
+  // What-if stations; the worker answers each change with a stationScenarioReady update
+  const addProposedStation = useCallback((lat, lon) => {
+    if (!workerRef.current) return
+    const n = nextProposedIdRef.current++
     workerRef.current.postMessage({
-      type: 'analyzeZipCode',
-      data: { zipCodeFeature: geoJsonFeature }
+      type: 'addProposedStation',
+      data: { station: { id: `P${n}`, name: `Proposed Station ${n}`, lat, lon } }
     })
-  }, [workerReady])
+  }, [])
+
+  const moveProposedStation = useCallback((id, lat, lon) => {
+    workerRef.current?.postMessage({ type: 'moveProposedStation', data: { id, lat, lon } })
+  }, [])
+
+  const removeProposedStation = useCallback((id) => {
+    workerRef.current?.postMessage({ type: 'removeProposedStation', data: { id } })
+  }, [])
 
   return {
     workerReady,
     hydrantIndexReady,
     stationsIndexReady,
     addressDistancesReady,
+    roadNetwork,
+    zipIndexReady,
     globalSummary,
-    requestZipAnalysis
+    isochrones,
+    stationScenario,
+    conflation,
+    requestZipAnalysis,
+    requestAllZipStats,
+    requestStationOverlap,
+    requestHexbinSurface,
+    requestGapZones,
+    requestAgencyAnalysis,
+    requestStationAnalysis,
+    requestStationCoverage,
+    requestDataQA,
+    requestExport,
+    requestZipReport,
+    requestSearch,
+    requestPointQuery,
+    requestHydrantPlacement,
+    requestOutOfServiceSimulation,
+    addProposedStation,
+    moveProposedStation,
+    removeProposedStation
   }
 }
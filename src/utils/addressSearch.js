@@ -0,0 +1,144 @@
+/**
+ * Search index over address text: every word is matched by prefix, and words of four or
+ * more letters also with one typo (two for long words). Also parses "lat, lon" input.
+ */
+
+const MAX_PREFIX_EXPANSIONS = 500
+const MAX_CANDIDATES = 50000
+
+// Match strengths of one query word against an indexed word
+const EXACT_SCORE = 3
+const PREFIX_SCORE = 2
+const FUZZY_SCORE = 1
+
+export function normalizeSearchText(text) {
+  return String(text ?? '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim()
+}
+
+// "38.58, -121.49" (or with spaces only) as { lat, lon }, or null
+export function parseCoordinates(query) {
+  const match = String(query).trim().match(/^(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)$/)
+  if (!match) return null
+  const lat = parseFloat(match[1])
+  const lon = parseFloat(match[2])
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null
+  return { lat, lon }
+}
+
+// `texts[i]` is the searchable text of record i
+export function buildSearchIndex(texts) {
+  const normalized = texts.map(normalizeSearchText)
+  const postings = new Map()
+  normalized.forEach((text, i) => {
+    for (const word of new Set(text.split(' '))) {
+      if (!word) continue
+      if (!postings.has(word)) postings.set(word, [])
+      postings.get(word).push(i)
+    }
+  })
+  return { texts: normalized, words: [...postings.keys()].sort(), postings }
+}
+
+// Edit distance counting a swap of neighboring letters as one edit; gives up (returning
+// Infinity) once it must exceed `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity
+  let beforePrevious = null
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+      if (beforePrevious && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1)
+      }
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > max) return Infinity
+    beforePrevious = previous
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// Indexed words matching one query word, with their match strength
+function matchWord(index, queryWord) {
+  const matches = new Map()
+  const { words } = index
+
+  // Words sharing the prefix sit together in the sorted list
+  let lo = 0
+  let hi = words.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (words[mid] < queryWord) lo = mid + 1
+    else hi = mid
+  }
+  for (let i = lo; i < words.length && i < lo + MAX_PREFIX_EXPANSIONS && words[i].startsWith(queryWord); i++) {
+    matches.set(words[i], words[i] === queryWord ? EXACT_SCORE : PREFIX_SCORE)
+  }
+
+  if (queryWord.length >= 4 && !/^\d+$/.test(queryWord)) {
+    const maxEdits = queryWord.length >= 8 ? 2 : 1
+    for (const word of words) {
+      if (matches.has(word)) continue
+      // A typo in a partly typed word: compare against the word's start as well
+      const distance = Math.min(
+        editDistance(queryWord, word, maxEdits),
+        editDistance(queryWord, word.slice(0, queryWord.length), maxEdits)
+      )
+      if (distance <= maxEdits) matches.set(word, FUZZY_SCORE)
+    }
+  }
+  return matches
+}
+
+// Best `limit` records as [{ index, score }]; every query word has to match some word of the
+// record. Candidates come from the query word with the fewest postings.
+export function searchIndex(index, query, limit = 8) {
+  const queryWords = normalizeSearchText(query).split(' ').filter(Boolean)
+  if (queryWords.length === 0) return []
+
+  const matches = queryWords.map(word => matchWord(index, word))
+  if (matches.some(m => m.size === 0)) return []
+
+  const postingCount = (m) => {
+    let count = 0
+    for (const word of m.keys()) count += index.postings.get(word).length
+    return count
+  }
+  const [rarest] = [...matches].sort((a, b) => postingCount(a) - postingCount(b))
+
+  const candidates = new Set()
+  for (const word of rarest.keys()) {
+    for (const i of index.postings.get(word)) {
+      candidates.add(i)
+      if (candidates.size >= MAX_CANDIDATES) break
+    }
+  }
+
+  const results = []
+  for (const i of candidates) {
+    const recordWords = index.texts[i].split(' ')
+    let score = 0
+    for (const m of matches) {
+      let best = 0
+      for (const word of recordWords) best = Math.max(best, m.get(word) || 0)
+      if (best === 0) {
+        score = 0
+        break
+      }
+      score += best
+    }
+    if (score > 0) results.push({ index: i, score })
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || index.texts[a.index].length - index.texts[b.index].length)
+    .slice(0, limit)
+}
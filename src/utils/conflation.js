@@ -0,0 +1,128 @@
+/**
+ * Hydrant conflation: drop low-confidence detections and merge repeat detections of the
+ * same physical hydrant
+ */
+
+import { haversineDistance } from './geometry.js'
+
+const FEET_PER_DEGREE_LAT = 364000
+
+// Detections within `mergeDistanceFt` of a stronger one are folded into it; detections below
+// `minConfidence` (0–1) are dropped. Detections without a confidence value are always kept.
+export const DEFAULT_CONFLATION_CONFIG = { mergeDistanceFt: 15, minConfidence: 0 }
+
+export const MERGE_DISTANCE_OPTIONS = [0, 5, 10, 15, 25, 50]
+
+const CONFIDENCE_FIELDS = ['confidence', 'CONFIDENCE', 'score', 'SCORE', 'detection_confidence', 'detection_score']
+const DETECTION_COUNT_FIELDS = ['detections', 'detection_count', 'num_detections', 'DETECTIONS']
+
+function readNumber(props, fields) {
+  for (const f of fields) {
+    const value = parseFloat(props[f])
+    if (Number.isFinite(value)) return value
+  }
+  return null
+}
+
+// Detection confidence (0–1; percentages are scaled down) and detection count of a hydrant
+export function readDetectionAttributes(props = {}) {
+  const confidence = readNumber(props, CONFIDENCE_FIELDS)
+  const detectionCount = readNumber(props, DETECTION_COUNT_FIELDS)
+  return {
+    confidence: confidence === null ? null : Math.min(confidence > 1 ? confidence / 100 : confidence, 1),
+    detectionCount: detectionCount !== null && detectionCount >= 1 ? Math.round(detectionCount) : 1
+  }
+}
+
+const hasConfidence = (h) => h.confidence !== null && h.confidence !== undefined
+
+// One hydrant from several detections: confidence-weighted position, the chance that at least
+// one detection is right as its confidence, and the strongest detection's id and attributes
+function mergeDetections(members) {
+  const [seed] = members
+  const weight = (h) => (hasConfidence(h) ? Math.max(h.confidence, 0.01) : 1)
+  const totalWeight = members.reduce((sum, h) => sum + weight(h), 0)
+  const rated = members.filter(hasConfidence)
+  const withFlow = seed.flowClass ? seed : members.find(h => h.flowClass)
+
+  return {
+    ...seed,
+    lat: members.reduce((sum, h) => sum + h.lat * weight(h), 0) / totalWeight,
+    lon: members.reduce((sum, h) => sum + h.lon * weight(h), 0) / totalWeight,
+    confidence: rated.length > 0 ? 1 - rated.reduce((p, h) => p * (1 - h.confidence), 1) : null,
+    detectionCount: members.reduce((sum, h) => sum + (h.detectionCount || 1), 0),
+    mergedIds: members.map(h => h.id),
+    ...(withFlow && withFlow !== seed ? {
+      flowGpm: withFlow.flowGpm,
+      staticPsi: withFlow.staticPsi,
+      residualPsi: withFlow.residualPsi,
+      flowClass: withFlow.flowClass
+    } : {})
+  }
+}
+
+// Returns { hydrants, report }. Detections are visited strongest first; each one not yet
+// claimed claims every unclaimed detection within range, so clusters never chain.
+export function conflateHydrants(hydrants, config = DEFAULT_CONFLATION_CONFIG) {
+  const { mergeDistanceFt, minConfidence } = config
+  const kept = hydrants.filter(h => !hasConfidence(h) || h.confidence >= minConfidence)
+  const report = {
+    inputCount: hydrants.length,
+    droppedCount: hydrants.length - kept.length,
+    mergedCount: 0,
+    mergedHydrantCount: 0,
+    outputCount: kept.length,
+    config
+  }
+  if (mergeDistanceFt <= 0 || kept.length < 2) return { hydrants: kept, report }
+
+  // Cells are merge-distance tall. Longitude is scaled at one latitude for the whole set (the
+  // one farthest from the equator), so cells are at least as wide everywhere and detections
+  // in range are never more than one cell apart
+  const cellDeg = mergeDistanceFt / FEET_PER_DEGREE_LAT
+  const refLat = kept.reduce((max, h) => Math.max(max, Math.abs(h.lat)), 0)
+  const lonScale = Math.cos(refLat * Math.PI / 180)
+  const cellOf = (h) => [Math.floor(h.lon * lonScale / cellDeg), Math.floor(h.lat / cellDeg)]
+  const grid = new Map()
+  kept.forEach((h, i) => {
+    const key = cellOf(h).join(',')
+    if (!grid.has(key)) grid.set(key, [])
+    grid.get(key).push(i)
+  })
+
+  const order = kept.map((h, i) => i)
+    .sort((a, b) => (kept[b].confidence ?? 0) - (kept[a].confidence ?? 0))
+  const claimed = new Uint8Array(kept.length)
+  const merged = new Array(kept.length).fill(null) // by seed index, to keep the input order
+
+  for (const i of order) {
+    if (claimed[i]) continue
+    claimed[i] = 1
+    const seed = kept[i]
+    const members = [seed]
+
+    const [cx, cy] = cellOf(seed)
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const j of grid.get(`${cx + dx},${cy + dy}`) || []) {
+          if (claimed[j]) continue
+          if (haversineDistance(seed.lat, seed.lon, kept[j].lat, kept[j].lon) > mergeDistanceFt) continue
+          claimed[j] = 1
+          members.push(kept[j])
+        }
+      }
+    }
+
+    if (members.length === 1) {
+      merged[i] = seed
+    } else {
+      merged[i] = mergeDetections(members)
+      report.mergedHydrantCount++
+      report.mergedCount += members.length - 1
+    }
+  }
+
+  const output = merged.filter(Boolean)
+  report.outputCount = output.length
+  return { hydrants: output, report }
+}
@@ -0,0 +1,211 @@
+/**
+ * D3 coverage charts shared by the analysis panel (county) and the ZIP report:
+ * the optimal / marginal / underserved donut and bar chart
+ */
+
+import * as d3 from 'd3'
+
+// `counts` is { withinOptimal, withinAcceptable, underserved } address counts
+function coverageBreakdown(counts, underservedLabel) {
+  const withinOptimal = counts.withinOptimal || 0
+  return [
+    { label: 'Optimal', value: withinOptimal, color: '#22c55e' },
+    { label: 'Marginal', value: (counts.withinAcceptable || 0) - withinOptimal, color: '#eab308' },
+    { label: underservedLabel, value: counts.underserved || 0, color: '#ef4444' }
+  ]
+}
+
+// Donut of the address breakdown with the optimal % in the middle. Without `animate`
+// everything is drawn in its final state (for printing). Returns a cleanup function.
+export function drawCoverageDonut(container, counts, pctWithinOptimal, { animate = true } = {}) {
+  container.innerHTML = ''
+
+  const width = 180
+  const height = 180
+  const radius = Math.min(width, height) / 2
+
+  const svg = d3.select(container)
+    .append('svg')
+    .attr('width', width)
+    .attr('height', height)
+    .append('g')
+    .attr('transform', `translate(${width / 2}, ${height / 2})`)
+
+  const data = coverageBreakdown(counts, 'Underserved').filter(d => d.value > 0)
+
+  const pie = d3.pie()
+    .value(d => d.value)
+    .sort(null)
+    .padAngle(0.02)
+
+  const arc = d3.arc()
+    .innerRadius(radius * 0.6)
+    .outerRadius(radius * 0.9)
+
+  const arcs = svg.selectAll('path')
+    .data(pie(data))
+    .enter()
+    .append('path')
+    .attr('fill', d => d.data.color)
+    .attr('stroke', 'var(--bg-panel)')
+    .attr('stroke-width', 2)
+
+  const centerGroup = svg.append('g')
+    .attr('class', 'center-text')
+
+  const pctText = centerGroup.append('text')
+    .attr('text-anchor', 'middle')
+    .attr('dy', '-0.2em')
+    .attr('fill', 'var(--text-primary)')
+    .attr('font-size', '24px')
+    .attr('font-weight', '700')
+    .attr('font-family', "'DM Mono', monospace")
+    .text(pctWithinOptimal + '%')
+
+  const labelText = centerGroup.append('text')
+    .attr('text-anchor', 'middle')
+    .attr('dy', '1.2em')
+    .attr('fill', 'var(--text-muted)')
+    .attr('font-size', '11px')
+    .attr('letter-spacing', '1px')
+    .text('OPTIMAL')
+
+  if (!animate) {
+    arcs.attr('d', arc)
+    return () => {}
+  }
+
+  arcs.style('opacity', 0).style('cursor', 'pointer')
+
+  // Animate in
+  arcs.transition()
+    .duration(800)
+    .delay((d, i) => i * 150)
+    .style('opacity', 1)
+    .attrTween('d', function(d) {
+      const interpolate = d3.interpolate({ startAngle: d.startAngle, endAngle: d.startAngle }, d)
+      return t => arc(interpolate(t))
+    })
+
+  // Hover effect
+  arcs.on('mouseover', function() {
+    d3.select(this).transition().duration(200).attr('transform', 'scale(1.05)')
+  }).on('mouseout', function() {
+    d3.select(this).transition().duration(200).attr('transform', 'scale(1)')
+  })
+
+  pctText.style('opacity', 0)
+    .transition()
+    .delay(600)
+    .duration(400)
+    .style('opacity', 1)
+
+  labelText.style('opacity', 0)
+    .transition()
+    .delay(700)
+    .duration(400)
+    .style('opacity', 1)
+
+  // Stop all D3 transitions when unmounting
+  return () => {
+    d3.select(container).selectAll('*').interrupt()
+  }
+}
+
+// Bar chart of the same breakdown with value labels. Returns a cleanup function.
+export function drawCoverageBars(container, counts, { animate = true } = {}) {
+  container.innerHTML = ''
+
+  const margin = { top: 15, right: 15, bottom: 35, left: 50 }
+  const width = 280 - margin.left - margin.right
+  const height = 140 - margin.top - margin.bottom
+
+  const svg = d3.select(container)
+    .append('svg')
+    .attr('width', width + margin.left + margin.right)
+    .attr('height', height + margin.top + margin.bottom)
+    .append('g')
+    .attr('transform', `translate(${margin.left}, ${margin.top})`)
+
+  const data = coverageBreakdown(counts, 'At Risk')
+
+  const x = d3.scaleBand()
+    .domain(data.map(d => d.label))
+    .range([0, width])
+    .padding(0.3)
+
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(data, d => d.value) * 1.15 || 1])
+    .range([height, 0])
+
+  // X axis
+  svg.append('g')
+    .attr('transform', `translate(0, ${height})`)
+    .call(d3.axisBottom(x).tickSize(0))
+    .selectAll('text')
+    .attr('fill', 'var(--text-muted)')
+    .attr('font-size', '9px')
+
+  svg.selectAll('.domain').attr('stroke', 'var(--border)')
+
+  // Y axis
+  svg.append('g')
+    .call(d3.axisLeft(y).ticks(4).tickFormat(d3.format('.2s')))
+    .selectAll('text')
+    .attr('fill', 'var(--text-muted)')
+    .attr('font-size', '9px')
+
+  const bars = svg.selectAll('rect')
+    .data(data)
+    .enter()
+    .append('rect')
+    .attr('x', d => x(d.label))
+    .attr('width', x.bandwidth())
+    .attr('fill', d => d.color)
+    .attr('rx', 4)
+
+  // Value labels on top of bars
+  const labels = svg.selectAll('.bar-label')
+    .data(data)
+    .enter()
+    .append('text')
+    .attr('class', 'bar-label')
+    .attr('x', d => x(d.label) + x.bandwidth() / 2)
+    .attr('y', d => y(d.value) - 5)
+    .attr('text-anchor', 'middle')
+    .attr('fill', 'var(--text-secondary)')
+    .attr('font-size', '9px')
+    .attr('font-family', "'DM Mono', monospace")
+    .text(d => d.value.toLocaleString())
+
+  if (!animate) {
+    bars.attr('y', d => y(d.value)).attr('height', d => height - y(d.value))
+    return () => {}
+  }
+
+  bars.attr('y', height)
+    .attr('height', 0)
+    .style('cursor', 'pointer')
+    .on('mouseover', function() {
+      d3.select(this).attr('opacity', 0.8)
+    })
+    .on('mouseout', function() {
+      d3.select(this).attr('opacity', 1)
+    })
+    .transition()
+    .duration(800)
+    .delay((d, i) => i * 150)
+    .attr('y', d => y(d.value))
+    .attr('height', d => height - y(d.value))
+
+  labels.style('opacity', 0)
+    .transition()
+    .delay(1000)
+    .duration(300)
+    .style('opacity', 1)
+
+  // Stop all D3 transitions when unmounting
+  return () => {
+    d3.select(container).selectAll('*').interrupt()
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Minimal CSV helpers: parsing the bundled tables and user files, and writing exports
+ */
+
+// Split one CSV line, honoring quoted fields that contain commas
+export function parseCSVLine(line) {
+  const values = []
+  let current = ''
+  let inQuotes = false
+  for (const c of line) {
+    if (c === '"') inQuotes = !inQuotes
+    else if (c === ',' && !inQuotes) {
+      values.push(current.trim().replace(/"/g, ''))
+      current = ''
+    } else {
+      current += c
+    }
+  }
+  values.push(current.trim().replace(/"/g, ''))
+  return values
+}
+
+function escapeCSVValue(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function csvHeader(columns) {
+  return columns.map(c => escapeCSVValue(c.label || c.key)).join(',')
+}
+
+// One CSV line per row, without the header (exports streamed in chunks)
+export function csvRows(rows, columns) {
+  return rows.map(row =>
+    columns.map(c => escapeCSVValue(c.value ? c.value(row) : row[c.key])).join(',')
+  ).join('\n')
+}
+
+// CSV text from rows of objects; `columns` is [{ key, label, value? }] where `value(row)`
+// overrides reading `row[key]`
+export function toCSV(rows, columns) {
+  return rows.length > 0 ? `${csvHeader(columns)}\n${csvRows(rows, columns)}` : csvHeader(columns)
+}
+
+// Save text (or a list of text chunks) as a file through a temporary object URL
+export function downloadFile(content, fileName, mimeType = 'text/csv') {
+  const parts = Array.isArray(content) ? content : [content]
+  const url = URL.createObjectURL(new Blob(parts, { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
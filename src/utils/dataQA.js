@@ -0,0 +1,114 @@
+/**
+ * Data quality checks over the loaded datasets: point placement, duplicates, ZIP
+ * attribution, polygon validity and missing station attributes
+ */
+
+import { ringArea } from './geometry.js'
+
+export const QA_CHECKS = [
+  { id: 'swappedCoordinates', label: 'Swapped latitude/longitude', color: '#a855f7', description: 'Points that land inside the county only with latitude and longitude exchanged' },
+  { id: 'outsideBoundary', label: 'Outside county boundary', color: '#ef4444', description: 'Addresses and hydrants that fall outside the county boundary' },
+  { id: 'duplicateCoordinates', label: 'Duplicate coordinates', color: '#f97316', description: 'Records at exactly the same location as an earlier record of the same dataset' },
+  { id: 'zipMismatch', label: 'ZIP disagrees with polygon', color: '#eab308', description: 'Addresses whose CSV ZIP differs from the ZIP polygon that contains them' },
+  { id: 'invalidPolygon', label: 'Invalid polygon', color: '#ec4899', description: 'ZIP or boundary rings that are unclosed, too short, empty or self-intersecting' },
+  { id: 'stationAttributes', label: 'Station missing name or agency', color: '#ffd93d', description: 'Stations loaded without a name or agency attribute' }
+]
+
+// Flagged records kept per check; counts always cover every record
+export const QA_RECORD_LIMIT = 10000
+
+export function getQACheck(id) {
+  return QA_CHECKS.find(c => c.id === id)
+}
+
+// The app keeps the boundary as Leaflet [lat, lon] nesting: a single ring, a polygon's
+// rings or a list of polygons. Returns the matching GeoJSON geometry ([lon, lat]).
+export function boundaryToGeometry(boundary) {
+  if (!boundary || boundary.length === 0) return null
+  const flip = (ring) => ring.map(([lat, lon]) => [lon, lat])
+
+  if (typeof boundary[0][0] === 'number') return { type: 'Polygon', coordinates: [flip(boundary)] }
+  if (typeof boundary[0][0][0] === 'number') return { type: 'Polygon', coordinates: boundary.map(flip) }
+  return { type: 'MultiPolygon', coordinates: boundary.map(polygon => polygon.map(flip)) }
+}
+
+function segmentIntersection(a, b, c, d) {
+  const denominator = (b[0] - a[0]) * (d[1] - c[1]) - (b[1] - a[1]) * (d[0] - c[0])
+  if (denominator === 0) return null
+  const t = ((c[0] - a[0]) * (d[1] - c[1]) - (c[1] - a[1]) * (d[0] - c[0])) / denominator
+  const u = ((c[0] - a[0]) * (b[1] - a[1]) - (c[1] - a[1]) * (b[0] - a[0])) / denominator
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null
+  return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])]
+}
+
+// First point where a closed ring crosses itself, or null. Segments are bucketed on a grid
+// over the ring's bounding box so only segments sharing a cell are compared.
+export function ringSelfIntersection(ring) {
+  const n = ring.length - 1 // closing vertex repeats the first
+  if (n < 4) return null
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+  for (const [x, y] of ring) {
+    minX = Math.min(minX, x)
+    minY = Math.min(minY, y)
+    maxX = Math.max(maxX, x)
+    maxY = Math.max(maxY, y)
+  }
+  const cells = Math.max(1, Math.ceil(Math.sqrt(n)))
+  const cellW = (maxX - minX) / cells || 1
+  const cellH = (maxY - minY) / cells || 1
+  const cellX = (x) => Math.min(cells - 1, Math.floor((x - minX) / cellW))
+  const cellY = (y) => Math.min(cells - 1, Math.floor((y - minY) / cellH))
+
+  const grid = new Map()
+  for (let i = 0; i < n; i++) {
+    const a = ring[i]
+    const b = ring[i + 1]
+    for (let x = cellX(Math.min(a[0], b[0])); x <= cellX(Math.max(a[0], b[0])); x++) {
+      for (let y = cellY(Math.min(a[1], b[1])); y <= cellY(Math.max(a[1], b[1])); y++) {
+        const key = x * cells + y
+        if (!grid.has(key)) grid.set(key, [])
+        grid.get(key).push(i)
+      }
+    }
+  }
+
+  for (const segments of grid.values()) {
+    for (let p = 0; p < segments.length; p++) {
+      for (let q = p + 1; q < segments.length; q++) {
+        const i = segments[p]
+        const j = segments[q]
+        // Neighboring segments share a vertex (the first and last do too)
+        if (Math.abs(i - j) === 1 || Math.abs(i - j) === n - 1) continue
+        const hit = segmentIntersection(ring[i], ring[i + 1], ring[j], ring[j + 1])
+        if (hit) return hit
+      }
+    }
+  }
+  return null
+}
+
+// Problems with one polygon ring ([lon, lat]); each is { detail, lat, lon }
+export function ringProblems(ring) {
+  if (!ring || ring.length === 0) return [{ detail: 'Empty ring', lat: null, lon: null }]
+
+  const [lon, lat] = ring[0]
+  const first = ring[0]
+  const last = ring[ring.length - 1]
+  if (ring.length < 4) return [{ detail: `Ring has only ${ring.length} positions`, lat, lon }]
+  if (first[0] !== last[0] || first[1] !== last[1]) return [{ detail: 'Ring is not closed', lat, lon }]
+  if (ringArea(ring) === 0) return [{ detail: 'Ring has no area', lat, lon }]
+
+  const crossing = ringSelfIntersection(ring)
+  return crossing ? [{ detail: 'Ring crosses itself', lat: crossing[1], lon: crossing[0] }] : []
+}
+
+// Export columns for every flagged record
+export const QA_RECORD_COLUMNS = [
+  { key: 'check', label: 'check', value: row => getQACheck(row.check)?.label || row.check },
+  { key: 'dataset', label: 'dataset' },
+  { key: 'recordId', label: 'record_id' },
+  { key: 'lat', label: 'latitude' },
+  { key: 'lon', label: 'longitude' },
+  { key: 'detail', label: 'detail' }
+]
@@ -0,0 +1,81 @@
+/**
+ * Shareable links: the selected ZIP, station or hydrant, the map view, the visible layers and
+ * whether the analysis panel is open, kept in the URL hash, e.g.
+ * #/zip/95814?map=38.5816,-121.4944,12&layers=hydrants,stations,zipcodes&analysis=1
+ */
+
+const ROUTE_TYPES = ['zip', 'station', 'hydrant']
+
+// Stations are linked by agency and station name ("SAC-2"), which survive reloading the data
+export function stationLinkKey(station) {
+  return `${String(station.agency ?? '').trim()}-${String(station.name).trim()}`.replace(/\s+/g, '_')
+}
+
+// Returns { route: { type, key } | null, view: { center: [lat, lon], zoom } | null,
+// layers: [key] | null, analysisOpen }; anything malformed is ignored
+export function parseDeepLink(hash) {
+  const [path, query = ''] = (hash || '').replace(/^#/, '').split('?')
+  const [, type, ...rest] = path.split('/')
+  const key = rest.length > 0 ? decodeURIComponent(rest.join('/')) : ''
+  const params = new URLSearchParams(query)
+
+  const [lat, lon, zoom] = (params.get('map') || '').split(',').map(parseFloat)
+  const view = [lat, lon, zoom].every(Number.isFinite) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180
+    ? { center: [lat, lon], zoom: Math.round(zoom) }
+    : null
+
+  return {
+    route: ROUTE_TYPES.includes(type) && key ? { type, key } : null,
+    view,
+    layers: params.has('layers') ? params.get('layers').split(',').filter(Boolean) : null,
+    analysisOpen: params.get('analysis') === '1'
+  }
+}
+
+export function buildDeepLink({ route, view, layerVisibility, analysisOpen }) {
+  const params = []
+  if (view) {
+    const [lat, lon] = view.center
+    params.push(`map=${lat.toFixed(5)},${lon.toFixed(5)},${view.zoom}`)
+  }
+  params.push(`layers=${Object.keys(layerVisibility).filter(k => layerVisibility[k]).join(',')}`)
+  if (analysisOpen) params.push('analysis=1')
+
+  const path = route ? `/${route.type}/${encodeURIComponent(route.key)}` : '/'
+  return `#${path}?${params.join('&')}`
+}
+
+// Route for the feature shown in the sidebar, or null for views that have no link
+export function routeForFeature(feature) {
+  switch (feature?.type) {
+    case 'zipcode':
+      return { type: 'zip', key: String(feature.zipCode) }
+    case 'station':
+      return feature.proposed ? null : { type: 'station', key: stationLinkKey(feature) }
+    case 'hydrant':
+      return { type: 'hydrant', key: String(feature.id) }
+    default:
+      return null
+  }
+}
+
+// The feature a route points to, shaped like a map click, or null if it is not loaded
+export function findRouteFeature(route, { zipcodes, stations, hydrants }) {
+  switch (route.type) {
+    case 'zip': {
+      const zip = zipcodes.find(z => String(z.zipCode) === route.key)
+      return zip ? { type: 'zipcode', ...zip } : null
+    }
+    case 'station': {
+      const key = route.key.toLowerCase()
+      const station = stations.find(s => stationLinkKey(s).toLowerCase() === key)
+      return station ? { type: 'station', ...station } : null
+    }
+    case 'hydrant': {
+      const hydrant = hydrants.find(h => String(h.id) === route.key)
+      return hydrant ? { type: 'hydrant', ...hydrant } : null
+    }
+    default:
+      return null
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Export of the worker's computed results: per-address distances and classes, and the
+ * per-ZIP stats table, for the county, one ZIP or the map extent, as CSV or GeoJSON
+ */
+
+export const EXPORT_DATASETS = [
+  { id: 'addresses', label: 'All addresses', fileLabel: 'addresses' },
+  { id: 'underserved', label: 'Underserved addresses', fileLabel: 'underserved-addresses' },
+  { id: 'zipStats', label: 'Per-ZIP stats', fileLabel: 'zip-stats' }
+]
+
+export const EXPORT_SCOPES = [
+  { id: 'county', label: 'County' },
+  { id: 'zip', label: 'Selected ZIP' },
+  { id: 'extent', label: 'Map extent' }
+]
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' }
+]
+
+// Records per chunk the worker posts while streaming an export
+export const EXPORT_CHUNK_SIZE = 5000
+
+const feet = (value) => (Number.isFinite(value) ? Math.round(value * 10) / 10 : null)
+const percent = (value) => (value === undefined ? null : parseFloat(value))
+
+function hydrantClass(addr) {
+  if (addr.withinOptimal) return 'Optimal'
+  if (addr.withinAcceptable) return 'Marginal'
+  return 'Underserved'
+}
+
+export const ADDRESS_EXPORT_COLUMNS = [
+  { key: 'id', label: 'id' },
+  { key: 'address', label: 'address' },
+  { key: 'city', label: 'city' },
+  { key: 'zip', label: 'zip' },
+  { key: 'lat', label: 'latitude' },
+  { key: 'lon', label: 'longitude' },
+  { key: 'nearestHydrantDist', label: 'nearest_hydrant_ft', value: a => feet(a.nearestHydrantDist) },
+  { key: 'nearestHydrantId', label: 'nearest_hydrant_id' },
+  { key: 'secondHydrantDist', label: 'second_hydrant_ft', value: a => feet(a.secondHydrantDist) },
+  { key: 'thirdHydrantDist', label: 'third_hydrant_ft', value: a => feet(a.thirdHydrantDist) },
+  { key: 'hydrantsWithinOptimal', label: 'hydrants_within_optimal' },
+  { key: 'hydrantsWithinAcceptable', label: 'hydrants_within_acceptable' },
+  { key: 'hydrantClass', label: 'hydrant_class', value: hydrantClass },
+  { key: 'withinOptimal', label: 'within_optimal' },
+  { key: 'withinAcceptable', label: 'within_acceptable' },
+  { key: 'underserved', label: 'underserved' },
+  { key: 'nearestStationDist', label: 'nearest_station_ft', value: a => feet(a.nearestStationDist) },
+  { key: 'nearestStation', label: 'nearest_station', value: a => a.nearestStationData?.name ?? null },
+  { key: 'firstDueStation', label: 'first_due_station', value: a => a.firstDueStationData?.name ?? null },
+  { key: 'firstDueAgency', label: 'first_due_agency', value: a => a.firstDueStationData?.agency ?? null },
+  { key: 'stationDriveMinutes', label: 'drive_minutes', value: a => (Number.isFinite(a.stationDriveMinutes) ? Math.round(a.stationDriveMinutes * 10) / 10 : null) },
+  { key: 'withinStationResponse', label: 'within_station_response' }
+]
+
+// Rows are { zipCode, stats } with stats from the worker's buildAreaStats
+export const ZIP_STATS_EXPORT_COLUMNS = [
+  { key: 'zipCode', label: 'zip_code' },
+  { key: 'areaType', label: 'area_type', value: r => r.stats.areaType ?? null },
+  { key: 'areaSqMiles', label: 'area_sq_mi', value: r => Math.round(r.stats.areaSqMiles * 100) / 100 },
+  { key: 'addressCount', label: 'address_count', value: r => r.stats.addressCount },
+  { key: 'hydrantCount', label: 'hydrant_count', value: r => r.stats.hydrantCount },
+  { key: 'stationCount', label: 'station_count', value: r => r.stats.stationCount },
+  { key: 'coveragePercentOptimal', label: 'pct_within_optimal', value: r => percent(r.stats.coveragePercentOptimal) },
+  { key: 'coveragePercentAcceptable', label: 'pct_within_acceptable', value: r => percent(r.stats.coveragePercentAcceptable) },
+  { key: 'addressesUnderserved', label: 'addresses_underserved', value: r => r.stats.addressesUnderserved },
+  { key: 'stationCoveragePercent', label: 'pct_within_station_response', value: r => percent(r.stats.stationCoveragePercent) },
+  { key: 'avgDistanceToHydrant', label: 'avg_hydrant_ft', value: r => feet(r.stats.avgDistanceToHydrant) },
+  { key: 'avgDistanceToStation', label: 'avg_station_ft', value: r => feet(r.stats.avgDistanceToStation) },
+  { key: 'maxDistance', label: 'max_hydrant_ft', value: r => feet(r.stats.maxDistance) }
+]
+
+// GeoJSON feature whose properties are the export columns
+export function toExportFeature(row, columns, geometry) {
+  const properties = {}
+  for (const c of columns) properties[c.label] = c.value ? c.value(row) : row[c.key] ?? null
+  return { type: 'Feature', geometry, properties }
+}
+
+// e.g. underserved-addresses-zip-95814.geojson
+export function exportFileName({ dataset, scope, format }, zipCode) {
+  const datasetLabel = EXPORT_DATASETS.find(d => d.id === dataset)?.fileLabel || dataset
+  const scopeLabel = scope.type === 'zip' ? `zip-${zipCode}` : scope.type
+  const extension = EXPORT_FORMATS.find(f => f.id === format)?.extension || format
+  return `${datasetLabel}-${scopeLabel}.${extension}`
+}
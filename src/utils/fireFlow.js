@@ -0,0 +1,165 @@
+/**
+ * Hydrant fire-flow attributes and NFPA 291 color classes
+ */
+
+import { haversineDistance } from './geometry.js'
+import { parseCSVLine } from './csv.js'
+
+// NFPA 291 classes by rated flow at 20 psi residual, highest first, with bonnet colors
+export const FIRE_FLOW_CLASSES = [
+  { id: 'AA', minGpm: 1500, label: 'Class AA (≥1,500 GPM)', color: '#60a5fa' },
+  { id: 'A', minGpm: 1000, label: 'Class A (1,000–1,499 GPM)', color: '#22c55e' },
+  { id: 'B', minGpm: 500, label: 'Class B (500–999 GPM)', color: '#f97316' },
+  { id: 'C', minGpm: 0, label: 'Class C (<500 GPM)', color: '#ef4444' }
+]
+
+export const UNKNOWN_FLOW_COLOR = '#ff4757'
+
+// Minimum-flow choices offered for coverage; each matches a class boundary
+export const MIN_FLOW_OPTIONS = [0, 500, 1000, 1500]
+
+export const DEFAULT_FLOW_FILTER = { minFlowGpm: 0, includeUnknown: true }
+
+// Field names seen in utility hydrant layers and flow-test exports
+const RATED_FLOW_FIELDS = ['RATED_FLOW', 'rated_flow', 'FLOW_GPM', 'flow_gpm', 'FIRE_FLOW', 'fire_flow', 'GPM', 'gpm', 'AVAILABLE_FLOW', 'available_flow']
+const TEST_FLOW_FIELDS = ['TEST_FLOW', 'test_flow', 'TEST_GPM', 'test_gpm', 'OBSERVED_FLOW', 'observed_flow']
+const STATIC_FIELDS = ['STATIC_PSI', 'static_psi', 'STATIC', 'static', 'STATIC_PRESSURE', 'static_pressure']
+const RESIDUAL_FIELDS = ['RESIDUAL_PSI', 'residual_psi', 'RESIDUAL', 'residual', 'RESIDUAL_PRESSURE', 'residual_pressure']
+const CLASS_FIELDS = ['NFPA_CLASS', 'nfpa_class', 'FLOW_CLASS', 'flow_class', 'NFPA291', 'nfpa291']
+const ID_FIELDS = ['hydrant_id', 'HYDRANT_ID', 'FACILITYID', 'facilityid', 'ASSET_ID', 'asset_id', 'id', 'ID']
+
+// Flow-test rows are matched to hydrants within this distance when they carry no shared ID
+const JOIN_DISTANCE_FT = 50
+
+function readNumber(props, fields) {
+  for (const field of fields) {
+    const value = parseFloat(props[field])
+    if (Number.isFinite(value)) return value
+  }
+  return null
+}
+
+export function classifyFlow(gpm) {
+  if (gpm === null || !Number.isFinite(gpm)) return null
+  return FIRE_FLOW_CLASSES.find(c => gpm >= c.minGpm).id
+}
+
+export function getFlowClass(id) {
+  return FIRE_FLOW_CLASSES.find(c => c.id === id) || null
+}
+
+// Rated flow at 20 psi residual from a flow test (NFPA 291: Qr = Qf × ((S − 20) / (S − R))^0.54)
+export function ratedFlowAt20Psi(testFlowGpm, staticPsi, residualPsi) {
+  if (![testFlowGpm, staticPsi, residualPsi].every(Number.isFinite) || staticPsi <= residualPsi) return null
+  return testFlowGpm * Math.pow((staticPsi - 20) / (staticPsi - residualPsi), 0.54)
+}
+
+// Flow attributes from hydrant properties (or a flow-test row). A rated flow wins; otherwise
+// it is derived from a test flow and pressures; an explicit class is used when no flow is known.
+export function readFlowAttributes(props = {}) {
+  const staticPsi = readNumber(props, STATIC_FIELDS)
+  const residualPsi = readNumber(props, RESIDUAL_FIELDS)
+  let flowGpm = readNumber(props, RATED_FLOW_FIELDS)
+  if (flowGpm === null) {
+    flowGpm = ratedFlowAt20Psi(readNumber(props, TEST_FLOW_FIELDS), staticPsi, residualPsi)
+  }
+
+  const statedClass = CLASS_FIELDS.map(f => String(props[f] ?? '').trim().toUpperCase()).find(c => getFlowClass(c))
+  const flowClass = flowGpm !== null ? classifyFlow(flowGpm) : statedClass || null
+
+  return {
+    flowGpm: flowGpm !== null ? Math.round(flowGpm) : null,
+    staticPsi,
+    residualPsi,
+    flowClass
+  }
+}
+
+// Whether a hydrant counts toward coverage under a minimum-flow filter. Hydrants known only
+// by class are judged by their class's lower bound.
+export function meetsFlowFilter(hydrant, filter) {
+  if (!filter || filter.minFlowGpm <= 0) return true
+  if (hydrant.flowGpm !== null && hydrant.flowGpm !== undefined) return hydrant.flowGpm >= filter.minFlowGpm
+  const flowClass = getFlowClass(hydrant.flowClass)
+  return flowClass ? flowClass.minGpm >= filter.minFlowGpm : filter.includeUnknown
+}
+
+// Merge a flow-test CSV into hydrants: rows are matched by a shared ID column when present,
+// otherwise to the nearest hydrant within JOIN_DISTANCE_FT. Returns the updated hydrants, how
+// many rows matched, and how many hydrants lack the ID column (they are never joined by ID).
+export function joinFlowTests(hydrants, csvText) {
+  const lines = csvText.split('\n').filter(line => line.trim())
+  const headers = parseCSVLine(lines[0] || '')
+  const rows = lines.slice(1).map(line => {
+    const values = parseCSVLine(line)
+    return Object.fromEntries(headers.map((h, i) => [h, values[i]]))
+  })
+
+  const idField = ID_FIELDS.find(f => headers.includes(f))
+  const latField = headers.find(h => ['lat', 'latitude', 'y'].includes(h.toLowerCase()))
+  const lonField = headers.find(h => ['lon', 'lng', 'long', 'longitude', 'x'].includes(h.toLowerCase()))
+  if (!idField && !(latField && lonField)) {
+    throw new Error('Flow test CSV needs a hydrant ID column or latitude/longitude columns')
+  }
+
+  const byId = new Map()
+  let unmatchedHydrants = 0
+  if (idField) {
+    hydrants.forEach((h, i) => {
+      const id = h.properties?.[idField]
+      if (id === undefined || id === null || id === '') {
+        unmatchedHydrants++
+        return
+      }
+      byId.set(String(id), i)
+    })
+  }
+
+  // 0.001° cells (~360 ft) so a location match only checks neighboring hydrants
+  const cellKey = (x, y) => `${x},${y}`
+  const cells = new Map()
+  if (latField && lonField) {
+    hydrants.forEach((h, i) => {
+      const key = cellKey(Math.floor(h.lon * 1000), Math.floor(h.lat * 1000))
+      if (!cells.has(key)) cells.set(key, [])
+      cells.get(key).push(i)
+    })
+  }
+
+  const updates = new Map()
+  for (const row of rows) {
+    let index = idField ? byId.get(String(row[idField])) : undefined
+
+    if (index === undefined && latField && lonField) {
+      const lat = parseFloat(row[latField])
+      const lon = parseFloat(row[lonField])
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue
+
+      let best = JOIN_DISTANCE_FT
+      const cx = Math.floor(lon * 1000)
+      const cy = Math.floor(lat * 1000)
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (const i of cells.get(cellKey(cx + dx, cy + dy)) || []) {
+            const dist = haversineDistance(lat, lon, hydrants[i].lat, hydrants[i].lon)
+            if (dist <= best) {
+              best = dist
+              index = i
+            }
+          }
+        }
+      }
+    }
+
+    if (index === undefined) continue
+    const flow = readFlowAttributes(row)
+    if (flow.flowGpm !== null || flow.flowClass !== null) updates.set(index, flow)
+  }
+
+  return {
+    hydrants: hydrants.map((h, i) => (updates.has(i) ? { ...h, ...updates.get(i) } : h)),
+    matched: updates.size,
+    total: rows.length,
+    unmatchedHydrants
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Gap zones: density clusters of underserved addresses (DBSCAN) outlined by concave hulls
+ */
+
+import { Delaunay } from 'd3'
+import { haversineDistance, ringArea } from './geometry.js'
+
+const FEET_PER_DEGREE_LAT = 364000
+
+// `epsFt` is the neighborhood radius, `minPoints` the addresses (itself included) a point
+// needs within it to seed a zone
+export const DEFAULT_GAP_ZONE_CONFIG = { epsFt: 500, minPoints: 10 }
+
+// DBSCAN over { lat, lon } points. Returns a cluster label per point (-1 for noise).
+export function dbscan(points, epsFt, minPoints) {
+  // Cells are eps tall. Longitude is scaled at one latitude for the whole set (the one farthest
+  // from the equator), so cells are at least eps wide everywhere and every neighbor is in one
+  // of the nine cells around a point
+  const cellDeg = epsFt / FEET_PER_DEGREE_LAT
+  const refLat = points.reduce((max, p) => Math.max(max, Math.abs(p.lat)), 0)
+  const lonScale = Math.cos(refLat * Math.PI / 180)
+  const cellOf = (p) => [Math.floor(p.lon * lonScale / cellDeg), Math.floor(p.lat / cellDeg)]
+
+  const grid = new Map()
+  points.forEach((p, i) => {
+    const key = cellOf(p).join(',')
+    if (!grid.has(key)) grid.set(key, [])
+    grid.get(key).push(i)
+  })
+
+  const neighbors = (i) => {
+    const p = points[i]
+    const [cx, cy] = cellOf(p)
+    const found = []
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const j of grid.get(`${cx + dx},${cy + dy}`) || []) {
+          if (haversineDistance(p.lat, p.lon, points[j].lat, points[j].lon) <= epsFt) found.push(j)
+        }
+      }
+    }
+    return found
+  }
+
+  const UNVISITED = -2
+  const labels = new Int32Array(points.length).fill(UNVISITED)
+  let cluster = 0
+
+  for (let i = 0; i < points.length; i++) {
+    if (labels[i] !== UNVISITED) continue
+
+    const seeds = neighbors(i)
+    if (seeds.length < minPoints) {
+      labels[i] = -1
+      continue
+    }
+
+    labels[i] = cluster
+    const queue = seeds
+    for (let k = 0; k < queue.length; k++) {
+      const j = queue[k]
+      if (labels[j] === -1) labels[j] = cluster // border point
+      if (labels[j] !== UNVISITED) continue
+
+      labels[j] = cluster
+      const reach = neighbors(j)
+      if (reach.length >= minPoints) queue.push(...reach)
+    }
+    cluster++
+  }
+
+  return labels
+}
+
+// Concave hull of { lat, lon } points as a closed GeoJSON ring ([lon, lat]). Delaunay
+// triangles with an edge longer than `maxEdgeFt` are dropped and the outline of what remains
+// is traced (an alpha shape); the largest outline wins. Falls back to the convex hull when
+// trimming leaves nothing usable.
+export function concaveHull(points, maxEdgeFt) {
+  if (points.length < 3) return null
+
+  const refLat = points.reduce((sum, p) => sum + p.lat, 0) / points.length
+  const lonScale = FEET_PER_DEGREE_LAT * Math.cos(refLat * Math.PI / 180)
+  const xy = points.map(p => [p.lon * lonScale, p.lat * FEET_PER_DEGREE_LAT])
+  const delaunay = Delaunay.from(xy)
+  const { triangles } = delaunay
+  const toRing = (indices) => {
+    const ring = indices.map(i => [points[i].lon, points[i].lat])
+    ring.push(ring[0])
+    return ring
+  }
+
+  const convex = () => {
+    const hull = Array.from(delaunay.hull)
+    return hull.length >= 3 ? toRing(hull) : null
+  }
+  if (triangles.length === 0) return convex()
+
+  const length = (a, b) => Math.hypot(xy[a][0] - xy[b][0], xy[a][1] - xy[b][1])
+
+  // Count how many kept triangles share each (undirected) edge
+  const edgeCount = new Map()
+  const keptEdges = []
+  for (let t = 0; t < triangles.length; t += 3) {
+    const tri = [triangles[t], triangles[t + 1], triangles[t + 2]]
+    if (Math.max(length(tri[0], tri[1]), length(tri[1], tri[2]), length(tri[2], tri[0])) > maxEdgeFt) continue
+
+    for (let e = 0; e < 3; e++) {
+      const a = tri[e]
+      const b = tri[(e + 1) % 3]
+      const key = a < b ? `${a},${b}` : `${b},${a}`
+      edgeCount.set(key, (edgeCount.get(key) || 0) + 1)
+      keptEdges.push([a, b, key])
+    }
+  }
+
+  // Edges used by a single triangle form the outline; keep their direction to trace rings
+  const next = new Map()
+  for (const [a, b, key] of keptEdges) {
+    if (edgeCount.get(key) !== 1) continue
+    if (!next.has(a)) next.set(a, [])
+    next.get(a).push(b)
+  }
+
+  let best = null
+  let bestArea = 0
+  while (next.size > 0) {
+    const start = next.keys().next().value
+    const ring = [start]
+    let current = start
+    for (;;) {
+      const outgoing = next.get(current)
+      if (!outgoing) break
+      const to = outgoing.pop()
+      if (outgoing.length === 0) next.delete(current)
+      if (to === start) break
+      ring.push(to)
+      current = to
+    }
+
+    if (ring.length >= 3) {
+      const candidate = toRing(ring)
+      const area = ringArea(candidate)
+      if (area > bestArea) {
+        best = candidate
+        bestArea = area
+      }
+    }
+  }
+
+  return best || convex()
+}
@@ -0,0 +1,158 @@
+/**
+ * Shared geometry helpers for the coverage worker and the data loaders.
+ * Coordinates follow GeoJSON order ([lon, lat]) unless a function says otherwise.
+ */
+
+const EARTH_RADIUS_FT = 20902231
+const EARTH_RADIUS_M = 6378137 // WGS84 equatorial radius, as used for geodesic area
+const SQ_METERS_PER_SQ_MILE = 2589988.110336
+
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = (lat2 - lat1) * Math.PI / 180
+  const dLon = (lon2 - lon1) * Math.PI / 180
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2)
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+  return EARTH_RADIUS_FT * c
+}
+
+// Polygons of a Feature or geometry as a list of ring lists: [[outer, hole, ...], ...]
+export function getPolygons(featureOrGeometry) {
+  const geometry = featureOrGeometry?.geometry || featureOrGeometry
+  if (!geometry) return []
+
+  if (geometry.type === 'Polygon') return [geometry.coordinates]
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates
+  return []
+}
+
+// Bounding box of a Feature/geometry as [minLon, minLat, maxLon, maxLat]
+export function getBBox(featureOrGeometry) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity]
+
+  for (const polygon of getPolygons(featureOrGeometry)) {
+    // Holes sit inside the outer ring, so the outer ring bounds the polygon
+    for (const [lon, lat] of polygon[0] || []) {
+      if (lon < bbox[0]) bbox[0] = lon
+      if (lat < bbox[1]) bbox[1] = lat
+      if (lon > bbox[2]) bbox[2] = lon
+      if (lat > bbox[3]) bbox[3] = lat
+    }
+  }
+
+  return bbox
+}
+
+export function bboxContains(bbox, lat, lon) {
+  return lon >= bbox[0] && lon <= bbox[2] && lat >= bbox[1] && lat <= bbox[3]
+}
+
+export function bboxesIntersect(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1]
+}
+
+// Ray-casting test against a single ring
+export function pointInRing(lat, lon, ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1]
+    const xj = ring[j][0], yj = ring[j][1]
+
+    if (((yi > lat) !== (yj > lat)) &&
+        (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+// Pre-split a Feature/geometry into polygons with per-part bounding boxes, so repeated
+// point tests can skip parts (and whole features) whose box does not hold the point
+export function prepareGeometry(featureOrGeometry) {
+  const parts = getPolygons(featureOrGeometry).map(rings => ({
+    rings,
+    bbox: getBBox({ type: 'Polygon', coordinates: rings })
+  }))
+
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity]
+  for (const part of parts) {
+    bbox[0] = Math.min(bbox[0], part.bbox[0])
+    bbox[1] = Math.min(bbox[1], part.bbox[1])
+    bbox[2] = Math.max(bbox[2], part.bbox[2])
+    bbox[3] = Math.max(bbox[3], part.bbox[3])
+  }
+
+  return { prepared: true, parts, bbox }
+}
+
+// Point-in-polygon over every part of a Polygon/MultiPolygon, excluding interior rings
+// (holes). Accepts a Feature, a geometry, or the result of prepareGeometry().
+export function pointInPolygon(lat, lon, shape) {
+  const prepared = shape?.prepared ? shape : prepareGeometry(shape)
+  if (!bboxContains(prepared.bbox, lat, lon)) return false
+
+  for (const part of prepared.parts) {
+    if (!bboxContains(part.bbox, lat, lon)) continue
+    if (!pointInRing(lat, lon, part.rings[0])) continue
+
+    let inHole = false
+    for (let h = 1; h < part.rings.length; h++) {
+      if (pointInRing(lat, lon, part.rings[h])) {
+        inHole = true
+        break
+      }
+    }
+    if (!inHole) return true
+  }
+  return false
+}
+
+// Geodesic area of a ring on the sphere, in square meters
+// (Chamberlain & Duquette, "Some Algorithms for Polygons on a Sphere", 2007)
+export function ringArea(ring) {
+  const n = ring.length
+  if (n < 3) return 0
+
+  let total = 0
+  for (let i = 0; i < n; i++) {
+    const lower = ring[i]
+    const middle = ring[(i + 1) % n]
+    const upper = ring[(i + 2) % n]
+    total += (upper[0] - lower[0]) * Math.PI / 180 * Math.sin(middle[1] * Math.PI / 180)
+  }
+
+  return Math.abs(total * EARTH_RADIUS_M * EARTH_RADIUS_M / 2)
+}
+
+// Geodesic area of a Polygon/MultiPolygon in square miles, with holes subtracted
+export function geodesicArea(featureOrGeometry) {
+  let area = 0
+  for (const polygon of getPolygons(featureOrGeometry)) {
+    area += ringArea(polygon[0])
+    for (let h = 1; h < polygon.length; h++) {
+      area -= ringArea(polygon[h])
+    }
+  }
+  return area / SQ_METERS_PER_SQ_MILE
+}
+
+// Leaflet lat/lng nesting for a Polygon/MultiPolygon: [[[lat, lon], ...ring], ...polygon]
+export function toLeafletLatLngs(featureOrGeometry) {
+  return getPolygons(featureOrGeometry).map(polygon =>
+    polygon.map(ring => ring.map(c => [c[1], c[0]]))
+  )
+}
+
+// Average vertex position of a polygon's outer ring, used to place polygon-shaped points
+export function ringCentroid(ring) {
+  // Closed rings repeat the first vertex; leave it out so it is not counted twice
+  const closed = ring.length > 1 &&
+    ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]
+  const coords = closed ? ring.slice(0, -1) : ring
+
+  return {
+    lat: coords.reduce((sum, c) => sum + c[1], 0) / coords.length,
+    lon: coords.reduce((sum, c) => sum + c[0], 0) / coords.length
+  }
+}
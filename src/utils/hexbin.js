@@ -0,0 +1,123 @@
+/**
+ * Hexagonal binning and Getis-Ord Gi* hot-spot statistics for the coverage-gap surface
+ */
+
+const FEET_PER_DEGREE_LAT = 364000
+
+// Hex sizes (center-to-corner, feet) by map zoom; coarser hexes when zoomed out
+export const HEX_RESOLUTIONS = [
+  { id: 'county', sizeFt: 5280, maxZoom: 10 },
+  { id: 'district', sizeFt: 2640, maxZoom: 12 },
+  { id: 'neighborhood', sizeFt: 1320, maxZoom: 14 },
+  { id: 'block', sizeFt: 660, maxZoom: Infinity }
+]
+
+// Gi* z-score bins. Hot spots are clusters of long hydrant distances (coverage gaps),
+// cold spots clusters of short ones.
+export const HOTSPOT_CLASSES = [
+  { level: 3, label: 'Gap hot spot (99%)', color: '#b91c1c', minZ: 2.576 },
+  { level: 2, label: 'Gap hot spot (95%)', color: '#ef4444', minZ: 1.96 },
+  { level: 1, label: 'Gap hot spot (90%)', color: '#fca5a5', minZ: 1.645 },
+  { level: 0, label: 'Not significant', color: '#71717a', minZ: -1.645 },
+  { level: -1, label: 'Well served (90%)', color: '#93c5fd', minZ: -1.96 },
+  { level: -2, label: 'Well served (95%)', color: '#3b82f6', minZ: -2.576 },
+  { level: -3, label: 'Well served (99%)', color: '#1d4ed8', minZ: -Infinity }
+]
+
+export function hexResolutionForZoom(zoom) {
+  return HEX_RESOLUTIONS.find(r => zoom <= r.maxZoom)
+}
+
+export function getHotspotClass(level) {
+  return HOTSPOT_CLASSES.find(c => c.level === level)
+}
+
+export function hotspotLevel(z) {
+  if (!Number.isFinite(z)) return 0
+  if (z >= 0) return HOTSPOT_CLASSES.find(c => c.level >= 0 && z >= c.minZ).level
+  return HOTSPOT_CLASSES.find(c => c.level <= 0 && z >= c.minZ).level
+}
+
+// Pointy-top hexes on a flat (equirectangular) plane in feet around `refLat`
+function toPlane(lat, lon, refLat) {
+  return {
+    x: lon * FEET_PER_DEGREE_LAT * Math.cos(refLat * Math.PI / 180),
+    y: lat * FEET_PER_DEGREE_LAT
+  }
+}
+
+function fromPlane(x, y, refLat) {
+  return {
+    lat: y / FEET_PER_DEGREE_LAT,
+    lon: x / (FEET_PER_DEGREE_LAT * Math.cos(refLat * Math.PI / 180))
+  }
+}
+
+// Axial coordinates { q, r } of the hex containing a point
+export function hexCoordinates(lat, lon, sizeFt, refLat) {
+  const { x, y } = toPlane(lat, lon, refLat)
+  const fq = (Math.sqrt(3) / 3 * x - y / 3) / sizeFt
+  const fr = (2 / 3 * y) / sizeFt
+
+  // Cube rounding
+  const fs = -fq - fr
+  let q = Math.round(fq)
+  let r = Math.round(fr)
+  const s = Math.round(fs)
+  const dq = Math.abs(q - fq)
+  const dr = Math.abs(r - fr)
+  const ds = Math.abs(s - fs)
+  if (dq > dr && dq > ds) q = -r - s
+  else if (dr > ds) r = -q - s
+
+  return { q, r }
+}
+
+export function hexCenter(q, r, sizeFt, refLat) {
+  const x = sizeFt * Math.sqrt(3) * (q + r / 2)
+  const y = sizeFt * 1.5 * r
+  return fromPlane(x, y, refLat)
+}
+
+// Corner [lat, lon] pairs of a hex, ready for L.polygon
+export function hexCorners(q, r, sizeFt, refLat) {
+  const centerX = sizeFt * Math.sqrt(3) * (q + r / 2)
+  const centerY = sizeFt * 1.5 * r
+  const corners = []
+  for (let i = 0; i < 6; i++) {
+    const angle = Math.PI / 180 * (60 * i - 30)
+    const { lat, lon } = fromPlane(centerX + sizeFt * Math.cos(angle), centerY + sizeFt * Math.sin(angle), refLat)
+    corners.push([lat, lon])
+  }
+  return corners
+}
+
+const NEIGHBOR_OFFSETS = [[1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]]
+
+// Getis-Ord Gi* z-score of `value` for every cell, with binary weights over the cell itself
+// and its six neighbors. `cells` are { q, r, [value] }; returns z-scores in the same order.
+export function getisOrdGiStar(cells, value) {
+  const n = cells.length
+  if (n < 3) return cells.map(() => 0)
+
+  const byKey = new Map(cells.map((c, i) => [`${c.q},${c.r}`, i]))
+  const values = cells.map(c => c[value])
+  const mean = values.reduce((sum, v) => sum + v, 0) / n
+  const variance = values.reduce((sum, v) => sum + v * v, 0) / n - mean * mean
+  const sd = Math.sqrt(Math.max(variance, 0))
+  if (sd === 0) return cells.map(() => 0)
+
+  return cells.map((c, i) => {
+    let weightSum = 1
+    let weightedSum = values[i]
+    for (const [dq, dr] of NEIGHBOR_OFFSETS) {
+      const j = byKey.get(`${c.q + dq},${c.r + dr}`)
+      if (j === undefined) continue
+      weightSum++
+      weightedSum += values[j]
+    }
+    // Binary weights, so the sum of squared weights equals the sum of weights
+    const denominator = sd * Math.sqrt((n * weightSum - weightSum * weightSum) / (n - 1))
+    return denominator > 0 ? (weightedSum - mean * weightSum) / denominator : 0
+  })
+}
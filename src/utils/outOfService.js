@@ -0,0 +1,33 @@
+/**
+ * Helpers for the hydrant / station out-of-service simulation
+ */
+
+export function outOfServiceKey(feature) {
+  return `${feature.type}:${feature.id}`
+}
+
+const formatMinutes = (minutes) =>
+  minutes === null || minutes === undefined ? '' : Number.isFinite(minutes) ? minutes.toFixed(1) : 'unreachable'
+
+const formatDistance = (ft) => (Number.isFinite(ft) ? Math.round(ft) : '')
+
+// Columns for the affected-address export
+export const AFFECTED_ADDRESS_COLUMNS = [
+  { key: 'id', label: 'address_id' },
+  { key: 'address' },
+  { key: 'city' },
+  { key: 'zipCode', label: 'zip' },
+  { key: 'lat', label: 'latitude' },
+  { key: 'lon', label: 'longitude' },
+  { key: 'hydrantClassBefore', label: 'hydrant_class_before' },
+  { key: 'hydrantClassAfter', label: 'hydrant_class_after' },
+  { key: 'hydrantDistBefore', label: 'hydrant_distance_before_ft', value: (r) => formatDistance(r.hydrantDistBefore) },
+  { key: 'hydrantDistAfter', label: 'hydrant_distance_after_ft', value: (r) => formatDistance(r.hydrantDistAfter) },
+  { key: 'firstDueBefore', label: 'first_due_before' },
+  { key: 'firstDueAfter', label: 'first_due_after' },
+  { key: 'stationDistBefore', label: 'station_distance_before_ft', value: (r) => formatDistance(r.stationDistBefore) },
+  { key: 'stationDistAfter', label: 'station_distance_after_ft', value: (r) => formatDistance(r.stationDistAfter) },
+  { key: 'driveMinutesBefore', label: 'drive_minutes_before', value: (r) => formatMinutes(r.driveMinutesBefore) },
+  { key: 'driveMinutesAfter', label: 'drive_minutes_after', value: (r) => formatMinutes(r.driveMinutesAfter) },
+  { key: 'stationCoverageLost', label: 'station_coverage_lost', value: (r) => (r.stationCoverageLost ? 'yes' : 'no') }
+]
@@ -0,0 +1,130 @@
+/**
+ * Maximal-coverage hydrant placement (greedy MCLP) for underserved addresses
+ */
+
+import { haversineDistance } from './geometry.js'
+import { MinHeap } from './roadNetwork.js'
+import { parseCSVLine } from './csv.js'
+
+const FEET_PER_DEGREE_LAT = 364000
+
+// Bucket points into square cells of `cellFt` so radius queries only touch nearby cells
+function indexPoints(points, cellFt) {
+  const cellDeg = cellFt / FEET_PER_DEGREE_LAT
+  const cells = new Map()
+
+  points.forEach((p, i) => {
+    const key = `${Math.floor(p.lon / cellDeg)},${Math.floor(p.lat / cellDeg)}`
+    if (!cells.has(key)) cells.set(key, [])
+    cells.get(key).push(i)
+  })
+
+  return { cellDeg, cells }
+}
+
+// Indices of `points` within `radiusFt` of (lat, lon)
+function pointsWithin(index, points, lat, lon, radiusFt) {
+  const { cellDeg, cells } = index
+  const latCells = Math.ceil(radiusFt / FEET_PER_DEGREE_LAT / cellDeg)
+  // Degrees of longitude shrink with latitude, so the search box widens east-west
+  const lonCells = Math.ceil(latCells / Math.max(Math.cos(lat * Math.PI / 180), 0.01))
+  const cx = Math.floor(lon / cellDeg)
+  const cy = Math.floor(lat / cellDeg)
+  const found = []
+
+  for (let dx = -lonCells; dx <= lonCells; dx++) {
+    for (let dy = -latCells; dy <= latCells; dy++) {
+      const bucket = cells.get(`${cx + dx},${cy + dy}`)
+      if (!bucket) continue
+      for (const i of bucket) {
+        if (haversineDistance(lat, lon, points[i].lat, points[i].lon) <= radiusFt) found.push(i)
+      }
+    }
+  }
+  return found
+}
+
+// Candidate sites when the planner supplies none: the mean position of the demand points
+// in each `spacingFt` grid cell, so every cluster of underserved addresses gets a site
+export function buildCandidateSites(demand, spacingFt) {
+  const { cells } = indexPoints(demand, spacingFt)
+
+  return [...cells.values()].map(indices => ({
+    lat: indices.reduce((sum, i) => sum + demand[i].lat, 0) / indices.length,
+    lon: indices.reduce((sum, i) => sum + demand[i].lon, 0) / indices.length
+  }))
+}
+
+// Greedy maximal covering location: pick up to `budget` candidates, each time taking the
+// one that covers the most still-uncovered demand points within `radiusFt`. Gains only
+// shrink as points get covered, so stale heap entries are re-scored lazily when they
+// reach the top instead of re-scoring every candidate each round.
+export function greedyMaxCoverage(demand, candidates, radiusFt, budget) {
+  const index = indexPoints(demand, radiusFt)
+  const coverage = candidates.map(c => pointsWithin(index, demand, c.lat, c.lon, radiusFt))
+  const covered = new Uint8Array(demand.length)
+  const scoredRound = new Int32Array(candidates.length)
+
+  const heap = new MinHeap()
+  coverage.forEach((points, i) => {
+    if (points.length > 0) heap.push(i, -points.length)
+  })
+
+  const selections = []
+  let round = 0
+
+  while (selections.length < budget && heap.size > 0) {
+    const { node, cost } = heap.pop()
+
+    if (scoredRound[node] !== round) {
+      const gain = coverage[node].reduce((n, i) => n + (covered[i] ? 0 : 1), 0)
+      scoredRound[node] = round
+      if (gain > 0) heap.push(node, -gain)
+      continue
+    }
+
+    const gain = -cost
+    const newlyCovered = coverage[node].filter(i => !covered[i])
+    for (const i of newlyCovered) covered[i] = 1
+
+    selections.push({
+      candidateIndex: node,
+      lat: candidates[node].lat,
+      lon: candidates[node].lon,
+      gain,
+      covered: newlyCovered
+    })
+    round++
+  }
+
+  return selections
+}
+
+// Candidate sites from a user file: GeoJSON points, or CSV with lat/lon columns
+export function parseCandidateSites(text, fileName = '') {
+  let sites = []
+
+  if (/\.csv$/i.test(fileName)) {
+    const lines = text.split('\n').filter(line => line.trim())
+    const headers = parseCSVLine(lines[0] || '').map(h => h.toLowerCase())
+    const latIdx = headers.findIndex(h => ['lat', 'latitude', 'y'].includes(h))
+    const lonIdx = headers.findIndex(h => ['lon', 'lng', 'long', 'longitude', 'x'].includes(h))
+    if (latIdx === -1 || lonIdx === -1) {
+      throw new Error('CSV needs latitude and longitude columns')
+    }
+
+    sites = lines.slice(1).map(line => {
+      const values = parseCSVLine(line)
+      return { lat: parseFloat(values[latIdx]), lon: parseFloat(values[lonIdx]) }
+    })
+  } else {
+    const data = JSON.parse(text)
+    sites = (data.features || [])
+      .filter(f => f.geometry?.type === 'Point')
+      .map(f => ({ lat: f.geometry.coordinates[1], lon: f.geometry.coordinates[0] }))
+  }
+
+  sites = sites.filter(s => Number.isFinite(s.lat) && Number.isFinite(s.lon))
+  if (sites.length === 0) throw new Error('No candidate locations found in file')
+  return sites
+}
@@ -0,0 +1,254 @@
+/**
+ * Road network graph and drive-time helpers for station response areas
+ */
+
+import { haversineDistance } from './geometry.js'
+
+// Drive-time bands (minutes) drawn around each station, and travel speeds by road class.
+// The response target itself comes from the active standards profile.
+// Road class is read from the centerline properties (OSM `highway`, county `ROAD_CLASS`, etc.)
+// and matched against the keys below; an explicit speed limit on the feature wins.
+export const DEFAULT_ISOCHRONE_CONFIG = {
+  bandMinutes: [4, 6, 8],
+  offNetworkSpeedMph: 10, // Speed used to connect a station/address to its nearest road node
+  speedsMph: {
+    motorway: 55,
+    freeway: 55,
+    highway: 55,
+    trunk: 45,
+    primary: 40,
+    arterial: 40,
+    secondary: 35,
+    collector: 30,
+    tertiary: 30,
+    residential: 25,
+    local: 25,
+    unclassified: 25,
+    service: 15,
+    default: 25
+  }
+}
+
+// Band colors, from the fastest (innermost) to the slowest response band
+export const ISOCHRONE_COLORS = ['#22c55e', '#eab308', '#f97316', '#ef4444']
+
+const ROAD_CLASS_FIELDS = ['highway', 'ROAD_CLASS', 'road_class', 'CLASS', 'class', 'FUNC_CLASS', 'fclass', 'TYPE']
+const SPEED_FIELDS = ['SPEED_LIMIT', 'speed_limit', 'SPEED', 'speed', 'maxspeed', 'SPEEDLIMIT']
+
+const FEET_PER_MILE = 5280
+
+// Minutes needed to cover a distance in feet at a speed in mph
+export function travelMinutes(distanceFt, speedMph) {
+  return (distanceFt / FEET_PER_MILE) / speedMph * 60
+}
+
+export function resolveRoadSpeed(props, speedsMph) {
+  for (const field of SPEED_FIELDS) {
+    const speed = parseFloat(props[field])
+    if (speed > 0) return speed
+  }
+
+  for (const field of ROAD_CLASS_FIELDS) {
+    const value = props[field]
+    if (value === undefined || value === null || value === '') continue
+
+    const roadClass = String(value).toLowerCase()
+    if (speedsMph[roadClass]) return speedsMph[roadClass]
+
+    // Loose match for descriptive classes such as "Major Arterial" or "motorway_link"
+    const key = Object.keys(speedsMph).find(k => k !== 'default' && roadClass.includes(k))
+    if (key) return speedsMph[key]
+  }
+
+  return speedsMph.default
+}
+
+function isOneWay(props) {
+  const value = String(props.oneway ?? props.ONEWAY ?? props.one_way ?? '').toLowerCase()
+  return value === 'yes' || value === 'true' || value === '1' || value === 'ft'
+}
+
+// Build a routable graph from LineString/MultiLineString street centerlines.
+// Every vertex becomes a node; vertices that share a coordinate are joined so
+// connected streets share intersections. Edge cost is travel time in minutes.
+export function buildRoadGraph(features, config = DEFAULT_ISOCHRONE_CONFIG) {
+  const nodeIndex = new Map()
+  const nodes = []
+  const adjacency = []
+
+  const getNode = (coord) => {
+    const key = `${coord[0].toFixed(6)},${coord[1].toFixed(6)}`
+    let idx = nodeIndex.get(key)
+    if (idx === undefined) {
+      idx = nodes.length
+      nodeIndex.set(key, idx)
+      nodes.push({ lat: coord[1], lon: coord[0] })
+      adjacency.push([])
+    }
+    return idx
+  }
+
+  let edgeCount = 0
+
+  for (const feature of features) {
+    const geom = feature.geometry
+    if (!geom) continue
+
+    let lines
+    if (geom.type === 'LineString') {
+      lines = [geom.coordinates]
+    } else if (geom.type === 'MultiLineString') {
+      lines = geom.coordinates
+    } else {
+      continue
+    }
+
+    const props = feature.properties || {}
+    const speed = resolveRoadSpeed(props, config.speedsMph)
+    const oneWay = isOneWay(props)
+
+    for (const line of lines) {
+      for (let i = 0; i < line.length - 1; i++) {
+        const a = getNode(line[i])
+        const b = getNode(line[i + 1])
+        if (a === b) continue
+
+        const lengthFt = haversineDistance(nodes[a].lat, nodes[a].lon, nodes[b].lat, nodes[b].lon)
+        const cost = travelMinutes(lengthFt, speed)
+
+        adjacency[a].push({ to: b, cost })
+        if (!oneWay) adjacency[b].push({ to: a, cost })
+        edgeCount++
+      }
+    }
+  }
+
+  return { nodes, adjacency, edgeCount }
+}
+
+// Binary min-heap keyed by cost, used by the Dijkstra searches and the placement solver
+export class MinHeap {
+  constructor() {
+    this.items = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  push(node, cost) {
+    const items = this.items
+    items.push({ node, cost })
+    let i = items.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (items[parent].cost <= items[i].cost) break
+      ;[items[parent], items[i]] = [items[i], items[parent]]
+      i = parent
+    }
+  }
+
+  pop() {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+    if (items.length > 0) {
+      items[0] = last
+      let i = 0
+      for (;;) {
+        const left = i * 2 + 1
+        const right = left + 1
+        let smallest = i
+        if (left < items.length && items[left].cost < items[smallest].cost) smallest = left
+        if (right < items.length && items[right].cost < items[smallest].cost) smallest = right
+        if (smallest === i) break
+        ;[items[smallest], items[i]] = [items[i], items[smallest]]
+        i = smallest
+      }
+    }
+    return top
+  }
+}
+
+// Multi-source Dijkstra. `sources` is a list of { node, cost, label }; the result holds the
+// best travel time to every node and the label of the source that reached it first.
+// Search stops expanding past `maxCost` minutes.
+export function shortestTimes(graph, sources, maxCost = Infinity) {
+  const count = graph.nodes.length
+  const time = new Float64Array(count).fill(Infinity)
+  const label = new Int32Array(count).fill(-1)
+  const heap = new MinHeap()
+
+  for (const source of sources) {
+    if (source.cost < time[source.node]) {
+      time[source.node] = source.cost
+      label[source.node] = source.label
+      heap.push(source.node, source.cost)
+    }
+  }
+
+  while (heap.size > 0) {
+    const { node, cost } = heap.pop()
+    if (cost > time[node] || cost > maxCost) continue
+
+    for (const edge of graph.adjacency[node]) {
+      const next = cost + edge.cost
+      if (next < time[edge.to]) {
+        time[edge.to] = next
+        label[edge.to] = label[node]
+        heap.push(edge.to, next)
+      }
+    }
+  }
+
+  return { time, label }
+}
+
+// Split the reachable road network into drive-time bands. Each edge is clipped at the band
+// boundaries so partially reachable streets end where the time budget runs out. A two-way
+// street reached from both ends is split where the two arrivals meet, so every stretch of
+// road is drawn once in its fastest band. Returns one multi-polyline per band in [lat, lon].
+export function isochroneBands(graph, time, bandMinutes) {
+  const bands = bandMinutes.map(minutes => ({ minutes, lines: [] }))
+  const maxMinutes = bandMinutes[bandMinutes.length - 1]
+  const nodes = graph.nodes
+
+  const lerp = (a, b, t) => [
+    nodes[a].lat + (nodes[b].lat - nodes[a].lat) * t,
+    nodes[a].lon + (nodes[b].lon - nodes[a].lon) * t
+  ]
+
+  for (let a = 0; a < nodes.length; a++) {
+    const startTime = time[a]
+    if (startTime > maxMinutes) continue
+
+    for (const edge of graph.adjacency[a]) {
+      const b = edge.to
+      if (edge.cost <= 0) continue
+
+      // Fraction of the edge that is reached fastest from this end
+      const twoWay = graph.adjacency[b].some(e => e.to === a)
+      const meet = twoWay && time[b] < Infinity
+        ? Math.min(1, Math.max(0, (time[b] - startTime + edge.cost) / (2 * edge.cost)))
+        : 1
+      if (meet === 0) continue
+
+      const endTime = startTime + meet * edge.cost
+      let from = startTime
+
+      for (const band of bands) {
+        if (from >= band.minutes) continue
+        if (endTime <= from) break
+
+        const to = Math.min(endTime, band.minutes)
+        band.lines.push([
+          lerp(a, b, (from - startTime) / edge.cost),
+          lerp(a, b, (to - startTime) / edge.cost)
+        ])
+        from = to
+      }
+    }
+  }
+
+  return bands
+}
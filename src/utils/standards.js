@@ -0,0 +1,103 @@
+/**
+ * Coverage standards profiles: hydrant distance thresholds, station response
+ * targets and the grade cutoffs used across the worker, map, sidebar and charts
+ */
+
+// Hydrant distances are in feet, station response is a drive time (used with a street
+// network) and a straight-line radius (used without one). Grade cutoffs are the minimum
+// % of addresses within the optimal hydrant distance for each letter grade.
+export const STANDARDS_PRESETS = [
+  {
+    id: 'default',
+    name: 'County Baseline',
+    description: 'Original analysis thresholds: 500 ft optimal, 1,000 ft acceptable, 1-mile station radius.',
+    hydrant: { optimalFt: 500, acceptableFt: 1000 },
+    station: { responseMinutes: 4, responseMiles: 1 },
+    grades: { A: 90, B: 80, C: 70, D: 60 }
+  },
+  {
+    id: 'nfpa1710',
+    name: 'NFPA 1710',
+    description: '240-second travel time for the first-due engine, with hydrant supply within 500 ft / 1,000 ft.',
+    hydrant: { optimalFt: 500, acceptableFt: 1000 },
+    station: { responseMinutes: 4, responseMiles: 1.5 },
+    grades: { A: 90, B: 80, C: 70, D: 60 }
+  },
+  {
+    id: 'iso-ppc',
+    name: 'ISO PPC',
+    description: 'ISO Public Protection Classification: hydrants credited within 1,000 ft, engine company within 1.5 road miles.',
+    hydrant: { optimalFt: 1000, acceptableFt: 1000 },
+    station: { responseMinutes: 5, responseMiles: 1.5 },
+    grades: { A: 95, B: 85, C: 75, D: 65 }
+  },
+  {
+    id: 'local',
+    name: 'Local Ordinance',
+    description: 'Local fire code hydrant spacing: 400 ft optimal, 600 ft maximum from any address.',
+    hydrant: { optimalFt: 400, acceptableFt: 600 },
+    station: { responseMinutes: 5, responseMiles: 1 },
+    grades: { A: 90, B: 80, C: 70, D: 60 }
+  }
+]
+
+export const DEFAULT_STANDARDS = STANDARDS_PRESETS[0]
+
+export const CUSTOM_STANDARDS_ID = 'custom'
+
+export const GRADE_LEVELS = [
+  { grade: 'A', color: '#22c55e', label: 'Excellent' },
+  { grade: 'B', color: '#84cc16', label: 'Good' },
+  { grade: 'C', color: '#eab308', label: 'Moderate' },
+  { grade: 'D', color: '#f97316', label: 'Below Average' }
+]
+
+export const FAILING_GRADE = { grade: 'F', color: '#ef4444', label: 'Needs Improvement' }
+
+const FEET_PER_MILE = 5280
+
+// Letter grade for a % of addresses within the optimal hydrant distance
+export function getCoverageGrade(pct, standards) {
+  for (const level of GRADE_LEVELS) {
+    if (pct >= standards.grades[level.grade]) return level
+  }
+  return FAILING_GRADE
+}
+
+// "500 ft", "1,000 ft", "1 mile", "1.5 miles"
+export function formatFeet(ft) {
+  if (ft >= FEET_PER_MILE && (ft / FEET_PER_MILE * 4) % 1 === 0) {
+    const miles = ft / FEET_PER_MILE
+    return `${miles} ${miles === 1 ? 'mile' : 'miles'}`
+  }
+  return `${Math.round(ft).toLocaleString()} ft`
+}
+
+export function formatMiles(miles) {
+  return `${miles} ${miles === 1 ? 'mile' : 'miles'}`
+}
+
+// Clamp a custom profile into a usable shape (acceptable never tighter than optimal,
+// grade cutoffs descending)
+export function normalizeStandards(profile) {
+  const optimalFt = Math.max(1, Number(profile.hydrant.optimalFt) || DEFAULT_STANDARDS.hydrant.optimalFt)
+  const acceptableFt = Math.max(optimalFt, Number(profile.hydrant.acceptableFt) || optimalFt)
+
+  let previous = 100
+  const grades = {}
+  for (const level of GRADE_LEVELS) {
+    const cutoff = Math.min(previous, Math.max(0, Number(profile.grades[level.grade]) || 0))
+    grades[level.grade] = cutoff
+    previous = cutoff
+  }
+
+  return {
+    ...profile,
+    hydrant: { optimalFt, acceptableFt },
+    station: {
+      responseMinutes: Math.max(0.5, Number(profile.station.responseMinutes) || DEFAULT_STANDARDS.station.responseMinutes),
+      responseMiles: Math.max(0.1, Number(profile.station.responseMiles) || DEFAULT_STANDARDS.station.responseMiles)
+    },
+    grades
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Station hydrant-coverage ratings and the per-station / per-agency tables of
+ * station_coverage.csv, agency_stats.csv and coverage_analysis.geojson
+ */
+
+export const QUARTER_MILE_FT = 1320
+
+// A station is rated by the distance to its nearest hydrant: under `maxFt` earns the rating
+export const STATION_COVERAGE_RATINGS = [
+  { key: 'Excellent', label: 'Excellent', color: '#22c55e', dashArray: null, maxFt: 200 },
+  { key: 'Good', label: 'Good', color: '#f97316', dashArray: null, maxFt: 500 },
+  { key: 'Needs Attention', label: 'Needs Attention', color: '#ef4444', dashArray: '6 4', maxFt: Infinity }
+]
+
+export function getStationRating(rating) {
+  return STATION_COVERAGE_RATINGS.find(r => r.key === rating) || null
+}
+
+export function rateStationCoverage(nearestHydrantFt) {
+  const ft = nearestHydrantFt ?? Infinity
+  return STATION_COVERAGE_RATINGS.find(r => ft < r.maxFt)?.key || 'Needs Attention'
+}
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null)
+
+// Per-agency aggregates of station rows, best average nearest-hydrant distance first
+export function summarizeAgencies(stationRows) {
+  const byAgency = {}
+  for (const row of stationRows) {
+    if (!byAgency[row.agency]) byAgency[row.agency] = []
+    byAgency[row.agency].push(row)
+  }
+
+  return Object.entries(byAgency).map(([agency, rows]) => ({
+    agency,
+    stationCount: rows.length,
+    avgNearestDistance: mean(rows.filter(r => r.nearestHydrantFt !== null).map(r => r.nearestHydrantFt)),
+    avgHydrantsWithin500: mean(rows.map(r => r.hydrantsWithin500)),
+    avgHydrantsWithin1000: mean(rows.map(r => r.hydrantsWithin1000)),
+    avgHydrantsWithinQuarterMile: mean(rows.map(r => r.hydrantsWithinQuarterMile)),
+    stationsExcellent: rows.filter(r => r.coverageRating === 'Excellent').length,
+    stationsGood: rows.filter(r => r.coverageRating === 'Good').length,
+    stationsNeedsAttention: rows.filter(r => r.coverageRating === 'Needs Attention').length
+  })).sort((a, b) => (a.avgNearestDistance ?? Infinity) - (b.avgNearestDistance ?? Infinity))
+}
+
+// Station-to-nearest-hydrant lines, the shape the link layer reads
+export function stationLinksFromCoverage(stationRows) {
+  return stationRows
+    .filter(row => row.nearestHydrant)
+    .map((row, i) => ({
+      id: i,
+      stationName: row.stationName,
+      agency: row.agency,
+      distanceFt: row.nearestHydrantFt,
+      rating: row.coverageRating,
+      color: getStationRating(row.coverageRating).color,
+      hydrantsWithin500: row.hydrantsWithin500,
+      hydrantsWithin1000: row.hydrantsWithin1000,
+      latLngs: [[row.latitude, row.longitude], [row.nearestHydrant.lat, row.nearestHydrant.lon]]
+    }))
+}
+
+const fixed = (digits) => (value) => (value === null || value === undefined ? '' : value.toFixed(digits))
+
+// Export columns matching the offline analysis CSVs
+export const STATION_COVERAGE_COLUMNS = [
+  { key: 'stationName', label: 'station_name' },
+  { key: 'agency', label: 'agency' },
+  { key: 'latitude', label: 'latitude', value: row => fixed(6)(row.latitude) },
+  { key: 'longitude', label: 'longitude', value: row => fixed(6)(row.longitude) },
+  { key: 'nearestHydrantFt', label: 'nearest_hydrant_ft', value: row => fixed(1)(row.nearestHydrantFt) },
+  { key: 'nearestHydrantMiles', label: 'nearest_hydrant_miles', value: row => fixed(3)(row.nearestHydrantFt === null ? null : row.nearestHydrantFt / 5280) },
+  { key: 'hydrantsWithin500', label: 'hydrants_within_500ft' },
+  { key: 'hydrantsWithin1000', label: 'hydrants_within_1000ft' },
+  { key: 'hydrantsWithinQuarterMile', label: 'hydrants_within_quarter_mile' },
+  { key: 'avgDistance10Nearest', label: 'avg_distance_10_nearest_ft', value: row => fixed(1)(row.avgDistance10Nearest) },
+  { key: 'coverageRating', label: 'coverage_rating' }
+]
+
+export const AGENCY_STATS_COLUMNS = [
+  { key: 'agency', label: 'agency' },
+  { key: 'stationCount', label: 'station_count' },
+  { key: 'avgNearestDistance', label: 'avg_nearest_distance_ft', value: row => fixed(1)(row.avgNearestDistance) },
+  { key: 'avgHydrantsWithin500', label: 'avg_hydrants_within_500ft', value: row => fixed(1)(row.avgHydrantsWithin500) },
+  { key: 'avgHydrantsWithin1000', label: 'avg_hydrants_within_1000ft', value: row => fixed(1)(row.avgHydrantsWithin1000) },
+  { key: 'avgHydrantsWithinQuarterMile', label: 'avg_hydrants_within_quarter_mile', value: row => fixed(1)(row.avgHydrantsWithinQuarterMile) },
+  { key: 'stationsExcellent', label: 'stations_excellent' },
+  { key: 'stationsGood', label: 'stations_good' },
+  { key: 'stationsNeedsAttention', label: 'stations_needs_attention' }
+]
@@ -0,0 +1,14 @@
+/**
+ * Station overlap classes: how many stations reach an address within the response standard
+ */
+
+export const STATION_OVERLAP_CLASSES = [
+  { key: 'multi', label: '2+ stations in range', color: '#22c55e' },
+  { key: 'single', label: 'Single station only', color: '#f97316' },
+  { key: 'none', label: 'No station in range', color: '#ef4444' }
+]
+
+// Class holding the most addresses in an overlap grid cell ({ none, single, multi } counts)
+export function dominantOverlapClass(cell) {
+  return STATION_OVERLAP_CLASSES.reduce((best, c) => (cell[c.key] > cell[best.key] ? c : best))
+}
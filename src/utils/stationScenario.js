@@ -0,0 +1,17 @@
+/**
+ * Helpers for what-if (proposed) station scenarios
+ */
+
+// dataTransfer type for dragging a new proposed station onto the map
+export const PROPOSED_STATION_DRAG_TYPE = 'application/x-proposed-station'
+
+// Station coverage before/after a scenario as percentages and the change between them
+export function coverageDelta(before, after, total) {
+  const pctBefore = total > 0 ? before / total * 100 : 0
+  const pctAfter = total > 0 ? after / total * 100 : 0
+  return { pctBefore, pctAfter, points: pctAfter - pctBefore, addresses: after - before }
+}
+
+export function formatPointDelta(points) {
+  return `${points >= 0 ? '+' : '−'}${Math.abs(points).toFixed(1)} pts`
+}
@@ -0,0 +1,114 @@
+/**
+ * Custom study areas drawn on the map. A shape is kept in Leaflet [lat, lon] order:
+ * { type: 'polygon', latlngs }, { type: 'rectangle', bounds: [[south, west], [north, east]] }
+ * or { type: 'circle', center, radiusFt }. Analysis runs on the GeoJSON polygon of the shape.
+ */
+
+import { haversineDistance } from './geometry.js'
+
+export const STUDY_AREA_SHAPES = [
+  { id: 'polygon', label: 'Polygon', symbol: '⬠', hint: 'Click to add corners; click the first corner, double-click or press Enter to finish' },
+  { id: 'rectangle', label: 'Rectangle', symbol: '▭', hint: 'Click two opposite corners' },
+  { id: 'circle', label: 'Circle', symbol: '◯', hint: 'Click the center, then a point on the edge' }
+]
+
+export const STUDY_AREA_COLOR = '#f472b6'
+
+// Sides of the polygon a circle is analyzed as
+const CIRCLE_SEGMENTS = 64
+const FEET_PER_DEGREE_LAT = 364000
+
+export function getStudyAreaShape(id) {
+  return STUDY_AREA_SHAPES.find(s => s.id === id)
+}
+
+// Bounds spanned by two opposite corners, whichever two were given
+export function boundsFromCorners([lat1, lon1], [lat2, lon2]) {
+  return [[Math.min(lat1, lat2), Math.min(lon1, lon2)], [Math.max(lat1, lat2), Math.max(lon1, lon2)]]
+}
+
+function rectangleCorners([[south, west], [north, east]]) {
+  return [[south, west], [south, east], [north, east], [north, west]]
+}
+
+function circleEdgePoint({ center: [lat, lon], radiusFt }) {
+  return [lat, lon + radiusFt / (FEET_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180))]
+}
+
+// Points the user can drag to reshape an area: polygon corners, rectangle corners, or a
+// circle's center and a point on its edge
+export function studyAreaHandles(shape) {
+  if (shape.type === 'rectangle') return rectangleCorners(shape.bounds)
+  if (shape.type === 'circle') return [shape.center, circleEdgePoint(shape)]
+  return shape.latlngs
+}
+
+// The shape after handle `index` (see studyAreaHandles) is dragged to `latlng`
+export function moveStudyAreaHandle(shape, index, latlng) {
+  if (shape.type === 'rectangle') {
+    const opposite = rectangleCorners(shape.bounds)[(index + 2) % 4]
+    return { ...shape, bounds: boundsFromCorners(latlng, opposite) }
+  }
+  if (shape.type === 'circle') {
+    return index === 0
+      ? { ...shape, center: latlng }
+      : { ...shape, radiusFt: haversineDistance(shape.center[0], shape.center[1], latlng[0], latlng[1]) }
+  }
+  return { ...shape, latlngs: shape.latlngs.map((p, i) => (i === index ? latlng : p)) }
+}
+
+// Closed GeoJSON ring ([lon, lat]) of a shape
+function studyAreaRing(shape) {
+  let latlngs = shape.latlngs
+  if (shape.type === 'rectangle') latlngs = rectangleCorners(shape.bounds)
+  if (shape.type === 'circle') {
+    const [lat, lon] = shape.center
+    const dLat = shape.radiusFt / FEET_PER_DEGREE_LAT
+    const dLon = dLat / Math.cos(lat * Math.PI / 180)
+    latlngs = Array.from({ length: CIRCLE_SEGMENTS }, (_, i) => {
+      const angle = (i / CIRCLE_SEGMENTS) * 2 * Math.PI
+      return [lat + dLat * Math.sin(angle), lon + dLon * Math.cos(angle)]
+    })
+  }
+  const ring = latlngs.map(([lat, lon]) => [lon, lat])
+  return [...ring, ring[0]]
+}
+
+// GeoJSON Feature of a study area, as the worker's area analysis takes it
+export function studyAreaFeature(area) {
+  return {
+    type: 'Feature',
+    properties: { name: area.name },
+    geometry: { type: 'Polygon', coordinates: [studyAreaRing(area.shape)] }
+  }
+}
+
+// One-line description, e.g. "Polygon · 7 corners" or "Circle · 1,200 ft radius"
+export function describeStudyAreaShape(shape) {
+  if (shape.type === 'circle') return `Circle · ${Math.round(shape.radiusFt).toLocaleString()} ft radius`
+  if (shape.type === 'rectangle') return 'Rectangle'
+  return `Polygon · ${shape.latlngs.length} corners`
+}
+
+// A new area named after the next free "Study area N"
+export function createStudyArea(shape, existing) {
+  const taken = new Set(existing.map(a => a.name))
+  let n = existing.length + 1
+  while (taken.has(`Study area ${n}`)) n++
+  return {
+    id: `area-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: `Study area ${n}`,
+    shape,
+    createdAt: new Date().toISOString()
+  }
+}
+
+// Stored areas are kept only if their shape is complete
+export function isValidStudyArea(area) {
+  const shape = area?.shape
+  if (!area?.id || !shape) return false
+  if (shape.type === 'polygon') return Array.isArray(shape.latlngs) && shape.latlngs.length >= 3
+  if (shape.type === 'rectangle') return Array.isArray(shape.bounds) && shape.bounds.length === 2
+  if (shape.type === 'circle') return Array.isArray(shape.center) && shape.radiusFt > 0
+  return false
+}
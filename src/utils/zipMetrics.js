@@ -0,0 +1,75 @@
+import * as d3 from 'd3'
+import { formatFeet } from './standards'
+
+// Metrics a ZIP choropleth can be colored by. `value` reads the worker's ZIP stats;
+// `higherIsBetter` picks the color ramp direction (null = neutral ramp).
+export const ZIP_METRICS = [
+  {
+    key: 'coverageOptimal',
+    label: (standards) => `% within ${formatFeet(standards.hydrant.optimalFt)}`,
+    value: (stats) => parseFloat(stats.coveragePercentOptimal),
+    format: (v) => `${v.toFixed(1)}%`,
+    higherIsBetter: true
+  },
+  {
+    key: 'twoHydrants',
+    label: (standards) => `% with 2+ hydrants within ${formatFeet(standards.hydrant.acceptableFt)}`,
+    value: (stats) => parseFloat(stats.pctTwoHydrantsAcceptable),
+    format: (v) => `${v.toFixed(1)}%`,
+    higherIsBetter: true
+  },
+  {
+    key: 'stationCoverage',
+    label: () => 'Station coverage %',
+    value: (stats) => parseFloat(stats.stationCoveragePercent),
+    format: (v) => `${v.toFixed(1)}%`,
+    higherIsBetter: true
+  },
+  {
+    key: 'singleStation',
+    label: () => 'Single-station %',
+    value: (stats) => parseFloat(stats.pctSingleStation),
+    format: (v) => `${v.toFixed(1)}%`,
+    higherIsBetter: false
+  },
+  {
+    key: 'underserved',
+    label: () => 'Underserved addresses',
+    value: (stats) => stats.addressesUnderserved,
+    format: (v) => Math.round(v).toLocaleString(),
+    higherIsBetter: false
+  },
+  {
+    key: 'addressDensity',
+    label: () => 'Addresses per sq mi',
+    value: (stats) => stats.addressDensity,
+    format: (v) => Math.round(v).toLocaleString(),
+    higherIsBetter: null
+  }
+]
+
+export const NO_DATA_COLOR = '#52525b'
+
+export function getZipMetric(key) {
+  return ZIP_METRICS.find(m => m.key === key) || ZIP_METRICS[0]
+}
+
+// Metric value for a ZIP, or null when the ZIP has no addresses to measure
+export function zipMetricValue(metric, stats) {
+  if (!stats || stats.addressCount === 0) return null
+  const value = metric.value(stats)
+  return Number.isFinite(value) ? value : null
+}
+
+// Sequential color scale over the metric's range across all ZIPs
+export function buildMetricScale(metric, values) {
+  const defined = values.filter(v => v !== null)
+  const [min, max] = defined.length > 0 ? d3.extent(defined) : [0, 1]
+
+  let interpolator = d3.interpolatePurples
+  if (metric.higherIsBetter === true) interpolator = d3.interpolateRdYlGn
+  if (metric.higherIsBetter === false) interpolator = (t) => d3.interpolateRdYlGn(1 - t)
+
+  const scale = d3.scaleSequential(interpolator).domain([min, max === min ? min + 1 : max])
+  return { scale, min, max }
+}
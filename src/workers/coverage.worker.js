@@ -2,6 +2,32 @@
  * Web Worker for Fire Infrastructure Coverage Analysis
  */
 
+import {
+  DEFAULT_ISOCHRONE_CONFIG,
+  buildRoadGraph,
+  shortestTimes,
+  isochroneBands,
+  travelMinutes
+} from '../utils/roadNetwork.js'
+import { DEFAULT_STANDARDS } from '../utils/standards.js'
+import {
+  haversineDistance,
+  prepareGeometry,
+  pointInPolygon,
+  geodesicArea,
+  getBBox
+} from '../utils/geometry.js'
+import { buildCandidateSites, greedyMaxCoverage } from '../utils/placement.js'
+import { DEFAULT_FLOW_FILTER, meetsFlowFilter } from '../utils/fireFlow.js'
+import { DEFAULT_GAP_ZONE_CONFIG, dbscan, concaveHull } from '../utils/gapZones.js'
+import { HEX_RESOLUTIONS, hexCoordinates, hexCenter, getisOrdGiStar, hotspotLevel } from '../utils/hexbin.js'
+import { QUARTER_MILE_FT, rateStationCoverage, summarizeAgencies } from '../utils/stationCoverage.js'
+import { DEFAULT_CONFLATION_CONFIG, conflateHydrants } from '../utils/conflation.js'
+import { QA_CHECKS, QA_RECORD_LIMIT, ringProblems } from '../utils/dataQA.js'
+import { csvHeader, csvRows } from '../utils/csv.js'
+import { EXPORT_CHUNK_SIZE, ADDRESS_EXPORT_COLUMNS, ZIP_STATS_EXPORT_COLUMNS, toExportFeature } from '../utils/exportResults.js'
+import { normalizeSearchText, parseCoordinates, buildSearchIndex, searchIndex } from '../utils/addressSearch.js'
+
 // Grid-based spatial index for fast nearest neighbor queries
 class SpatialGrid {
   constructor(cellSizeDegrees = 0.005) {
@@ -32,6 +58,18 @@ class SpatialGrid {
     this.grid.get(cell).push(point)
   }
 
+  // Remove the point(s) stored at (lat, lon) that match `predicate`
+  remove(lat, lon, predicate) {
+    const cell = this.getCell(lat, lon)
+    const points = this.grid.get(cell)
+    if (points) {
+      const kept = points.filter(p => !predicate(p))
+      if (kept.length > 0) this.grid.set(cell, kept)
+      else this.grid.delete(cell)
+    }
+    this.allPoints = this.allPoints.filter(p => !predicate(p))
+  }
+
   getNearbyPoints(lat, lon, radiusCells = 2) {
     const centerCellX = Math.floor(lon / this.cellSize)
     const centerCellY = Math.floor(lat / this.cellSize)
@@ -49,155 +87,289 @@ class SpatialGrid {
     return nearby
   }
 
-  findNearest(lat, lon) {
-    for (let radius = 1; radius <= 20; radius++) {
-      const candidates = this.getNearbyPoints(lat, lon, radius)
-      if (candidates.length > 0) {
-        let bestDist = Infinity
-        let bestPoint = null
-
-        for (const point of candidates) {
-          const dist = haversineDistance(lat, lon, point.lat, point.lon)
-          if (dist < bestDist) {
-            bestDist = dist
-            bestPoint = point
-          }
-        }
-
-        return { point: bestPoint, distance: bestDist }
-      }
-    }
-    return { point: null, distance: Infinity }
+  // Narrowest side of a cell in feet (longitude shrinks with latitude). A search `radius`
+  // cells out is guaranteed to hold every point within radius × cellFeet.
+  cellFeet(lat) {
+    return this.cellSize * 364000 * Math.cos(lat * Math.PI / 180)
   }
-}
-
-function haversineDistance(lat1, lon1, lat2, lon2) {
-  const R = 20902231 // Earth's radius in feet
-  const dLat = (lat2 - lat1) * Math.PI / 180
-  const dLon = (lon2 - lon1) * Math.PI / 180
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2)
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-  return R * c
-}
-
-function pointInPolygon(lat, lon, polygon) {
-  const geomType = polygon.geometry.type
-  let rings
 
-  if (geomType === 'Polygon') {
-    rings = [polygon.geometry.coordinates[0]]
-  } else if (geomType === 'MultiPolygon') {
-    rings = polygon.geometry.coordinates.map(p => p[0])
-  } else {
-    return false
+  // `accept` optionally filters which points may be returned (e.g. skip out-of-service assets)
+  findNearest(lat, lon, accept = null) {
+    const [nearest] = this.findKNearest(lat, lon, 1, accept)
+    return nearest || { point: null, distance: Infinity }
   }
 
-  for (const coords of rings) {
-    let inside = false
-    for (let i = 0, j = coords.length - 1; i < coords.length; j = i++) {
-      const xi = coords[i][0], yi = coords[i][1]
-      const xj = coords[j][0], yj = coords[j][1]
-
-      if (((yi > lat) !== (yj > lat)) &&
-          (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
-        inside = !inside
+  // The `k` nearest points, closest first. Rings of cells are added until the k-th point is
+  // closer than anything outside the searched cells could be (fewer only when the search
+  // runs out of rings).
+  findKNearest(lat, lon, k, accept = null) {
+    const cellFt = this.cellFeet(lat)
+    let found = []
+    for (let radius = 1; radius <= 20; radius++) {
+      found = []
+      for (const point of this.getNearbyPoints(lat, lon, radius)) {
+        if (accept && !accept(point)) continue
+        found.push({ point, distance: haversineDistance(lat, lon, point.lat, point.lon) })
+      }
+      if (found.length >= k) {
+        found.sort((a, b) => a.distance - b.distance)
+        if (found[k - 1].distance <= radius * cellFt) break
       }
     }
-    if (inside) return true
+    return found.sort((a, b) => a.distance - b.distance).slice(0, k)
   }
-  return false
-}
 
-// Calculate approximate area of a polygon in square miles
-function calculatePolygonArea(polygon) {
-  const geomType = polygon.geometry.type
-  let coords
+  // Every point within `radiusFt` (feet) of (lat, lon), closest first
+  findWithin(lat, lon, radiusFt) {
+    const cellFt = this.cellFeet(lat)
+    const found = []
 
-  if (geomType === 'Polygon') {
-    coords = polygon.geometry.coordinates[0]
-  } else if (geomType === 'MultiPolygon') {
-    // Sum areas of all polygons
-    let totalArea = 0
-    for (const poly of polygon.geometry.coordinates) {
-      totalArea += calculateRingArea(poly[0])
+    for (const point of this.getNearbyPoints(lat, lon, Math.ceil(radiusFt / cellFt))) {
+      const distance = haversineDistance(lat, lon, point.lat, point.lon)
+      if (distance <= radiusFt) found.push({ point, distance })
     }
-    return totalArea
-  } else {
-    return 0
+    return found.sort((a, b) => a.distance - b.distance)
   }
 
-  return calculateRingArea(coords)
-}
-
-function calculateRingArea(coords) {
-  // Shoelace formula for polygon area, approximating lat/lon to miles
-  // 1 degree lat ≈ 69 miles, 1 degree lon varies by latitude
-  const avgLat = coords.reduce((sum, c) => sum + c[1], 0) / coords.length
-  const lonToMiles = 69 * Math.cos(avgLat * Math.PI / 180)
-  const latToMiles = 69
+  // Number of points within each of `radiiFt` (feet) of (lat, lon)
+  countWithin(lat, lon, radiiFt) {
+    const maxFt = Math.max(...radiiFt)
+    const cellFt = this.cellFeet(lat)
+    const counts = radiiFt.map(() => 0)
 
-  let area = 0
-  for (let i = 0; i < coords.length - 1; i++) {
-    const x1 = coords[i][0] * lonToMiles
-    const y1 = coords[i][1] * latToMiles
-    const x2 = coords[i + 1][0] * lonToMiles
-    const y2 = coords[i + 1][1] * latToMiles
-    area += x1 * y2 - x2 * y1
+    for (const point of this.getNearbyPoints(lat, lon, Math.ceil(maxFt / cellFt))) {
+      const dist = haversineDistance(lat, lon, point.lat, point.lon)
+      if (dist > maxFt) continue
+      radiiFt.forEach((r, i) => {
+        if (dist <= r) counts[i]++
+      })
+    }
+    return counts
   }
-
-  return Math.abs(area / 2)
 }
 
 // Global state
+// hydrantGrid holds only hydrants that meet the minimum fire-flow filter; allHydrantGrid holds
+// every hydrant so coverage can be compared with low-flow hydrants excluded
 let hydrantGrid = new SpatialGrid(0.005)
+let allHydrantGrid = new SpatialGrid(0.005)
+let hydrantFlowFilter = DEFAULT_FLOW_FILTER
 let stationGrid = new SpatialGrid(0.01) // Larger cells for stations
 let addressesWithDistances = []
-let hydrantsList = []
+let addressGrid = new SpatialGrid(0.005) // address indices, for the addresses near a what-if station
+let addressesByRoadNode = new Map() // road node -> indices of the addresses snapped to it
+let countyTotals = null // area totals over every address, as last posted in the summary
+let hydrantsList = [] // conflated: low-confidence detections dropped, repeat detections merged
+let rawHydrants = [] // as loaded
+let hydrantConflation = DEFAULT_CONFLATION_CONFIG
+let hydrantSetVersion = null // echoed with the cleaned set so the UI can match it to its input
 let stationsList = []
 
+// Road network state (null until street centerlines are loaded)
+let roadGraph = null
+let roadNodeGrid = new SpatialGrid(0.002)
+let isochroneConfig = DEFAULT_ISOCHRONE_CONFIG
+let stationAccess = null // { time, label } from a multi-source search over all stations
+let stationReach = null // per road node: [{ label, time }] for every station reaching it, fastest first
+let stationReachMinutes = null // search limit stationReach was computed with
+
+// What-if stations. They live in stationGrid alongside the loaded stations; addresses they
+// change keep their real-station assignment in `stationBaseline` so deltas can be reported.
+let proposedStations = [] // [{ id, name, lat, lon, proposed: true }]
+let proposedAccess = new Map() // proposed station id -> drive times from it (road network only)
+let proposedStationAddresses = new Map() // proposed station id -> indices of addresses it can change
+let untalliedAddresses = new Set() // taken out of the totals by a what-if change, until re-assessed
+
+// ZIP membership index: every address, hydrant and station is assigned to its ZIP once,
+// and per-ZIP totals are kept so ZIP stats never rescan the full datasets
+let zipShapes = [] // [{ id, zipCode, shape, areaSqMiles }]
+let zipIndexById = new Map()
+let zipCellIndex = new Map() // grid cell -> indices of ZIPs whose bbox overlaps the cell
+let hydrantZip = new Int32Array(0)
+let stationZip = new Int32Array(0)
+let addressZip = new Int32Array(0)
+let addressSetVersion = null // bumped by the UI for every loaded address file
+let addressZipVersion = null // address set version addressZip was computed for
+let zipAggregates = null
+const ZIP_CELL_SIZE = 0.02
+
+// Hexbin gap surfaces by resolution id; cleared whenever address coverage changes
+let hexbinCache = new Map()
+
+// Address search index, built on the first search after addresses are (re)computed
+let addressSearchIndex = null
+const SEARCH_RESULT_LIMIT = 8
+
+// Nearest hydrants listed by a point query
+const POINT_QUERY_HYDRANTS = 3
+
+// Active coverage standards profile (hydrant thresholds, station response targets)
+let standards = DEFAULT_STANDARDS
+
 // Message handler
+// Messages sent with a `requestId` are queries; their reply echoes the id so the
+// caller can match it to the right callback
 self.onmessage = function(e) {
-  const { type, data } = e.data
+  const { type, data, requestId } = e.data
 
   switch (type) {
     case 'buildHydrantIndex':
-      buildHydrantIndex(data.hydrants)
+      buildHydrantIndex(data.hydrants, data.version)
+      break
+
+    case 'setHydrantConflation':
+      setHydrantConflation(data.config)
       break
 
     case 'setStations':
       setStations(data.stations)
       break
 
+    case 'buildRoadNetwork':
+      buildRoadNetwork(data.features, data.config)
+      break
+
+    case 'setStandards':
+      setStandards(data.standards)
+      break
+
+    case 'setHydrantFlowFilter':
+      setHydrantFlowFilter(data.filter)
+      break
+
     case 'precomputeAddressDistances':
-      precomputeAddressDistances(data.addresses)
+      precomputeAddressDistances(data.addresses, data.version)
+      break
+
+    case 'setZipCodes':
+      setZipCodes(data.zipcodes)
       break
 
     case 'analyzeZipCode':
-      analyzeZipCode(data.zipCodeFeature)
+      analyzeZipCode(data.zipCodeFeature, data.zipId, requestId)
+      break
+
+    case 'analyzeAllZips':
+      analyzeAllZips(requestId)
+      break
+
+    case 'analyzeAgency':
+      analyzeAgency(data.agency, requestId)
+      break
+
+    case 'analyzeStation':
+      analyzeStation(data.stationId, requestId)
+      break
+
+    case 'computeStationCoverage':
+      computeStationCoverage(requestId)
+      break
+
+    case 'runDataQA':
+      runDataQA(data.boundary, requestId)
+      break
+
+    case 'exportResults':
+      exportResults(data, requestId)
+      break
+
+    case 'zipReportData':
+      zipReportData(data.zipId, requestId)
+      break
+
+    case 'search':
+      searchLocations(data.query, requestId)
+      break
+
+    case 'queryPoint':
+      queryPoint(data.lat, data.lon, requestId)
+      break
+
+    case 'hexbinSurface':
+      hexbinSurface(data.resolution, requestId)
+      break
+
+    case 'findGapZones':
+      findGapZones(data, requestId)
+      break
+
+    case 'stationOverlapGrid':
+      stationOverlapGrid(requestId)
+      break
+
+    case 'addProposedStation':
+      addProposedStation(data.station)
+      break
+
+    case 'moveProposedStation':
+      moveProposedStation(data.id, data.lat, data.lon)
+      break
+
+    case 'removeProposedStation':
+      removeProposedStation(data.id)
+      break
+
+    case 'simulateOutOfService':
+      simulateOutOfService(data, requestId)
+      break
+
+    case 'optimizeHydrantPlacement':
+      optimizeHydrantPlacement(data, requestId)
       break
   }
 }
 
-function buildHydrantIndex(hydrants) {
+function buildHydrantIndex(hydrants, version) {
   const startTime = performance.now()
 
-  hydrantGrid.clear()
-  hydrantsList = hydrants
-
-  for (const h of hydrants) {
-    hydrantGrid.insert(h.lat, h.lon)
-  }
+  rawHydrants = hydrants
+  hydrantSetVersion = version
+  indexConflatedHydrants()
 
   const elapsed = performance.now() - startTime
 
   self.postMessage({
     type: 'hydrantIndexReady',
-    data: { count: hydrants.length, elapsed }
+    data: { count: hydrantsList.length, elapsed }
+  })
+}
+
+// Conflate the loaded detections and index the result; the cleaned set and what was merged
+// or dropped go back to the UI
+function indexConflatedHydrants() {
+  const conflated = conflateHydrants(rawHydrants, hydrantConflation)
+
+  hydrantsList = conflated.hydrants
+  allHydrantGrid.clear()
+  for (const h of hydrantsList) {
+    allHydrantGrid.insert(h.lat, h.lon, h)
+  }
+  fillFlowFilteredGrid()
+
+  hydrantZip = assignZips(hydrantsList)
+  refreshZipPointCounts('hydrantCount', hydrantZip)
+
+  self.postMessage({
+    type: 'hydrantsConflated',
+    data: { version: hydrantSetVersion, hydrants: hydrantsList, report: conflated.report }
   })
 }
 
+function setHydrantConflation(config) {
+  hydrantConflation = config
+  if (rawHydrants.length === 0) return
+
+  indexConflatedHydrants()
+  relocateAllHydrants()
+}
+
+function fillFlowFilteredGrid() {
+  hydrantGrid.clear()
+  for (const h of hydrantsList) {
+    if (meetsFlowFilter(h, hydrantFlowFilter)) hydrantGrid.insert(h.lat, h.lon, h)
+  }
+}
+
 function setStations(stations) {
   stationGrid.clear()
   stationsList = stations
@@ -205,6 +377,14 @@ function setStations(stations) {
   for (const s of stations) {
     stationGrid.insert(s.lat, s.lon, s)
   }
+  for (const s of proposedStations) {
+    stationGrid.insert(s.lat, s.lon, s)
+  }
+
+  stationZip = assignZips(stations)
+  refreshZipPointCounts('stationCount', stationZip)
+
+  if (roadGraph) computeStationAccess()
 
   self.postMessage({
     type: 'stationsIndexReady',
@@ -212,32 +392,319 @@ function setStations(stations) {
   })
 }
 
-function precomputeAddressDistances(addresses) {
+function buildRoadNetwork(features, config) {
+  const startTime = performance.now()
+
+  isochroneConfig = { ...DEFAULT_ISOCHRONE_CONFIG, ...config }
+  roadGraph = buildRoadGraph(features, isochroneConfig)
+  roadNodeGrid.clear()
+
+  roadGraph.nodes.forEach((node, i) => {
+    roadNodeGrid.insert(node.lat, node.lon, i)
+  })
+
+  computeStationAccess()
+
+  const elapsed = performance.now() - startTime
+
+  self.postMessage({
+    type: 'roadNetworkReady',
+    data: { nodeCount: roadGraph.nodes.length, edgeCount: roadGraph.edgeCount, elapsed }
+  })
+}
+
+// Snap a point to its nearest road node; the gap is covered at the off-network speed
+function snapToRoad(lat, lon) {
+  const nearest = roadNodeGrid.findNearest(lat, lon)
+  if (!nearest.point) return null
+
+  return {
+    node: nearest.point.data,
+    cost: travelMinutes(nearest.distance, isochroneConfig.offNetworkSpeedMph)
+  }
+}
+
+// Drive times from every station over the road network, plus per-station isochrones
+function computeStationAccess() {
+  stationAccess = null
+  proposedAccess = new Map()
+  if (!roadGraph || roadGraph.nodes.length === 0 || stationsList.length === 0) return
+
+  const sources = stationSources()
+  stationAccess = shortestTimes(roadGraph, sources)
+
+  const bandMinutes = [...isochroneConfig.bandMinutes].sort((a, b) => a - b)
+  const maxMinutes = bandMinutes[bandMinutes.length - 1]
+
+  const isochrones = sources.map(source => {
+    const { time } = shortestTimes(roadGraph, [source], maxMinutes)
+    const station = stationsList[source.label]
+    return {
+      stationId: station.id,
+      bands: isochroneBands(roadGraph, time, bandMinutes)
+    }
+  })
+
+  self.postMessage({
+    type: 'isochronesReady',
+    data: { isochrones, bandMinutes }
+  })
+
+  for (const s of proposedStations) {
+    proposedAccess.set(s.id, proposedStationTimes(s))
+  }
+
+  computeStationReach()
+}
+
+// Second- and third-due stations are looked for within this multiple of the response standard
+const DUE_ORDER_REACH_FACTOR = 2
+
+// Which stations reach each road node within DUE_ORDER_REACH_FACTOR × the response time; one
+// bounded search per station, so only the nodes near each station are visited
+function computeStationReach() {
+  stationReach = null
+  stationReachMinutes = null
+  if (!stationAccess) return
+
+  const maxMinutes = standards.station.responseMinutes * DUE_ORDER_REACH_FACTOR
+  const reach = new Array(roadGraph.nodes.length).fill(null)
+
+  for (const source of stationSources()) {
+    const { time } = shortestTimes(roadGraph, [source], maxMinutes)
+    for (let node = 0; node < time.length; node++) {
+      if (time[node] > maxMinutes) continue
+      if (!reach[node]) reach[node] = []
+      reach[node].push({ label: source.label, time: time[node] })
+    }
+  }
+  for (const entries of reach) {
+    if (entries) entries.sort((a, b) => a.time - b.time)
+  }
+
+  stationReach = reach
+  stationReachMinutes = standards.station.responseMinutes
+}
+
+// Road-network search sources for the loaded stations, labeled by their index in stationsList
+function stationSources(excludedIds = null) {
+  const sources = []
+  stationsList.forEach((s, i) => {
+    if (excludedIds?.has(s.id)) return
+    const snap = snapToRoad(s.lat, s.lon)
+    if (snap) sources.push({ ...snap, label: i })
+  })
+  return sources
+}
+
+// First-due station for an address: fastest drive over the road network when one is
+// loaded, otherwise the straight-line nearest station. `roadSnap` is returned so the
+// address can keep it for later what-if updates.
+function findFirstDueStation(addr, nearestStation, access = stationAccess) {
+  if (!access) {
+    return { station: nearestStation.point?.data || null, driveMinutes: null, roadSnap: null }
+  }
+
+  const snap = addr.roadSnap !== undefined ? addr.roadSnap : snapToRoad(addr.lat, addr.lon)
+  let firstDue = { station: null, driveMinutes: Infinity, roadSnap: snap }
+  if (!snap) return firstDue
+
+  if (access.label[snap.node] !== -1) {
+    firstDue.station = stationsList[access.label[snap.node]]
+    firstDue.driveMinutes = access.time[snap.node] + snap.cost
+  }
+
+  for (const s of proposedStations) {
+    const time = proposedAccess.get(s.id)
+    if (time && time[snap.node] + snap.cost < firstDue.driveMinutes) {
+      firstDue = { station: s, driveMinutes: time[snap.node] + snap.cost, roadSnap: snap }
+    }
+  }
+
+  return firstDue
+}
+
+function meetsStationResponse(driveMinutes, stationDist) {
+  return driveMinutes !== null
+    ? driveMinutes <= standards.station.responseMinutes
+    : stationDist <= standards.station.responseMiles * 5280
+}
+
+// Stations that can answer an address, in due order: by drive time over the road network
+// when one is loaded (proposed stations included), otherwise by straight-line distance.
+// Only stations within DUE_ORDER_REACH_FACTOR × the response standard are listed.
+function stationResponders(addr) {
+  if (!stationAccess) {
+    const radiusFt = standards.station.responseMiles * 5280 * DUE_ORDER_REACH_FACTOR
+    return stationGrid.findWithin(addr.lat, addr.lon, radiusFt).map(({ point, distance }) => ({
+      station: point.data,
+      driveMinutes: null,
+      distance
+    }))
+  }
+
+  const snap = addr.roadSnap
+  if (!snap) return []
+
+  const maxMinutes = standards.station.responseMinutes * DUE_ORDER_REACH_FACTOR
+  const responders = (stationReach?.[snap.node] || []).map(({ label, time }) => ({
+    station: stationsList[label],
+    driveMinutes: time + snap.cost,
+    distance: null
+  }))
+  for (const s of proposedStations) {
+    const time = proposedAccess.get(s.id)
+    if (time && time[snap.node] + snap.cost <= maxMinutes) {
+      responders.push({ station: s, driveMinutes: time[snap.node] + snap.cost, distance: null })
+    }
+  }
+  return responders
+    .filter(r => r.driveMinutes <= maxMinutes)
+    .sort((a, b) => a.driveMinutes - b.driveMinutes)
+}
+
+// How many stations meet the response standard for an address, and its 2nd/3rd-due stations
+function assessStationRedundancy(addr) {
+  const responders = stationResponders(addr)
+  addr.stationsInRange = responders.filter(r => meetsStationResponse(r.driveMinutes, r.distance)).length
+  addr.secondDueStationData = responders[1]?.station || null
+  addr.thirdDueStationData = responders[2]?.station || null
+}
+
+function assessAllStationRedundancy() {
+  for (const addr of addressesWithDistances) assessStationRedundancy(addr)
+}
+
+// Hydrant coverage class of a distance: 0 optimal, 1 marginal, 2 underserved
+const HYDRANT_CLASS_LABELS = ['Optimal', 'Marginal', 'Underserved']
+
+function hydrantClassRank(dist) {
+  if (dist <= standards.hydrant.optimalFt) return 0
+  if (dist <= standards.hydrant.acceptableFt) return 1
+  return 2
+}
+
+// Nearest, 2nd and 3rd nearest counted hydrants. A structure fire often needs more than one
+// supply hydrant, so the runners-up are kept alongside the nearest. `nearestHydrantDistAll` ignores
+// the fire-flow filter.
+function locateHydrants(addr) {
+  const [first, second, third] = hydrantGrid.findKNearest(addr.lat, addr.lon, 3)
+  addr.nearestHydrantDist = first?.distance ?? Infinity
+  addr.nearestHydrantId = first?.point.data?.id ?? null
+  addr.secondHydrantDist = second?.distance ?? Infinity
+  addr.thirdHydrantDist = third?.distance ?? Infinity
+  addr.nearestHydrantDistAll = hydrantFlowFilter.minFlowGpm > 0
+    ? allHydrantGrid.findNearest(addr.lat, addr.lon).distance
+    : addr.nearestHydrantDist
+}
+
+// How many counted hydrants lie within the optimal and acceptable distances
+function countNearbyHydrants(addr) {
+  const { optimalFt, acceptableFt } = standards.hydrant
+  const [withinOptimal, withinAcceptable] = hydrantGrid.countWithin(addr.lat, addr.lon, [optimalFt, acceptableFt])
+  addr.hydrantsWithinOptimal = withinOptimal
+  addr.hydrantsWithinAcceptable = withinAcceptable
+}
+
+// Coverage classes for an address under the active standards profile
+function classifyAddress(addr) {
+  const { optimalFt, acceptableFt } = standards.hydrant
+
+  addr.withinOptimal = addr.nearestHydrantDist <= optimalFt
+  addr.withinAcceptable = addr.nearestHydrantDist <= acceptableFt
+  addr.underserved = addr.nearestHydrantDist > acceptableFt
+  addr.withinOptimalAllHydrants = addr.nearestHydrantDistAll <= optimalFt
+  addr.withinAcceptableAllHydrants = addr.nearestHydrantDistAll <= acceptableFt
+  addr.withinStationResponse = meetsStationResponse(addr.stationDriveMinutes, addr.nearestStationDist)
+}
+
+// Switching profiles reclassifies the pre-computed distances and recounts nearby hydrants
+function setStandards(profile) {
+  standards = profile
+  if (stationAccess && stationReachMinutes !== profile.station.responseMinutes) computeStationReach()
+
+  // A longer response standard widens what each what-if station can change
+  for (const s of proposedStations) {
+    const reach = proposedStationAddresses.get(s.id)
+    if (reach) proposedStationReach(s, proposedAccess.get(s.id)).forEach(i => reach.add(i))
+  }
+
+  if (addressesWithDistances.length > 0) {
+    for (const addr of addressesWithDistances) {
+      countNearbyHydrants(addr)
+      classifyAddress(addr)
+      assessStationRedundancy(addr)
+    }
+    refreshZipAddressTotals()
+    postAddressSummary(0)
+  }
+}
+
+// Only hydrants meeting the minimum flow count toward coverage. Changing the filter re-runs the
+// nearest-hydrant search for every address; distances to all hydrants are unaffected.
+function setHydrantFlowFilter(filter) {
+  hydrantFlowFilter = filter
+  fillFlowFilteredGrid()
+  relocateAllHydrants()
+}
+
+// Re-measure every address against the current hydrant grids
+function relocateAllHydrants() {
+  if (addressesWithDistances.length === 0) return
+
+  for (const addr of addressesWithDistances) {
+    locateHydrants(addr)
+    countNearbyHydrants(addr)
+    classifyAddress(addr)
+  }
+  refreshZipAddressTotals()
+  postAddressSummary(0)
+}
+
+function precomputeAddressDistances(addresses, version = null) {
   const startTime = performance.now()
 
+  // Compute against the loaded stations only, then layer the what-if stations back on
+  const proposed = proposedStations
+  for (const s of proposed) withdrawProposedStation(s)
+
   addressesWithDistances = []
-  const ONE_MILE_FT = 5280
+  addressSetVersion = version
+  addressSearchIndex = null
+  addressGrid.clear()
+  addressesByRoadNode = new Map()
+  countyTotals = null
+  proposedStationAddresses = new Map()
+  untalliedAddresses = new Set()
 
   for (let i = 0; i < addresses.length; i++) {
     const addr = addresses[i]
-    const nearestHydrant = hydrantGrid.findNearest(addr.lat, addr.lon)
 
     // Find nearest station
     let nearestStation = { point: null, distance: Infinity }
     if (stationsList.length > 0) {
       nearestStation = stationGrid.findNearest(addr.lat, addr.lon)
     }
+    const firstDue = findFirstDueStation(addr, nearestStation)
 
-    addressesWithDistances.push({
+    const record = {
       ...addr,
-      nearestHydrantDist: nearestHydrant.distance,
       nearestStationDist: nearestStation.distance,
       nearestStationData: nearestStation.point?.data || null,
-      within500ft: nearestHydrant.distance <= 500,
-      within1000ft: nearestHydrant.distance <= 1000,
-      underserved: nearestHydrant.distance > 1000,
-      withinStationMile: nearestStation.distance <= ONE_MILE_FT
-    })
+      firstDueStationData: firstDue.station,
+      stationDriveMinutes: firstDue.driveMinutes,
+      roadSnap: firstDue.roadSnap
+    }
+    locateHydrants(record)
+    countNearbyHydrants(record)
+    classifyAddress(record)
+    addressesWithDistances.push(record)
+    addressGrid.insert(record.lat, record.lon, i)
+    if (record.roadSnap) {
+      const node = record.roadSnap.node
+      if (!addressesByRoadNode.has(node)) addressesByRoadNode.set(node, [])
+      addressesByRoadNode.get(node).push(i)
+    }
 
     if ((i + 1) % 5000 === 0) {
       self.postMessage({
@@ -249,124 +716,370 @@ function precomputeAddressDistances(addresses) {
     }
   }
 
-  const elapsed = performance.now() - startTime
+  for (const s of proposed) applyProposedStation(s)
+  assessAllStationRedundancy()
+
+  assignAddressZips(addressesWithDistances)
+  refreshZipAddressTotals()
+
+  postAddressSummary(performance.now() - startTime)
+  if (proposed.length > 0) postStationScenario()
+}
 
-  const within500 = addressesWithDistances.filter(a => a.within500ft).length
-  const within1000 = addressesWithDistances.filter(a => a.within1000ft).length
-  const underserved = addressesWithDistances.filter(a => a.underserved).length
-  const withinStationMile = addressesWithDistances.filter(a => a.withinStationMile).length
-  const avgDist = addressesWithDistances.reduce((sum, a) => sum + a.nearestHydrantDist, 0) / addressesWithDistances.length
-  const avgStationDist = stationsList.length > 0
-    ? addressesWithDistances.reduce((sum, a) => sum + a.nearestStationDist, 0) / addressesWithDistances.length
-    : 0
+// Countywide summary of the address coverage. The totals are re-summed over every address
+// unless `current` is passed (totals kept up to date by a what-if station change).
+function postAddressSummary(elapsed, current = null) {
+  hexbinCache = new Map()
+  if (current) {
+    countyTotals = current
+  } else {
+    countyTotals = createAreaTotals()
+    for (const addr of addressesWithDistances) addAddressToTotals(countyTotals, addr)
+  }
+
+  const total = countyTotals.addressCount
+  const { withinOptimal, withinAcceptable, withinAcceptableAllHydrants, underserved, withinStationResponse } = countyTotals
+  const avgDist = countyTotals.totalHydrantDistance / total
+  const avgStationDist = stationsList.length > 0 ? countyTotals.totalStationDistance / total : 0
 
   self.postMessage({
     type: 'addressDistancesReady',
     data: {
-      count: addressesWithDistances.length,
+      count: total,
       elapsed,
       summary: {
-        within500ft: within500,
-        within1000ft: within1000,
+        standards,
+        flowFilter: hydrantFlowFilter,
+        withinOptimal,
+        withinAcceptable,
         underserved,
-        withinStationMile,
+        withinStationResponse,
+        stationResponseMode: stationAccess ? 'network' : 'radius',
         avgDistance: avgDist,
         avgStationDistance: avgStationDist,
-        pctWithin500: (within500 / addressesWithDistances.length * 100).toFixed(1),
-        pctWithin1000: (within1000 / addressesWithDistances.length * 100).toFixed(1),
-        pctWithinStationMile: stationsList.length > 0
-          ? (withinStationMile / addressesWithDistances.length * 100).toFixed(1)
-          : '0'
+        pctWithinOptimal: (withinOptimal / total * 100).toFixed(1),
+        pctWithinAcceptable: (withinAcceptable / total * 100).toFixed(1),
+        pctWithinAcceptableAllHydrants: (withinAcceptableAllHydrants / total * 100).toFixed(1),
+        pctWithinStationResponse: stationsList.length > 0
+          ? (withinStationResponse / total * 100).toFixed(1)
+          : '0',
+        ...multiHydrantStats(countyTotals),
+        ...stationOverlapStats(countyTotals)
       }
     }
   })
 }
 
-function analyzeZipCode(zipCodeFeature) {
+function setZipCodes(zipcodes) {
   const startTime = performance.now()
-  const ONE_MILE_FT = 5280
 
-  // Calculate area of ZIP code
-  const areaSqMiles = calculatePolygonArea(zipCodeFeature)
+  zipShapes = zipcodes.map(z => ({
+    id: z.id,
+    zipCode: z.zipCode,
+    shape: prepareGeometry(z.geoJsonFeature),
+    geometry: z.geoJsonFeature.geometry, // kept for GeoJSON exports
+    areaSqMiles: geodesicArea(z.geoJsonFeature)
+  }))
+  zipIndexById = new Map(zipShapes.map((z, i) => [z.id, i]))
 
-  const stats = {
-    hydrantCount: 0,
-    stationCount: 0,
-    addressCount: 0,
-    addressesWithin500ft: 0,
-    addressesWithin1000ft: 0,
-    addressesUnderserved: 0,
-    addressesWithinStationMile: 0,
-    avgDistanceToHydrant: 0,
-    avgDistanceToStation: 0,
-    minDistance: Infinity,
-    maxDistance: 0,
-    areaSqMiles: areaSqMiles,
-    // Density metrics
-    addressDensity: 0, // addresses per sq mile
-    hydrantDensityPerSqMile: 0,
-    isRural: false,
-    ruralNote: null
+  // Bucket each ZIP's bounding box into coarse grid cells for the point lookup prefilter
+  zipCellIndex = new Map()
+  zipShapes.forEach((z, i) => {
+    const [minLon, minLat, maxLon, maxLat] = z.shape.bbox
+    for (let x = Math.floor(minLon / ZIP_CELL_SIZE); x <= Math.floor(maxLon / ZIP_CELL_SIZE); x++) {
+      for (let y = Math.floor(minLat / ZIP_CELL_SIZE); y <= Math.floor(maxLat / ZIP_CELL_SIZE); y++) {
+        const cell = `${x},${y}`
+        if (!zipCellIndex.has(cell)) zipCellIndex.set(cell, [])
+        zipCellIndex.get(cell).push(i)
+      }
+    }
+  })
+
+  hydrantZip = assignZips(hydrantsList)
+  stationZip = assignZips(stationsList)
+  addressZipVersion = null
+  assignAddressZips(addressesWithDistances)
+  rebuildZipAggregates()
+
+  self.postMessage({
+    type: 'zipIndexReady',
+    data: { zipCount: zipShapes.length, elapsed: performance.now() - startTime }
+  })
+}
+
+// Index of the ZIP containing a point, or -1
+function findZipIndex(lat, lon) {
+  const candidates = zipCellIndex.get(`${Math.floor(lon / ZIP_CELL_SIZE)},${Math.floor(lat / ZIP_CELL_SIZE)}`)
+  if (!candidates) return -1
+
+  for (const i of candidates) {
+    if (pointInPolygon(lat, lon, zipShapes[i].shape)) return i
   }
+  return -1
+}
 
-  // Count hydrants in ZIP
-  for (const h of hydrantsList) {
-    if (pointInPolygon(h.lat, h.lon, zipCodeFeature)) {
-      stats.hydrantCount++
-    }
+function assignZips(points) {
+  const membership = new Int32Array(points.length)
+  for (let i = 0; i < points.length; i++) {
+    membership[i] = findZipIndex(points[i].lat, points[i].lon)
   }
+  return membership
+}
 
-  // Count stations in ZIP
-  for (const s of stationsList) {
-    if (pointInPolygon(s.lat, s.lon, zipCodeFeature)) {
-      stats.stationCount++
-    }
+// Address ZIP membership only depends on address positions, so it is kept across
+// recomputes triggered by hydrant, station or standards changes. A new address file comes
+// with a new version; without a version the membership is always redone.
+function assignAddressZips(addresses) {
+  const version = zipShapes.length === 0 ? null : addressSetVersion
+  if (version !== null && version === addressZipVersion && addressZip.length === addresses.length) return
+
+  addressZip = assignZips(addresses)
+  addressZipVersion = version
+}
+
+function rebuildZipAggregates() {
+  if (zipShapes.length === 0) {
+    zipAggregates = null
+    return
   }
 
-  // Analyze addresses using pre-computed distances
-  let totalHydrantDistance = 0
-  let totalStationDistance = 0
+  zipAggregates = zipShapes.map(() => createAreaTotals())
+  refreshZipPointCounts('hydrantCount', hydrantZip)
+  refreshZipPointCounts('stationCount', stationZip)
+  refreshZipAddressTotals()
+}
+
+// Recount one point dataset per ZIP without touching the address totals
+function refreshZipPointCounts(field, membership) {
+  if (!zipAggregates) return
 
-  for (const addr of addressesWithDistances) {
-    if (pointInPolygon(addr.lat, addr.lon, zipCodeFeature)) {
-      stats.addressCount++
-      totalHydrantDistance += addr.nearestHydrantDist
-      totalStationDistance += addr.nearestStationDist
+  for (const totals of zipAggregates) totals[field] = 0
+  for (const zipIdx of membership) {
+    if (zipIdx !== -1) zipAggregates[zipIdx][field]++
+  }
+}
 
-      if (addr.nearestHydrantDist < stats.minDistance) {
-        stats.minDistance = addr.nearestHydrantDist
-      }
-      if (addr.nearestHydrantDist > stats.maxDistance) {
-        stats.maxDistance = addr.nearestHydrantDist
-      }
+function refreshZipAddressTotals() {
+  if (!zipAggregates) return
 
-      if (addr.within500ft) stats.addressesWithin500ft++
-      if (addr.within1000ft) stats.addressesWithin1000ft++
-      if (addr.underserved) stats.addressesUnderserved++
-      if (addr.withinStationMile) stats.addressesWithinStationMile++
-    }
+  zipAggregates = zipAggregates.map(prev => ({
+    ...createAreaTotals(),
+    hydrantCount: prev.hydrantCount,
+    stationCount: prev.stationCount
+  }))
+
+  for (let i = 0; i < addressesWithDistances.length; i++) {
+    const zipIdx = addressZip[i]
+    if (zipIdx !== -1) addAddressToTotals(zipAggregates[zipIdx], addressesWithDistances[i])
   }
+}
 
-  if (stats.addressCount > 0) {
-    stats.avgDistanceToHydrant = totalHydrantDistance / stats.addressCount
-    stats.avgDistanceToStation = totalStationDistance / stats.addressCount
-    stats.coveragePercent500 = (stats.addressesWithin500ft / stats.addressCount * 100).toFixed(1)
-    stats.coveragePercent1000 = (stats.addressesWithin1000ft / stats.addressCount * 100).toFixed(1)
-    stats.stationCoveragePercent = (stats.addressesWithinStationMile / stats.addressCount * 100).toFixed(1)
-    stats.hydrantDensity = (stats.hydrantCount / stats.addressCount * 1000).toFixed(1)
-  } else {
-    stats.coveragePercent500 = '0'
-    stats.coveragePercent1000 = '0'
-    stats.stationCoveragePercent = '0'
-    stats.hydrantDensity = '0'
+// Running totals for an area (a ZIP or any analyzed polygon); turned into stats by buildAreaStats
+function createAreaTotals() {
+  return {
+    hydrantCount: 0,
+    stationCount: 0,
+    addressCount: 0,
+    withinOptimal: 0,
+    withinAcceptable: 0,
+    withinOptimalAllHydrants: 0,
+    withinAcceptableAllHydrants: 0,
+    underserved: 0,
+    withinStationResponse: 0,
+    withinStationResponseBaseline: 0,
+    twoHydrantsOptimal: 0,
+    twoHydrantsAcceptable: 0,
+    threeHydrantsAcceptable: 0,
+    totalHydrantsWithinAcceptable: 0,
+    totalSecondHydrantDistance: 0,
+    secondHydrantCount: 0,
+    totalThirdHydrantDistance: 0,
+    thirdHydrantCount: 0,
+    noStation: 0,
+    singleStation: 0,
+    multiStation: 0,
+    soleStationAddresses: {}, // station id -> addresses it alone covers
+    totalHydrantDistance: 0,
+    totalStationDistance: 0,
+    minDistance: Infinity,
+    maxDistance: 0
   }
+}
 
-  // Calculate density metrics for rural classification
-  if (areaSqMiles > 0) {
-    stats.addressDensity = stats.addressCount / areaSqMiles
-    stats.hydrantDensityPerSqMile = stats.hydrantCount / areaSqMiles
+// `weight` -1 takes an address back out, as when a what-if station change re-assesses it.
+// Removal leaves minDistance/maxDistance alone: station changes never move hydrant distances.
+function addAddressToTotals(totals, addr, weight = 1) {
+  const count = (flag) => (flag ? weight : 0)
+  totals.addressCount += weight
+  totals.totalHydrantDistance += weight * addr.nearestHydrantDist
+  totals.totalStationDistance += weight * addr.nearestStationDist
 
-    // Rural classification based on address density
+  if (weight > 0 && addr.nearestHydrantDist < totals.minDistance) {
+    totals.minDistance = addr.nearestHydrantDist
+  }
+  if (weight > 0 && addr.nearestHydrantDist > totals.maxDistance) {
+    totals.maxDistance = addr.nearestHydrantDist
+  }
+
+  totals.withinOptimal += count(addr.withinOptimal)
+  totals.withinAcceptable += count(addr.withinAcceptable)
+  totals.withinOptimalAllHydrants += count(addr.withinOptimalAllHydrants)
+  totals.withinAcceptableAllHydrants += count(addr.withinAcceptableAllHydrants)
+  totals.underserved += count(addr.underserved)
+  totals.withinStationResponse += count(addr.withinStationResponse)
+  totals.twoHydrantsOptimal += count(addr.hydrantsWithinOptimal >= 2)
+  totals.twoHydrantsAcceptable += count(addr.hydrantsWithinAcceptable >= 2)
+  totals.threeHydrantsAcceptable += count(addr.hydrantsWithinAcceptable >= 3)
+  totals.totalHydrantsWithinAcceptable += weight * addr.hydrantsWithinAcceptable
+  if (Number.isFinite(addr.secondHydrantDist)) {
+    totals.totalSecondHydrantDistance += weight * addr.secondHydrantDist
+    totals.secondHydrantCount += weight
+  }
+  if (Number.isFinite(addr.thirdHydrantDist)) {
+    totals.totalThirdHydrantDistance += weight * addr.thirdHydrantDist
+    totals.thirdHydrantCount += weight
+  }
+  if (addr.stationsInRange === 0) totals.noStation += weight
+  else if (addr.stationsInRange === 1) {
+    totals.singleStation += weight
+    // The one station in range is the first-due station
+    const soleId = addr.firstDueStationData?.id
+    const sole = (totals.soleStationAddresses[soleId] || 0) + weight
+    if (sole > 0) totals.soleStationAddresses[soleId] = sole
+    else delete totals.soleStationAddresses[soleId]
+  } else {
+    totals.multiStation += weight
+  }
+  totals.withinStationResponseBaseline += count(addr.stationBaseline
+    ? meetsStationResponse(addr.stationBaseline.stationDriveMinutes, addr.stationBaseline.nearestStationDist)
+    : addr.withinStationResponse)
+}
+
+// Full scan of every dataset against a polygon (used when no ZIP index entry applies)
+function scanAreaTotals(shape) {
+  const totals = createAreaTotals()
+
+  for (const h of hydrantsList) {
+    if (pointInPolygon(h.lat, h.lon, shape)) totals.hydrantCount++
+  }
+
+  for (const s of stationsList) {
+    if (pointInPolygon(s.lat, s.lon, shape)) totals.stationCount++
+  }
+
+  for (const addr of addressesWithDistances) {
+    if (pointInPolygon(addr.lat, addr.lon, shape)) addAddressToTotals(totals, addr)
+  }
+
+  return totals
+}
+
+// Multi-hydrant availability for an area: addresses with 2+ or 3+ hydrants in reach and the
+// average distance to the 2nd and 3rd nearest (shared by ZIP stats and the county summary)
+function multiHydrantStats(totals) {
+  const pct = (count) => totals.addressCount > 0 ? (count / totals.addressCount * 100).toFixed(1) : '0'
+
+  return {
+    addressesTwoHydrantsOptimal: totals.twoHydrantsOptimal,
+    addressesTwoHydrantsAcceptable: totals.twoHydrantsAcceptable,
+    addressesThreeHydrantsAcceptable: totals.threeHydrantsAcceptable,
+    pctTwoHydrantsOptimal: pct(totals.twoHydrantsOptimal),
+    pctTwoHydrantsAcceptable: pct(totals.twoHydrantsAcceptable),
+    pctThreeHydrantsAcceptable: pct(totals.threeHydrantsAcceptable),
+    avgHydrantsWithinAcceptable: totals.addressCount > 0 ? totals.totalHydrantsWithinAcceptable / totals.addressCount : 0,
+    avgSecondHydrantDistance: totals.secondHydrantCount > 0 ? totals.totalSecondHydrantDistance / totals.secondHydrantCount : null,
+    avgThirdHydrantDistance: totals.thirdHydrantCount > 0 ? totals.totalThirdHydrantDistance / totals.thirdHydrantCount : null
+  }
+}
+
+// Station overlap for an area: addresses reached by none, one or several stations within the
+// response standard, and the station whose loss would leave the most addresses uncovered
+// (the one that alone covers the most of them; ties go to the lowest id, since what-if
+// changes reorder the per-station counts)
+function stationOverlapStats(totals) {
+  const pct = (count) => totals.addressCount > 0 ? (count / totals.addressCount * 100).toFixed(1) : '0'
+
+  let criticalStation = null
+  const entries = Object.entries(totals.soleStationAddresses).sort(([a], [b]) => a.localeCompare(b))
+  for (const [id, count] of entries) {
+    if (criticalStation && count <= criticalStation.soleAddresses) continue
+    const station = stationsList.find(s => String(s.id) === id) || proposedStations.find(s => s.id === id)
+    if (station) {
+      criticalStation = { id: station.id, name: station.name, agency: station.agency, proposed: !!station.proposed, soleAddresses: count }
+    }
+  }
+  if (criticalStation) criticalStation.pctOfAddresses = pct(criticalStation.soleAddresses)
+
+  return {
+    addressesNoStation: totals.noStation,
+    addressesSingleStation: totals.singleStation,
+    addressesMultiStation: totals.multiStation,
+    pctNoStation: pct(totals.noStation),
+    pctSingleStation: pct(totals.singleStation),
+    pctMultiStation: pct(totals.multiStation),
+    criticalStation
+  }
+}
+
+function buildAreaStats(totals, areaSqMiles) {
+  const stats = {
+    hydrantCount: totals.hydrantCount,
+    stationCount: totals.stationCount,
+    addressCount: totals.addressCount,
+    addressesWithinOptimal: totals.withinOptimal,
+    addressesWithinAcceptable: totals.withinAcceptable,
+    addressesUnderserved: totals.underserved,
+    addressesWithinStationResponse: totals.withinStationResponse,
+    // Station coverage from the loaded stations alone; differs only while what-if stations exist
+    addressesWithinStationResponseBaseline: totals.withinStationResponseBaseline,
+    proposedStationCount: proposedStations.length,
+    // Hydrant coverage counting every hydrant regardless of fire flow; differs only while a
+    // minimum-flow filter is active
+    addressesWithinOptimalAllHydrants: totals.withinOptimalAllHydrants,
+    addressesWithinAcceptableAllHydrants: totals.withinAcceptableAllHydrants,
+    flowFilter: hydrantFlowFilter,
+    stationResponseMode: stationAccess ? 'network' : 'radius',
+    standards,
+    avgDistanceToHydrant: 0,
+    avgDistanceToStation: 0,
+    minDistance: totals.minDistance,
+    maxDistance: totals.maxDistance,
+    ...multiHydrantStats(totals),
+    ...stationOverlapStats(totals),
+    areaSqMiles: areaSqMiles,
+    // Density metrics
+    addressDensity: 0, // addresses per sq mile
+    hydrantDensityPerSqMile: 0,
+    isRural: false,
+    ruralNote: null
+  }
+
+  if (stats.addressCount > 0) {
+    stats.avgDistanceToHydrant = totals.totalHydrantDistance / stats.addressCount
+    stats.avgDistanceToStation = totals.totalStationDistance / stats.addressCount
+    stats.coveragePercentOptimal = (stats.addressesWithinOptimal / stats.addressCount * 100).toFixed(1)
+    stats.coveragePercentAcceptable = (stats.addressesWithinAcceptable / stats.addressCount * 100).toFixed(1)
+    stats.stationCoveragePercent = (stats.addressesWithinStationResponse / stats.addressCount * 100).toFixed(1)
+    stats.stationCoverageBaselinePercent = (stats.addressesWithinStationResponseBaseline / stats.addressCount * 100).toFixed(1)
+    stats.coveragePercentOptimalAllHydrants = (stats.addressesWithinOptimalAllHydrants / stats.addressCount * 100).toFixed(1)
+    stats.coveragePercentAcceptableAllHydrants = (stats.addressesWithinAcceptableAllHydrants / stats.addressCount * 100).toFixed(1)
+    stats.hydrantDensity = (stats.hydrantCount / stats.addressCount * 1000).toFixed(1)
+  } else {
+    stats.coveragePercentOptimal = '0'
+    stats.coveragePercentAcceptable = '0'
+    stats.stationCoveragePercent = '0'
+    stats.stationCoverageBaselinePercent = '0'
+    stats.coveragePercentOptimalAllHydrants = '0'
+    stats.coveragePercentAcceptableAllHydrants = '0'
+    stats.hydrantDensity = '0'
+  }
+
+  // Calculate density metrics for rural classification
+  if (areaSqMiles > 0) {
+    stats.addressDensity = stats.addressCount / areaSqMiles
+    stats.hydrantDensityPerSqMile = stats.hydrantCount / areaSqMiles
+
+    // Rural classification based on address density
     // Urban: > 1000 addresses/sq mi
     // Suburban: 100-1000 addresses/sq mi
     // Rural: < 100 addresses/sq mi
@@ -383,10 +1096,971 @@ function analyzeZipCode(zipCodeFeature) {
     }
   }
 
+  return stats
+}
+
+// ZIPs known to the membership index are answered from their aggregates;
+// any other polygon falls back to a full scan
+function analyzeZipCode(zipCodeFeature, zipId, requestId) {
+  const startTime = performance.now()
+
+  const zipIdx = zipId !== undefined ? zipIndexById.get(zipId) : undefined
+  let stats
+
+  if (zipIdx !== undefined && zipAggregates) {
+    stats = buildAreaStats(zipAggregates[zipIdx], zipShapes[zipIdx].areaSqMiles)
+  } else {
+    // Geodesic area of the polygon (all parts, holes excluded)
+    stats = buildAreaStats(scanAreaTotals(prepareGeometry(zipCodeFeature)), geodesicArea(zipCodeFeature))
+  }
+
   const elapsed = performance.now() - startTime
 
   self.postMessage({
     type: 'zipCodeAnalysisReady',
-    data: { stats, elapsed }
+    requestId,
+    data: { stats, elapsed, fromIndex: zipIdx !== undefined && !!zipAggregates }
+  })
+}
+
+// Stats for every indexed ZIP at once (choropleth and ranking table)
+function analyzeAllZips(requestId) {
+  const zips = zipAggregates
+    ? zipShapes.map((z, i) => ({
+        id: z.id,
+        zipCode: z.zipCode,
+        stats: buildAreaStats(zipAggregates[i], z.areaSqMiles)
+      }))
+    : []
+
+  self.postMessage({
+    type: 'allZipsAnalysisReady',
+    requestId,
+    data: { zips }
+  })
+}
+
+// Addresses binned into hexagons at one of HEX_RESOLUTIONS, each cell with its address count,
+// mean nearest-hydrant distance and % underserved, plus a Getis-Ord Gi* z-score on the mean
+// distance that flags statistically significant clusters of gaps (hot) or good coverage (cold)
+function hexbinSurface(resolutionId, requestId) {
+  const resolution = HEX_RESOLUTIONS.find(r => r.id === resolutionId) || HEX_RESOLUTIONS[0]
+
+  if (!hexbinCache.has(resolution.id)) {
+    const refLat = addressesWithDistances.length > 0
+      ? addressesWithDistances.reduce((sum, a) => sum + a.lat, 0) / addressesWithDistances.length
+      : 0
+    const bins = new Map()
+
+    for (const addr of addressesWithDistances) {
+      const { q, r } = hexCoordinates(addr.lat, addr.lon, resolution.sizeFt, refLat)
+      const key = `${q},${r}`
+      let bin = bins.get(key)
+      if (!bin) {
+        bin = { q, r, addressCount: 0, underserved: 0, distanceSum: 0, distanceCount: 0 }
+        bins.set(key, bin)
+      }
+      bin.addressCount++
+      if (addr.underserved) bin.underserved++
+      // Addresses with no hydrant at all are counted as underserved but left out of the mean
+      if (Number.isFinite(addr.nearestHydrantDist)) {
+        bin.distanceSum += addr.nearestHydrantDist
+        bin.distanceCount++
+      }
+    }
+
+    const cells = [...bins.values()]
+      .filter(b => b.distanceCount > 0)
+      .map(b => ({
+        q: b.q,
+        r: b.r,
+        ...hexCenter(b.q, b.r, resolution.sizeFt, refLat),
+        addressCount: b.addressCount,
+        meanDistance: b.distanceSum / b.distanceCount,
+        pctUnderserved: b.underserved / b.addressCount * 100
+      }))
+    getisOrdGiStar(cells, 'meanDistance').forEach((z, i) => {
+      cells[i].giZ = z
+      cells[i].hotspot = hotspotLevel(z)
+    })
+
+    hexbinCache.set(resolution.id, { resolution: resolution.id, sizeFt: resolution.sizeFt, refLat, cells })
+  }
+
+  self.postMessage({
+    type: 'hexbinSurfaceReady',
+    requestId,
+    data: hexbinCache.get(resolution.id)
+  })
+}
+
+// Gap zones: DBSCAN clusters of underserved addresses, each outlined by a concave hull and
+// ranked by severity, the total feet beyond the acceptable hydrant distance across its
+// addresses (so both size and depth of the gap count)
+function findGapZones({ epsFt = DEFAULT_GAP_ZONE_CONFIG.epsFt, minPoints = DEFAULT_GAP_ZONE_CONFIG.minPoints } = {}, requestId) {
+  const startTime = performance.now()
+  const { acceptableFt } = standards.hydrant
+
+  const underservedIndices = []
+  addressesWithDistances.forEach((a, i) => {
+    if (a.underserved) underservedIndices.push(i)
+  })
+  const underserved = underservedIndices.map(i => addressesWithDistances[i])
+  const labels = dbscan(underserved, epsFt, minPoints)
+
+  const clusters = new Map()
+  labels.forEach((label, i) => {
+    if (label === -1) return
+    if (!clusters.has(label)) clusters.set(label, [])
+    clusters.get(label).push(i)
+  })
+
+  const zones = []
+  for (const members of clusters.values()) {
+    const points = members.map(i => underserved[i])
+    const ring = concaveHull(points, epsFt * 2)
+    if (!ring) continue
+
+    const geometry = { type: 'Polygon', coordinates: [ring] }
+    const centroid = {
+      lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+      lon: points.reduce((sum, p) => sum + p.lon, 0) / points.length
+    }
+    const finite = points.filter(p => Number.isFinite(p.nearestHydrantDist))
+    const worstDistance = finite.length > 0 ? Math.max(...finite.map(p => p.nearestHydrantDist)) : Infinity
+
+    // Containing ZIP: the one most of the zone's addresses fall in
+    const zipVotes = new Map()
+    for (const i of members) {
+      const zipIdx = addressZip[underservedIndices[i]] ?? -1
+      if (zipIdx !== -1) zipVotes.set(zipIdx, (zipVotes.get(zipIdx) || 0) + 1)
+    }
+    const zipIdx = [...zipVotes.entries()].sort((a, b) => b[1] - a[1])[0]?.[0]
+    const zip = zipIdx !== undefined ? zipShapes[zipIdx] : null
+
+    const nearest = hydrantGrid.findNearest(centroid.lat, centroid.lon)
+
+    zones.push({
+      id: zones.length,
+      geometry,
+      bbox: getBBox(geometry),
+      centroid,
+      addressCount: points.length,
+      worstDistance,
+      meanDistance: finite.length > 0 ? finite.reduce((sum, p) => sum + p.nearestHydrantDist, 0) / finite.length : Infinity,
+      severity: finite.reduce((sum, p) => sum + p.nearestHydrantDist - acceptableFt, 0),
+      areaSqMiles: geodesicArea(geometry),
+      zipId: zip?.id ?? null,
+      zipCode: zip?.zipCode ?? null,
+      nearestHydrant: nearest.point
+        ? { id: nearest.point.data.id, lat: nearest.point.lat, lon: nearest.point.lon, distance: nearest.distance }
+        : null
+    })
+  }
+
+  zones.sort((a, b) => b.severity - a.severity)
+  zones.forEach((z, i) => {
+    z.id = i
+    z.rank = i + 1
+  })
+
+  self.postMessage({
+    type: 'gapZonesReady',
+    requestId,
+    data: {
+      zones,
+      epsFt,
+      minPoints,
+      acceptableFt,
+      underservedCount: underserved.length,
+      clusteredCount: zones.reduce((sum, z) => sum + z.addressCount, 0),
+      elapsed: performance.now() - startTime
+    }
+  })
+}
+
+// Addresses binned into square cells with how many are reached by no station, exactly one,
+// or several within the response standard (drawn as the station overlap map layer)
+const OVERLAP_CELL_SIZE = 0.005
+
+function stationOverlapGrid(requestId) {
+  const cells = new Map()
+
+  for (const addr of addressesWithDistances) {
+    const x = Math.floor(addr.lon / OVERLAP_CELL_SIZE)
+    const y = Math.floor(addr.lat / OVERLAP_CELL_SIZE)
+    const key = `${x},${y}`
+    let cell = cells.get(key)
+    if (!cell) {
+      cell = { south: y * OVERLAP_CELL_SIZE, west: x * OVERLAP_CELL_SIZE, none: 0, single: 0, multi: 0 }
+      cells.set(key, cell)
+    }
+    if (addr.stationsInRange === 0) cell.none++
+    else if (addr.stationsInRange === 1) cell.single++
+    else cell.multi++
+  }
+
+  self.postMessage({
+    type: 'stationOverlapReady',
+    requestId,
+    data: {
+      cellSize: OVERLAP_CELL_SIZE,
+      cells: [...cells.values()],
+      stationResponseMode: stationAccess ? 'network' : 'radius'
+    }
+  })
+}
+
+// Coverage of the area an agency serves first-due: every address whose first-due station
+// belongs to the agency. Hydrants counted are those nearest to at least one such address.
+function analyzeAgency(agency, requestId) {
+  const totals = createAreaTotals()
+  totals.stationCount = stationsList.filter(s => s.agency === agency).length
+
+  const servingHydrants = new Set()
+  for (const addr of addressesWithDistances) {
+    const firstDue = addr.firstDueStationData
+    if (!firstDue || firstDue.proposed || firstDue.agency !== agency) continue
+    addAddressToTotals(totals, addr)
+    if (addr.nearestHydrantId !== null) servingHydrants.add(addr.nearestHydrantId)
+  }
+  totals.hydrantCount = servingHydrants.size
+
+  self.postMessage({
+    type: 'agencyAnalysisReady',
+    requestId,
+    data: { agency, stats: buildAreaStats(totals, 0) }
+  })
+}
+
+// Nearest-hydrant distance bins for a station scorecard: eight equal bins up to twice the
+// acceptable distance, then everything beyond
+const STATION_DISTANCE_BINS = 8
+
+// Live scorecard figures for one loaded station: the addresses it serves first-due, their
+// hydrant coverage and a histogram of their nearest-hydrant distances
+function analyzeStation(stationId, requestId) {
+  const totals = createAreaTotals()
+  totals.stationCount = 1
+
+  const binWidth = standards.hydrant.acceptableFt * 2 / STATION_DISTANCE_BINS
+  const counts = new Array(STATION_DISTANCE_BINS + 1).fill(0)
+  for (const addr of addressesWithDistances) {
+    const firstDue = addr.firstDueStationData
+    if (!firstDue || firstDue.proposed || firstDue.id !== stationId) continue
+    addAddressToTotals(totals, addr)
+    counts[Math.min(Math.floor(addr.nearestHydrantDist / binWidth), STATION_DISTANCE_BINS)]++
+  }
+
+  const distribution = counts.map((count, i) => ({
+    minFt: i * binWidth,
+    maxFt: i < STATION_DISTANCE_BINS ? (i + 1) * binWidth : null,
+    count
+  }))
+
+  self.postMessage({
+    type: 'stationAnalysisReady',
+    requestId,
+    data: { stationId, stats: buildAreaStats(totals, 0), distribution }
+  })
+}
+
+// The station_coverage.csv and agency_stats.csv tables recomputed from the loaded stations and
+// every loaded hydrant (the fire-flow filter does not apply, as in the offline analysis)
+function computeStationCoverage(requestId) {
+  const stations = stationsList.map(s => {
+    const nearest = allHydrantGrid.findKNearest(s.lat, s.lon, 10)
+    const [within500, within1000, withinQuarterMile] = allHydrantGrid.countWithin(s.lat, s.lon, [500, 1000, QUARTER_MILE_FT])
+    const nearestHydrantFt = nearest.length > 0 ? nearest[0].distance : null
+
+    return {
+      stationId: s.id,
+      stationName: String(s.name),
+      agency: s.agency,
+      latitude: s.lat,
+      longitude: s.lon,
+      nearestHydrantFt,
+      hydrantsWithin500: within500,
+      hydrantsWithin1000: within1000,
+      hydrantsWithinQuarterMile: withinQuarterMile,
+      avgDistance10Nearest: nearest.length > 0
+        ? nearest.reduce((sum, n) => sum + n.distance, 0) / nearest.length
+        : null,
+      coverageRating: rateStationCoverage(nearestHydrantFt),
+      nearestHydrant: nearest.length > 0 ? { lat: nearest[0].point.lat, lon: nearest[0].point.lon } : null
+    }
+  })
+
+  self.postMessage({
+    type: 'stationCoverageReady',
+    requestId,
+    data: { stations, agencies: summarizeAgencies(stations) }
+  })
+}
+
+// Data quality report over the loaded hydrants (as loaded, before conflation), stations,
+// addresses and ZIP polygons, plus the county boundary sent with the request (GeoJSON geometry)
+function runDataQA(boundaryGeometry, requestId) {
+  const startTime = performance.now()
+  const results = Object.fromEntries(QA_CHECKS.map(c => [c.id, { ...c, count: 0, records: [] }]))
+  const flag = (check, dataset, recordId, lat, lon, detail) => {
+    const result = results[check]
+    result.count++
+    if (result.records.length < QA_RECORD_LIMIT) {
+      result.records.push({ check, dataset, recordId, lat, lon, detail })
+    }
+  }
+
+  const boundaryShape = boundaryGeometry ? prepareGeometry(boundaryGeometry) : null
+  // Without a boundary, ZIP coverage stands in for the county extent when spotting swaps
+  const extent = boundaryShape?.bbox || zipShapes.reduce((bbox, z) => [
+    Math.min(bbox[0], z.shape.bbox[0]),
+    Math.min(bbox[1], z.shape.bbox[1]),
+    Math.max(bbox[2], z.shape.bbox[2]),
+    Math.max(bbox[3], z.shape.bbox[3])
+  ], [Infinity, Infinity, -Infinity, -Infinity])
+  const inExtent = (lat, lon) => lon >= extent[0] && lon <= extent[2] && lat >= extent[1] && lat <= extent[3]
+
+  const checkPoints = (dataset, points, { boundary }) => {
+    const seen = new Map()
+    for (const p of points) {
+      const swapped = Math.abs(p.lat) > 90 || (!inExtent(p.lat, p.lon) && inExtent(p.lon, p.lat))
+      if (swapped) {
+        // Reported at the corrected location so it can be found on the map
+        flag('swappedCoordinates', dataset, p.id, p.lon, p.lat, `Loaded as ${p.lat}, ${p.lon}`)
+      } else if (boundary && boundaryShape && !pointInPolygon(p.lat, p.lon, boundaryShape)) {
+        flag('outsideBoundary', dataset, p.id, p.lat, p.lon, 'Outside the county boundary')
+      }
+
+      const key = `${p.lat.toFixed(6)},${p.lon.toFixed(6)}`
+      const firstId = seen.get(key)
+      if (firstId === undefined) seen.set(key, p.id)
+      else flag('duplicateCoordinates', dataset, p.id, p.lat, p.lon, `Same location as ${dataset.replace(/s$/, '')} ${firstId}`)
+    }
+  }
+
+  checkPoints('hydrants', rawHydrants, { boundary: true })
+  checkPoints('stations', stationsList, { boundary: false })
+  checkPoints('addresses', addressesWithDistances, { boundary: true })
+
+  // CSV ZIP against the containing ZIP polygon
+  assignAddressZips(addressesWithDistances)
+  addressesWithDistances.forEach((addr, i) => {
+    const zip = addressZip[i] >= 0 ? zipShapes[addressZip[i]] : null
+    const csvZip = String(addr.zip ?? '').trim().slice(0, 5)
+    if (!zip || !csvZip || csvZip === String(zip.zipCode).slice(0, 5)) return
+    flag('zipMismatch', 'addresses', addr.id, addr.lat, addr.lon, `CSV ZIP ${csvZip}, inside ZIP ${zip.zipCode}`)
+  })
+
+  const checkShape = (dataset, recordId, shape) => {
+    for (const part of shape.parts) {
+      part.rings.forEach((ring, r) => {
+        for (const problem of ringProblems(ring)) {
+          const ringLabel = r === 0 ? 'outer ring' : `hole ${r}`
+          flag('invalidPolygon', dataset, recordId, problem.lat, problem.lon, `${problem.detail} (${ringLabel})`)
+        }
+      })
+    }
+  }
+  for (const z of zipShapes) checkShape('zipcodes', z.zipCode, z.shape)
+  if (boundaryShape) checkShape('boundary', 'county', boundaryShape)
+
+  for (const s of stationsList) {
+    const props = s.properties || {}
+    const missing = []
+    if (!(props.STATION || props.station || props.NAME)) missing.push('name')
+    // The loader falls back to the coverage table's agency, so check the source attribute
+    if (!(props.AGENCY || props.agency)) missing.push('agency')
+    if (missing.length > 0) flag('stationAttributes', 'stations', s.id, s.lat, s.lon, `Missing ${missing.join(' and ')}`)
+  }
+
+  self.postMessage({
+    type: 'dataQAReady',
+    requestId,
+    data: {
+      checks: QA_CHECKS.map(c => results[c.id]),
+      datasets: {
+        hydrants: rawHydrants.length,
+        stations: stationsList.length,
+        addresses: addressesWithDistances.length,
+        zipcodes: zipShapes.length,
+        boundary: boundaryShape ? 1 : 0
+      },
+      elapsed: performance.now() - startTime
+    }
+  })
+}
+
+// Everything the printable report needs for one indexed ZIP: its stats plus the hydrants and
+// stations around it and its underserved addresses, as [lat, lon] points for the static map
+function zipReportData(zipId, requestId) {
+  const zipIdx = zipIndexById.get(zipId)
+  if (zipIdx === undefined || !zipAggregates) {
+    self.postMessage({ type: 'zipReportReady', requestId, data: { zipId, error: 'ZIP not indexed' } })
+    return
+  }
+
+  const zip = zipShapes[zipIdx]
+  const [minLon, minLat, maxLon, maxLat] = zip.shape.bbox
+  // Points a little outside the ZIP still show on the map margin
+  const padLon = (maxLon - minLon) * 0.1
+  const padLat = (maxLat - minLat) * 0.1
+  const nearZip = (p) => p.lon >= minLon - padLon && p.lon <= maxLon + padLon && p.lat >= minLat - padLat && p.lat <= maxLat + padLat
+
+  assignAddressZips(addressesWithDistances)
+  const underserved = []
+  addressesWithDistances.forEach((addr, i) => {
+    if (addressZip[i] === zipIdx && addr.underserved) underserved.push([addr.lat, addr.lon])
+  })
+
+  self.postMessage({
+    type: 'zipReportReady',
+    requestId,
+    data: {
+      zipId,
+      stats: buildAreaStats(zipAggregates[zipIdx], zip.areaSqMiles),
+      hydrants: hydrantsList.filter(nearZip).map(h => [h.lat, h.lon]),
+      stations: stationsList.filter(nearZip).map(s => ({ lat: s.lat, lon: s.lon, name: String(s.name) })),
+      underserved
+    }
+  })
+}
+
+// Search results for the header search box, best first: a "lat, lon" point, ZIP codes starting
+// with the digits typed, stations whose name/agency words start with the query words, then
+// addresses from the prefix/fuzzy index. Each is { type, id, label, sublabel, lat, lon }.
+function searchLocations(query, requestId) {
+  const results = []
+
+  const point = parseCoordinates(query)
+  if (point) {
+    results.push({
+      type: 'point',
+      id: null,
+      label: `${point.lat.toFixed(5)}, ${point.lon.toFixed(5)}`,
+      sublabel: 'Coordinates',
+      ...point
+    })
+  }
+
+  const digits = query.trim()
+  if (/^\d{3,5}$/.test(digits)) {
+    for (const zip of zipShapes) {
+      if (results.length >= 3 || !String(zip.zipCode).startsWith(digits)) continue
+      const [minLon, minLat, maxLon, maxLat] = zip.shape.bbox
+      results.push({
+        type: 'zip',
+        id: zip.id,
+        label: `ZIP ${zip.zipCode}`,
+        sublabel: `${zip.areaSqMiles.toFixed(1)} sq mi`,
+        lat: (minLat + maxLat) / 2,
+        lon: (minLon + maxLon) / 2
+      })
+    }
+  }
+
+  const queryWords = normalizeSearchText(query).split(' ').filter(Boolean)
+  if (!point && queryWords.length > 0) {
+    for (const s of [...stationsList, ...proposedStations]) {
+      const words = normalizeSearchText(`STATION ${s.name} ${s.agency || ''}`).split(' ')
+      if (!queryWords.every(q => words.some(w => w.startsWith(q)))) continue
+      results.push({
+        type: 'station',
+        id: s.id,
+        label: String(s.name),
+        sublabel: s.proposed ? 'Proposed station' : `Station · ${String(s.agency || '').trim() || 'Unknown agency'}`,
+        lat: s.lat,
+        lon: s.lon
+      })
+      if (results.length >= SEARCH_RESULT_LIMIT / 2) break
+    }
+  }
+
+  if (!point && addressesWithDistances.length > 0) {
+    if (!addressSearchIndex) {
+      addressSearchIndex = buildSearchIndex(addressesWithDistances.map(a => `${a.address || ''} ${a.city || ''} ${a.zip || ''}`))
+    }
+    for (const { index } of searchIndex(addressSearchIndex, query, SEARCH_RESULT_LIMIT - results.length)) {
+      const addr = addressesWithDistances[index]
+      results.push({
+        type: 'address',
+        id: addr.id,
+        label: addr.address || `${addr.lat.toFixed(5)}, ${addr.lon.toFixed(5)}`,
+        sublabel: [addr.city, addr.zip].filter(Boolean).join(', '),
+        lat: addr.lat,
+        lon: addr.lon
+      })
+    }
+  }
+
+  self.postMessage({ type: 'searchResults', requestId, data: { query, results } })
+}
+
+// Coverage of any point, computed the way an address at that spot would be: nearest counted
+// hydrants and nearest station (with positions, for drawing), first-due station, class and ZIP
+function queryPoint(lat, lon, requestId) {
+  const nearestStation = stationsList.length > 0 || proposedStations.length > 0
+    ? stationGrid.findNearest(lat, lon)
+    : { point: null, distance: Infinity }
+  const firstDue = findFirstDueStation({ lat, lon }, nearestStation)
+
+  const record = {
+    lat,
+    lon,
+    nearestStationDist: nearestStation.distance,
+    stationDriveMinutes: firstDue.driveMinutes
+  }
+  locateHydrants(record)
+  countNearbyHydrants(record)
+  classifyAddress(record)
+
+  const nearestHydrants = hydrantGrid.findKNearest(lat, lon, POINT_QUERY_HYDRANTS).map(({ point, distance }) => ({
+    id: point.data.id,
+    lat: point.lat,
+    lon: point.lon,
+    distance,
+    flowClass: point.data.flowClass || null
+  }))
+  const station = nearestStation.point?.data
+  const zipIdx = findZipIndex(lat, lon)
+
+  self.postMessage({
+    type: 'pointQueryReady',
+    requestId,
+    data: {
+      lat,
+      lon,
+      zipId: zipIdx === -1 ? null : zipShapes[zipIdx].id,
+      zipCode: zipIdx === -1 ? null : zipShapes[zipIdx].zipCode,
+      hydrant: nearestHydrants[0] || null,
+      hydrants: nearestHydrants,
+      station: station ? {
+        id: station.id,
+        name: String(station.name),
+        agency: station.agency || null,
+        proposed: !!station.proposed,
+        lat: station.lat,
+        lon: station.lon,
+        distance: nearestStation.distance
+      } : null,
+      firstDueStation: firstDue.station ? { id: firstDue.station.id, name: String(firstDue.station.name) } : null,
+      stationDriveMinutes: Number.isFinite(firstDue.driveMinutes) ? firstDue.driveMinutes : null,
+      hydrantClass: HYDRANT_CLASS_LABELS[hydrantClassRank(record.nearestHydrantDist)],
+      hydrantsWithinOptimal: record.hydrantsWithinOptimal,
+      hydrantsWithinAcceptable: record.hydrantsWithinAcceptable,
+      withinStationResponse: record.withinStationResponse,
+      standards
+    }
+  })
+}
+
+// Rows of an export: addresses (optionally underserved only) or per-ZIP stats, limited to the
+// county (everything), one indexed ZIP (`zipId`) or a [minLon, minLat, maxLon, maxLat] `bbox`
+function selectExportRows(dataset, scope) {
+  const zipIdx = scope.type === 'zip' ? zipIndexById.get(scope.zipId) : undefined
+  if (scope.type === 'zip' && zipIdx === undefined) return []
+
+  if (dataset === 'zipStats') {
+    if (!zipAggregates) return []
+    const [minLon, minLat, maxLon, maxLat] = scope.bbox || []
+    return zipShapes
+      .map((z, i) => ({ zipCode: z.zipCode, geometry: z.geometry, stats: buildAreaStats(zipAggregates[i], z.areaSqMiles), index: i }))
+      .filter(row => {
+        if (scope.type === 'zip') return row.index === zipIdx
+        if (scope.type !== 'extent') return true
+        const bbox = zipShapes[row.index].shape.bbox
+        return bbox[0] <= maxLon && bbox[2] >= minLon && bbox[1] <= maxLat && bbox[3] >= minLat
+      })
+  }
+
+  if (scope.type === 'zip') assignAddressZips(addressesWithDistances)
+  const [minLon, minLat, maxLon, maxLat] = scope.bbox || []
+  return addressesWithDistances.filter((addr, i) => {
+    if (dataset === 'underserved' && !addr.underserved) return false
+    if (scope.type === 'zip') return addressZip[i] === zipIdx
+    if (scope.type === 'extent') return addr.lon >= minLon && addr.lon <= maxLon && addr.lat >= minLat && addr.lat <= maxLat
+    return true
+  })
+}
+
+// Streams an export back in EXPORT_CHUNK_SIZE-record text chunks so neither thread has to hold
+// or clone the whole file at once. Each chunk is { text, written, total, done }.
+function exportResults({ dataset, format, scope }, requestId) {
+  const rows = selectExportRows(dataset, scope)
+  const columns = dataset === 'zipStats' ? ZIP_STATS_EXPORT_COLUMNS : ADDRESS_EXPORT_COLUMNS
+  const geometryOf = dataset === 'zipStats'
+    ? (row) => row.geometry
+    : (addr) => ({ type: 'Point', coordinates: [addr.lon, addr.lat] })
+  const post = (text, written, done) => {
+    self.postMessage({ type: done ? 'exportReady' : 'exportChunk', requestId, partial: !done, data: { text, written, total: rows.length, done } })
+  }
+
+  post(format === 'geojson' ? '{"type":"FeatureCollection","features":[\n' : csvHeader(columns), 0, false)
+
+  for (let start = 0; start < rows.length; start += EXPORT_CHUNK_SIZE) {
+    const chunk = rows.slice(start, start + EXPORT_CHUNK_SIZE)
+    const text = format === 'geojson'
+      ? chunk.map(row => JSON.stringify(toExportFeature(row, columns, geometryOf(row)))).join(',\n')
+      : csvRows(chunk, columns)
+    post(start > 0 && format === 'geojson' ? `,\n${text}` : `\n${text}`, start + chunk.length, false)
+  }
+
+  post(format === 'geojson' ? '\n]}\n' : '\n', rows.length, true)
+}
+
+// Propose up to `budget` new hydrants that bring the most underserved addresses within the
+// acceptable distance. `studyArea` (GeoJSON Feature) limits which addresses count;
+// `candidates` ([{ lat, lon }]) limits where hydrants may go, otherwise sites are generated
+// from clusters of underserved addresses.
+function optimizeHydrantPlacement({ budget, studyArea, candidates }, requestId) {
+  const startTime = performance.now()
+  const radiusFt = standards.hydrant.acceptableFt
+
+  const area = studyArea ? prepareGeometry(studyArea) : null
+  const scope = area
+    ? addressesWithDistances.filter(a => pointInPolygon(a.lat, a.lon, area))
+    : addressesWithDistances
+  const demand = scope.filter(a => a.underserved)
+
+  const userCandidates = candidates?.length > 0
+  const sites = userCandidates ? candidates : buildCandidateSites(demand, radiusFt / 2)
+  const selections = greedyMaxCoverage(demand, sites, radiusFt, budget)
+
+  let cumulativeGain = 0
+  const proposals = selections.map((s, i) => {
+    cumulativeGain += s.gain
+    return {
+      rank: i + 1,
+      lat: s.lat,
+      lon: s.lon,
+      gain: s.gain,
+      cumulativeGain,
+      fromCandidates: userCandidates
+    }
+  })
+
+  const withinAcceptable = scope.length - demand.length
+  const coverageFor = (covered) => ({
+    withinAcceptable: covered,
+    underserved: scope.length - covered,
+    pctWithinAcceptable: scope.length > 0 ? (covered / scope.length * 100).toFixed(1) : '0'
+  })
+
+  self.postMessage({
+    type: 'hydrantPlacementReady',
+    requestId,
+    data: {
+      proposals,
+      radiusFt,
+      budget,
+      addressCount: scope.length,
+      candidateCount: sites.length,
+      before: coverageFor(withinAcceptable),
+      after: coverageFor(withinAcceptable + cumulativeGain),
+      elapsed: performance.now() - startTime
+    }
+  })
+}
+
+// Drive times from a what-if station over the road network, or null without one
+function proposedStationTimes(station) {
+  if (!stationAccess) return null
+  const snap = snapToRoad(station.lat, station.lon)
+  return snap ? shortestTimes(roadGraph, [{ ...snap, label: 0 }]).time : null
+}
+
+function snapshotStationBaseline(addr) {
+  if (addr.stationBaseline) return
+  addr.stationBaseline = {
+    nearestStationDist: addr.nearestStationDist,
+    nearestStationData: addr.nearestStationData,
+    firstDueStationData: addr.firstDueStationData,
+    stationDriveMinutes: addr.stationDriveMinutes
+  }
+}
+
+// Addresses a what-if station can change: those within DUE_ORDER_REACH_FACTOR × the response
+// radius and, on the road network, those on road nodes it reaches within that multiple of the
+// response time. Farther addresses are outside anything stationResponders lists, so the station
+// could at most shorten a distance or drive time that misses the standard either way.
+function proposedStationReach(station, time) {
+  const radiusFt = standards.station.responseMiles * 5280 * DUE_ORDER_REACH_FACTOR
+  const reach = new Set(addressGrid.findWithin(station.lat, station.lon, radiusFt).map(({ point }) => point.data))
+
+  if (time) {
+    const maxMinutes = standards.station.responseMinutes * DUE_ORDER_REACH_FACTOR
+    for (const [node, indices] of addressesByRoadNode) {
+      if (time[node] > maxMinutes) continue
+      for (const i of indices) reach.add(i)
+    }
+  }
+  return reach
+}
+
+// Take addresses out of the countywide and ZIP totals before a what-if change touches them;
+// refreshStationScenario re-assesses them and adds them back
+function untallyAddresses(indices) {
+  if (!countyTotals) return
+  for (const i of indices) {
+    if (untalliedAddresses.has(i)) continue
+    untalliedAddresses.add(i)
+    tallyAddress(i, -1)
+  }
+}
+
+function tallyAddress(i, weight) {
+  const addr = addressesWithDistances[i]
+  addAddressToTotals(countyTotals, addr, weight)
+  const zipIdx = addressZip[i]
+  if (zipAggregates && zipIdx !== -1) addAddressToTotals(zipAggregates[zipIdx], addr, weight)
+}
+
+// Hand every address in the new station's reach that it reaches sooner to it; nothing else is
+// touched
+function applyProposedStation(station) {
+  stationGrid.insert(station.lat, station.lon, station)
+  const time = proposedStationTimes(station)
+  if (time) proposedAccess.set(station.id, time)
+
+  const reach = proposedStationReach(station, time)
+  proposedStationAddresses.set(station.id, reach)
+  untallyAddresses(reach)
+
+  for (const i of reach) {
+    const addr = addressesWithDistances[i]
+    const dist = haversineDistance(addr.lat, addr.lon, station.lat, station.lon)
+    const closer = dist < addr.nearestStationDist
+    const driveMinutes = time && addr.roadSnap ? time[addr.roadSnap.node] + addr.roadSnap.cost : Infinity
+    const faster = driveMinutes < addr.stationDriveMinutes
+    if (!closer && !faster) continue
+
+    snapshotStationBaseline(addr)
+    if (closer) {
+      addr.nearestStationDist = dist
+      addr.nearestStationData = station
+    }
+    if (!stationAccess) {
+      addr.firstDueStationData = addr.nearestStationData
+    } else if (faster) {
+      addr.firstDueStationData = station
+      addr.stationDriveMinutes = driveMinutes
+    }
+    classifyAddress(addr)
+  }
+}
+
+function withdrawProposedStation(station) {
+  stationGrid.remove(station.lat, station.lon, p => p.data?.id === station.id)
+  proposedAccess.delete(station.id)
+}
+
+// Take a what-if station out and reassign only the addresses it was serving
+function retractProposedStation(station) {
+  const reach = proposedStationAddresses.get(station.id) || new Set()
+  proposedStationAddresses.delete(station.id)
+  withdrawProposedStation(station)
+  proposedStations = proposedStations.filter(s => s.id !== station.id)
+  untallyAddresses(reach)
+
+  for (const i of reach) {
+    const addr = addressesWithDistances[i]
+    if (addr.nearestStationData?.id !== station.id && addr.firstDueStationData?.id !== station.id) continue
+
+    const nearest = stationGrid.findNearest(addr.lat, addr.lon)
+    const firstDue = findFirstDueStation(addr, nearest)
+    addr.nearestStationDist = nearest.distance
+    addr.nearestStationData = nearest.point?.data || null
+    addr.firstDueStationData = firstDue.station
+    addr.stationDriveMinutes = firstDue.driveMinutes
+
+    // Back on real stations only: the baseline is the current state again
+    if (!addr.nearestStationData?.proposed && !addr.firstDueStationData?.proposed) {
+      delete addr.stationBaseline
+    }
+    // Another what-if station may take over an address outside its own reach; it has to find
+    // the address again when it is retracted
+    for (const s of [addr.nearestStationData, addr.firstDueStationData]) {
+      if (s?.proposed) proposedStationAddresses.get(s.id)?.add(i)
+    }
+    classifyAddress(addr)
+  }
+}
+
+function addProposedStation(station) {
+  const proposed = { ...station, proposed: true }
+  proposedStations = [...proposedStations, proposed]
+  applyProposedStation(proposed)
+  refreshStationScenario()
+}
+
+function moveProposedStation(id, lat, lon) {
+  const station = proposedStations.find(s => s.id === id)
+  if (!station) return
+
+  retractProposedStation(station)
+  const moved = { ...station, lat, lon }
+  proposedStations = [...proposedStations, moved]
+  applyProposedStation(moved)
+  refreshStationScenario()
+}
+
+function removeProposedStation(id) {
+  const station = proposedStations.find(s => s.id === id)
+  if (!station) return
+
+  retractProposedStation(station)
+  refreshStationScenario()
+}
+
+// Re-assess only the addresses the last what-if change took out of the totals and add them
+// back, so the ZIP and countywide totals move by the difference
+function refreshStationScenario() {
+  if (countyTotals) {
+    for (const i of untalliedAddresses) {
+      assessStationRedundancy(addressesWithDistances[i])
+      tallyAddress(i, 1)
+    }
+    untalliedAddresses = new Set()
+    postAddressSummary(0, countyTotals)
+  }
+  postStationScenario()
+}
+
+// What-if stations with their drive-time bands, and station coverage with vs. without them
+// countywide and for every ZIP they change
+function postStationScenario() {
+  const bandMinutes = [...isochroneConfig.bandMinutes].sort((a, b) => a - b)
+  const stations = proposedStations.map(s => {
+    const time = proposedAccess.get(s.id)
+    return { ...s, bands: time ? isochroneBands(roadGraph, time, bandMinutes) : null }
+  })
+
+  const countywide = countyTotals || createAreaTotals()
+
+  const zips = zipAggregates
+    ? zipShapes
+        .map((z, i) => ({
+          id: z.id,
+          zipCode: z.zipCode,
+          addressCount: zipAggregates[i].addressCount,
+          before: zipAggregates[i].withinStationResponseBaseline,
+          after: zipAggregates[i].withinStationResponse
+        }))
+        .filter(z => z.after !== z.before)
+        .sort((a, b) => (b.after - b.before) - (a.after - a.before))
+    : []
+
+  self.postMessage({
+    type: 'stationScenarioReady',
+    data: {
+      stations,
+      countywide: {
+        addressCount: countywide.addressCount,
+        before: countywide.withinStationResponseBaseline,
+        after: countywide.withinStationResponse
+      },
+      zips
+    }
+  })
+}
+
+// Recompute nearest assets with the given hydrants and stations out of service and report
+// every address whose hydrant class or station coverage gets worse. The live analysis is
+// left untouched; this is a what-if answered on the side.
+function simulateOutOfService({ hydrantIds = [], stationIds = [] }, requestId) {
+  const startTime = performance.now()
+  const hydrantOut = new Set(hydrantIds)
+  const stationOut = new Set(stationIds)
+
+  const access = stationAccess && stationOut.size > 0
+    ? shortestTimes(roadGraph, stationSources(stationOut))
+    : stationAccess
+  const hydrantAvailable = (p) => !hydrantOut.has(p.data?.id)
+  // Proposed stations are never out of service
+  const stationAvailable = (p) => p.data?.proposed || !stationOut.has(p.data?.id)
+
+  const affected = []
+  const byZip = new Map()
+
+  addressesWithDistances.forEach((addr, i) => {
+    const losesHydrant = hydrantOut.has(addr.nearestHydrantId)
+    const losesStation = [addr.nearestStationData, addr.firstDueStationData]
+      .some(station => station && !station.proposed && stationOut.has(station.id))
+    if (!losesHydrant && !losesStation) return
+
+    const hydrantAfter = losesHydrant
+      ? hydrantGrid.findNearest(addr.lat, addr.lon, hydrantAvailable).distance
+      : addr.nearestHydrantDist
+
+    let stationAfter = {
+      dist: addr.nearestStationDist,
+      firstDue: addr.firstDueStationData,
+      driveMinutes: addr.stationDriveMinutes
+    }
+    if (losesStation) {
+      const nearest = stationGrid.findNearest(addr.lat, addr.lon, stationAvailable)
+      const firstDue = findFirstDueStation(addr, nearest, access)
+      stationAfter = { dist: nearest.distance, firstDue: firstDue.station, driveMinutes: firstDue.driveMinutes }
+    }
+
+    const classBefore = hydrantClassRank(addr.nearestHydrantDist)
+    const classAfter = hydrantClassRank(hydrantAfter)
+    const stationLost = addr.withinStationResponse &&
+      !meetsStationResponse(stationAfter.driveMinutes, stationAfter.dist)
+    if (classAfter <= classBefore && !stationLost) return
+
+    const zipIdx = addressZip[i] ?? -1
+    const zipCode = zipIdx !== -1 ? zipShapes[zipIdx].zipCode : (addr.zip || 'Unknown')
+
+    affected.push({
+      id: addr.id,
+      lat: addr.lat,
+      lon: addr.lon,
+      address: addr.address || '',
+      city: addr.city || '',
+      zipCode,
+      hydrantDistBefore: addr.nearestHydrantDist,
+      hydrantDistAfter: hydrantAfter,
+      hydrantClassBefore: HYDRANT_CLASS_LABELS[classBefore],
+      hydrantClassAfter: HYDRANT_CLASS_LABELS[classAfter],
+      firstDueBefore: addr.firstDueStationData?.name || null,
+      firstDueAfter: stationAfter.firstDue?.name || null,
+      stationDistBefore: addr.nearestStationDist,
+      stationDistAfter: stationAfter.dist,
+      driveMinutesBefore: addr.stationDriveMinutes,
+      driveMinutesAfter: stationAfter.driveMinutes,
+      stationCoverageLost: stationLost
+    })
+
+    if (!byZip.has(zipCode)) {
+      byZip.set(zipCode, { zipCode, affected: 0, hydrantDowngraded: 0, newlyUnderserved: 0, stationCoverageLost: 0 })
+    }
+    const zip = byZip.get(zipCode)
+    zip.affected++
+    if (classAfter > classBefore) zip.hydrantDowngraded++
+    if (classAfter === 2 && classBefore < 2) zip.newlyUnderserved++
+    if (stationLost) zip.stationCoverageLost++
+  })
+
+  const zips = [...byZip.values()].sort((a, b) => b.affected - a.affected)
+  const totals = zips.reduce((sum, z) => ({
+    affected: sum.affected + z.affected,
+    hydrantDowngraded: sum.hydrantDowngraded + z.hydrantDowngraded,
+    newlyUnderserved: sum.newlyUnderserved + z.newlyUnderserved,
+    stationCoverageLost: sum.stationCoverageLost + z.stationCoverageLost
+  }), { affected: 0, hydrantDowngraded: 0, newlyUnderserved: 0, stationCoverageLost: 0 })
+
+  self.postMessage({
+    type: 'outOfServiceReady',
+    requestId,
+    data: {
+      hydrantIds,
+      stationIds,
+      affected,
+      zips,
+      totals,
+      stationResponseMode: stationAccess ? 'network' : 'radius',
+      elapsed: performance.now() - startTime
+    }
   })
 }
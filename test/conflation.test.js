@@ -0,0 +1,51 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { conflateHydrants } from '../src/utils/conflation.js'
+import { haversineDistance } from '../src/utils/geometry.js'
+import { offset, scatteredFixture } from './helpers.js'
+
+// `count` pairs of detections `distanceFt` apart
+const scatteredPairs = (count, distanceFt, seed) => scatteredFixture(count, seed, ({ index, lat, lon }, next) => [
+  { id: `${index}a`, lat, lon, confidence: 0.9 },
+  { id: `${index}b`, ...offset(lat, lon, distanceFt, next() * 2 * Math.PI), confidence: 0.8 }
+])
+
+describe('conflateHydrants', () => {
+  test('always merges pairs inside the merge distance', () => {
+    for (const distanceFt of [1, 7, 13, 14.5]) {
+      const hydrants = scatteredPairs(500, distanceFt, Math.round(distanceFt * 10))
+      const { hydrants: output, report } = conflateHydrants(hydrants, { mergeDistanceFt: 15, minConfidence: 0 })
+
+      const unmerged = output.filter(h => !h.mergedIds)
+      assert.equal(unmerged.length, 0, `${unmerged.length} detections ${distanceFt} ft apart left unmerged`)
+      assert.equal(report.mergedHydrantCount, 500)
+      assert.equal(report.outputCount, 500)
+    }
+  })
+
+  test('never merges pairs beyond the merge distance', () => {
+    const hydrants = scatteredPairs(500, 16, 16)
+    const { hydrants: output, report } = conflateHydrants(hydrants, { mergeDistanceFt: 15, minConfidence: 0 })
+    assert.equal(report.mergedCount, 0)
+    assert.equal(output.length, hydrants.length)
+  })
+
+  test('keeps the merged position between the detections', () => {
+    const [a, b] = scatteredPairs(1, 10, 3)
+    const { hydrants: [merged] } = conflateHydrants([a, b], { mergeDistanceFt: 15, minConfidence: 0 })
+    assert.deepEqual(merged.mergedIds, [a.id, b.id])
+    assert.ok(haversineDistance(merged.lat, merged.lon, a.lat, a.lon) < 10)
+    assert.ok(haversineDistance(merged.lat, merged.lon, b.lat, b.lon) < 10)
+  })
+
+  test('drops detections below the minimum confidence', () => {
+    const hydrants = [
+      { id: 'strong', lat: 38.5, lon: -121.5, confidence: 0.9 },
+      { id: 'weak', lat: 38.6, lon: -121.5, confidence: 0.2 },
+      { id: 'unrated', lat: 38.7, lon: -121.5, confidence: null }
+    ]
+    const { hydrants: output, report } = conflateHydrants(hydrants, { mergeDistanceFt: 15, minConfidence: 0.5 })
+    assert.deepEqual(output.map(h => h.id), ['strong', 'unrated'])
+    assert.equal(report.droppedCount, 1)
+  })
+})
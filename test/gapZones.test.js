@@ -0,0 +1,42 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { dbscan, concaveHull } from '../src/utils/gapZones.js'
+import { offset, scatteredFixture } from './helpers.js'
+
+// `count` straight chains of `length` points, `spacingFt` apart along a random bearing
+const scatteredChains = (count, length, spacingFt, seed) => scatteredFixture(count, seed, ({ index, lat, lon }, next) => {
+  const bearing = next() * 2 * Math.PI
+  return Array.from({ length }, (_, i) => ({ chain: index, ...offset(lat, lon, spacingFt * i, bearing) }))
+})
+
+describe('dbscan', () => {
+  test('keeps every chain of points within eps in one cluster', () => {
+    const points = scatteredChains(300, 6, 480, 7)
+    const labels = dbscan(points, 500, 2)
+
+    const split = new Set()
+    points.forEach((p, i) => {
+      if (labels[i] !== labels[p.chain * 6]) split.add(p.chain)
+    })
+    assert.equal(split.size, 0, `${split.size} of 300 chains split`)
+    assert.equal(new Set(labels).size, 300)
+  })
+
+  test('leaves points farther than eps from any other as noise', () => {
+    const points = scatteredChains(50, 3, 520, 11)
+    const labels = dbscan(points, 500, 2)
+    assert.ok(labels.every(label => label === -1))
+  })
+})
+
+describe('concaveHull', () => {
+  test('outlines a square grid of points with a closed ring', () => {
+    const points = []
+    for (let i = 0; i < 5; i++) {
+      for (let j = 0; j < 5; j++) points.push({ lat: 38.5 + i * 0.001, lon: -121.5 + j * 0.001 })
+    }
+    const ring = concaveHull(points, 1000)
+    assert.deepEqual(ring[0], ring[ring.length - 1])
+    assert.equal(ring.length - 1, 16) // the outer points of the grid
+  })
+})
@@ -0,0 +1,125 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import {
+  geodesicArea,
+  getBBox,
+  pointInPolygon,
+  prepareGeometry
+} from '../src/utils/geometry.js'
+
+const readJson = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'))
+
+const fixture = readJson('./fixtures/zip-geometry.json')
+const zipFeatures = new Map(
+  readJson(`../${fixture.source}`).features.map(f => [f.properties.ZIP5, f])
+)
+
+const EARTH_RADIUS_M = 6378137
+const SQ_METERS_PER_SQ_MILE = 2589988.110336
+
+// Closed [lon, lat] ring around a box
+const boxRing = (west, south, east, north) =>
+  [[west, south], [east, south], [east, north], [west, north], [west, south]]
+
+// A 0.1° square with a 0.02° square hole and a separate 0.01° island to the east
+const squareWithHole = {
+  type: 'MultiPolygon',
+  coordinates: [
+    [boxRing(-121.5, 38.5, -121.4, 38.6), boxRing(-121.46, 38.54, -121.44, 38.56)],
+    [boxRing(-121.3, 38.5, -121.29, 38.51)]
+  ]
+}
+
+describe('geodesicArea', () => {
+  test('matches the exact area of a latitude/longitude box', () => {
+    // A box bounded by meridians and parallels covers R² · Δλ · (sin φ2 − sin φ1)
+    const rad = (deg) => deg * Math.PI / 180
+    const exact = EARTH_RADIUS_M ** 2 * rad(0.5) * (Math.sin(rad(39)) - Math.sin(rad(38.5))) /
+      SQ_METERS_PER_SQ_MILE
+    const area = geodesicArea({ type: 'Polygon', coordinates: [boxRing(-121.5, 38.5, -121, 39)] })
+    assert.ok(Math.abs(area - exact) / exact < 1e-9, `${area} vs ${exact}`)
+  })
+
+  test('subtracts holes and adds islands', () => {
+    const outer = geodesicArea({ type: 'Polygon', coordinates: [squareWithHole.coordinates[0][0]] })
+    const hole = geodesicArea({ type: 'Polygon', coordinates: [squareWithHole.coordinates[0][1]] })
+    const island = geodesicArea({ type: 'Polygon', coordinates: squareWithHole.coordinates[1] })
+    const total = geodesicArea(squareWithHole)
+    assert.ok(Math.abs(total - (outer - hole + island)) < 1e-9)
+  })
+
+  for (const [zip, expected] of Object.entries(fixture.areas.zips)) {
+    test(`ZIP ${zip} is within 0.5% of ${expected} sq mi`, () => {
+      const area = geodesicArea(zipFeatures.get(zip))
+      assert.ok(Math.abs(area - expected) / expected < 0.005, `${zip}: ${area} vs ${expected}`)
+    })
+  }
+})
+
+describe('pointInPolygon', () => {
+  test('excludes points inside a hole', () => {
+    assert.equal(pointInPolygon(38.55, -121.45, squareWithHole), false)
+    assert.equal(pointInPolygon(38.52, -121.45, squareWithHole), true)
+  })
+
+  test('includes points on a MultiPolygon island', () => {
+    assert.equal(pointInPolygon(38.505, -121.295, squareWithHole), true)
+    // Between the main square and the island: inside the overall box, outside both parts
+    assert.equal(pointInPolygon(38.505, -121.35, squareWithHole), false)
+  })
+
+  for (const hole of fixture.holes) {
+    test(`a point in the hole of ZIP ${hole.zip} falls in ZIP ${hole.filledBy} instead`, () => {
+      assert.equal(pointInPolygon(hole.lat, hole.lon, zipFeatures.get(hole.zip)), false)
+      assert.equal(pointInPolygon(hole.lat, hole.lon, zipFeatures.get(hole.filledBy)), true)
+    })
+  }
+
+  for (const island of fixture.islands) {
+    test(`a point on an island of ZIP ${island.zip} is inside it`, () => {
+      const feature = zipFeatures.get(island.zip)
+      assert.equal(feature.geometry.type, 'MultiPolygon')
+      const mainPart = { type: 'Polygon', coordinates: feature.geometry.coordinates[0] }
+      assert.equal(pointInPolygon(island.lat, island.lon, mainPart), false)
+      assert.equal(pointInPolygon(island.lat, island.lon, feature), true)
+    })
+  }
+})
+
+describe('bounding-box prefilter', () => {
+  test('prepareGeometry boxes every part and the whole shape', () => {
+    const prepared = prepareGeometry(squareWithHole)
+    assert.deepEqual(prepared.parts.map(p => p.bbox), [
+      [-121.5, 38.5, -121.4, 38.6],
+      [-121.3, 38.5, -121.29, 38.51]
+    ])
+    assert.deepEqual(prepared.bbox, [-121.5, 38.5, -121.29, 38.6])
+    assert.deepEqual(prepared.bbox, getBBox(squareWithHole))
+  })
+
+  test('rejects points outside the box without testing rings', () => {
+    const prepared = prepareGeometry(squareWithHole)
+    // Rings that would claim every point, so only the box check can reject one
+    prepared.parts = prepared.parts.map(part => ({
+      ...part,
+      rings: [boxRing(-180, -90, 180, 90)]
+    }))
+    assert.equal(pointInPolygon(38.7, -121.45, prepared), false)
+    assert.equal(pointInPolygon(38.55, -121.2, prepared), false)
+    assert.equal(pointInPolygon(38.55, -121.45, prepared), true)
+  })
+
+  test('prepared and raw ZIP shapes give the same answers', () => {
+    const feature = zipFeatures.get('95817')
+    const prepared = prepareGeometry(feature)
+    const [west, south, east, north] = prepared.bbox
+    for (let i = -2; i <= 22; i++) {
+      for (let j = -2; j <= 22; j++) {
+        const lat = south + (north - south) * j / 20
+        const lon = west + (east - west) * i / 20
+        assert.equal(pointInPolygon(lat, lon, prepared), pointInPolygon(lat, lon, feature))
+      }
+    }
+  })
+})
@@ -0,0 +1,32 @@
+// Shared fixtures for the spatial tests
+
+const FEET_PER_DEGREE = 364812 // along a meridian, on the sphere haversineDistance uses
+
+// Small deterministic generator so failures reproduce
+export function random(seed) {
+  let state = seed
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296
+    return state / 4294967296
+  }
+}
+
+// The point `distanceFt` from (lat, lon) along `bearing` (radians from north)
+export function offset(lat, lon, distanceFt, bearing) {
+  const dLat = distanceFt * Math.cos(bearing) / FEET_PER_DEGREE
+  const dLon = distanceFt * Math.sin(bearing) / (FEET_PER_DEGREE * Math.cos(lat * Math.PI / 180))
+  return { lat: lat + dLat, lon: lon + dLon }
+}
+
+// Points from `count` origins scattered a few miles apart over a dataset spanning two degrees
+// of latitude. `build(origin, next)` returns the points of one origin; `next` is the seeded
+// generator, for bearings and the like.
+export function scatteredFixture(count, seed, build) {
+  const next = random(seed)
+  const points = []
+  for (let index = 0; index < count; index++) {
+    const origin = { index, lat: 37.5 + 2 * next(), lon: -122 + 2 * next() }
+    points.push(...build(origin, next))
+  }
+  return points
+}